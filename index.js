@@ -1,125 +1,969 @@
+import fs from 'fs';
+import { pathToFileURL } from 'url';
 import * as core from '@actions/core';
 import * as github from '@actions/github';
-import OpenAI from 'openai';
+import { parseLogPaths, resolveLogFiles, readLogSources, combineLogSources } from './src/logSources.js';
+import { preprocessLog } from './src/preprocess.js';
+import { analyzeChunks } from './src/analyze.js';
+import { API_ERROR_MODES } from './src/retry.js';
+import { COMMENT_MARKER, COMMENT_MODES, publishComment, createProgressComment } from './src/comments.js';
+import { fetchFailedStepLogs } from './src/workflowLogs.js';
+import { parseAnalysis, getMaxSeverity, countFindings, renderAnalysis } from './src/findings.js';
+import { FAIL_ON_LEVELS, evaluateVerdict, publishCommitStatus } from './src/gate.js';
+import { extractLogAnnotations, findingAnnotations, prepareAnnotations, publishCheckRun } from './src/checkRun.js';
+import { parseRedactPatterns } from './src/redact.js';
+import { buildJsonReport, writeJobSummary, writeReportFile } from './src/report.js';
+import { fetchPullRequestChanges, buildDiffContext } from './src/prContext.js';
+import { loadConfig, resolvePrompt } from './src/config.js';
+import { renderFailedTests } from './src/testReports.js';
+import { createModelClient, extractTestReports, redactLog, redactChanges, fitToBudget } from './src/pipeline.js';
+import { fingerprintLog } from './src/fingerprint.js';
+import { CACHE_MODES, DEFAULT_CACHE_DIR, readCachedAnalysis, writeCachedAnalysis } from './src/cache.js';
+import { renderTemplate, buildSystemPrompt } from './src/prompts.js';
+import { createStreamObserver } from './src/streaming.js';
+import { REVIEW_OUTSIDE_DIFF_MODES, buildReviewComments, publishReview } from './src/review.js';
+import { ANALYSIS_MODES, HEURISTIC_ANALYZER, analyzeHeuristically } from './src/heuristics.js';
+import { NOTIFY_ON_LEVELS, NOTIFY_BRANCHES, shouldNotify, notifyAll } from './src/notifiers.js';
+import { parsePrices, findPrice, estimateCost, createUsageTracker, formatCost, formatUsage } from './src/usage.js';
+import { resolveLanguage, getTranslator } from './src/i18n.js';
+import {
+  HISTORY_MODES,
+  DEFAULT_HISTORY_BRANCH,
+  extractSignatures,
+  findOccurrences,
+  assessRecurrence,
+  addRecord,
+  readHistory,
+  writeHistory,
+  renderSeenBefore
+} from './src/history.js';
+
+// Values registered with core.setSecret, masked in the log before it is sent anywhere
+const registeredSecrets = [];
+
+// Characters of the partial reply shown in the progress comment
+const PROGRESS_TAIL_LENGTH = 2000;
 
 /**
  * Main function that executes the GitHub action
- * Connects to Deepseek, analyzes logs and comments on the PR
+ * Connects to the configured LLM provider (Deepseek by default), analyzes logs and comments on the PR
  */
 async function main() {
+  // Placeholder comment updated while the model answers, when progress_comment is enabled
+  let progress = null;
+  // Language of the comment, known once the config file is loaded
+  let language = 'en';
+
   try {
     // 1. Read inputs defined in action.yml
     const githubToken = core.getInput('github_token');
-    const deepseekApiKey = core.getInput('deepseek_api_key');
-    const logContent = core.getInput('log_content');
+    const apiKey = core.getInput('api_key') || core.getInput('deepseek_api_key');
+    const logContentInput = core.getInput('log_content');
+    const logPaths = parseLogPaths(core.getInput('log_paths'));
+    const maxChunkTokens = getNumberInput('max_chunk_tokens', 8000);
+    const maxChunks = getNumberInput('max_chunks', 8);
+    const contextLines = getNumberInput('context_lines', 10);
+    const commentMode = core.getInput('comment_mode') || 'update';
+    const keepHistory = getBooleanInput('comment_history', false);
+    const useWorkflowLogs = getBooleanInput('workflow_logs', false);
+    const runId = Number(core.getInput('run_id') || github.context.runId);
+    const failOn = core.getInput('fail_on') || 'never';
+    const commitStatus = getBooleanInput('commit_status', false);
+    const statusContext = core.getInput('status_context') || 'Voltaflow';
+    const checkRun = getBooleanInput('check_run', false);
+    const checkName = core.getInput('check_name') || 'Voltaflow Log Analysis';
+    const reviewComments = getBooleanInput('review_comments', false);
+    const reviewOutsideDiff = core.getInput('review_outside_diff') || 'summary';
+    const notifyTargets = [
+      { type: 'slack', url: core.getInput('slack_webhook_url') },
+      { type: 'teams', url: core.getInput('teams_webhook_url') },
+      { type: 'webhook', url: core.getInput('webhook_url') }
+    ].filter(target => target.url);
+    const notifyOn = core.getInput('notify_on') || 'always';
+    const notifyBranches = core.getInput('notify_branches') || 'all';
+    const redact = getBooleanInput('redact', true);
+    const redactPii = getBooleanInput('redact_pii', true);
+    const redactPatterns = parseRedactPatterns(core.getInput('redact_patterns'));
+    const jobSummary = getBooleanInput('job_summary', true);
+    const reportPath = core.getInput('report_path');
+    const reportJsonPath = core.getInput('report_json_path');
+    const prContext = getBooleanInput('pr_context', true);
+    const maxDiffTokens = getNumberInput('max_diff_tokens', 3000);
+    const maxRetries = getNumberInput('max_retries', 3, { allowZero: true });
+    const requestTimeout = getNumberInput('request_timeout', 120);
+    const fallbackApiKey = core.getInput('fallback_api_key');
+    // Unset, on_api_error only applies without the heuristic fallback; set, it also applies after the fallback
+    const onApiErrorInput = core.getInput('on_api_error');
+    const onApiError = onApiErrorInput || 'fail';
+    const analysisMode = core.getInput('mode') || 'model';
+    const heuristicFallback = getBooleanInput('heuristic_fallback', true);
+    const cacheMode = core.getInput('cache') || 'none';
+    const cacheDir = core.getInput('cache_dir') || DEFAULT_CACHE_DIR;
+    const stream = getBooleanInput('stream', true);
+    const progressComment = getBooleanInput('progress_comment', false);
+    const progressInterval = getNumberInput('progress_interval', 15);
+    const maxTokens = getNumberInput('max_tokens', 2000); // Leave room for a complete JSON analysis
+    const maxCost = getNumberInput('max_cost', 0, { allowZero: true });
+    const maxInputTokens = getNumberInput('max_input_tokens', 0, { allowZero: true });
+    const historyMode = core.getInput('history') || 'none';
+    const historyBranch = core.getInput('history_branch') || DEFAULT_HISTORY_BRANCH;
+    const historyDays = getNumberInput('history_days', 30);
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+
+    registerSecret(githubToken);
+    registerSecret(apiKey);
+    registerSecret(fallbackApiKey);
+    // Webhook URLs carry their own credentials
+    notifyTargets.forEach(target => registerSecret(target.url));
+    core.getInput('redact_values').split('\n').forEach(value => registerSecret(value.trim()));
 
     // Validate inputs
     if (!githubToken) {
       throw new Error('GitHub token is required to comment on the PR');
     }
 
-    if (!deepseekApiKey) {
-      throw new Error('Deepseek API key is required to connect to the service');
+    if (!COMMENT_MODES.includes(commentMode)) {
+      throw new Error(`Invalid comment_mode "${commentMode}". Expected one of: ${COMMENT_MODES.join(', ')}`);
+    }
+
+    if (!FAIL_ON_LEVELS.includes(failOn)) {
+      throw new Error(`Invalid fail_on "${failOn}". Expected one of: ${FAIL_ON_LEVELS.join(', ')}`);
+    }
+
+    if (!ANALYSIS_MODES.includes(analysisMode)) {
+      throw new Error(`Invalid mode "${analysisMode}". Expected one of: ${ANALYSIS_MODES.join(', ')}`);
+    }
+
+    if (!API_ERROR_MODES.includes(onApiError)) {
+      throw new Error(`Invalid on_api_error "${onApiError}". Expected one of: ${API_ERROR_MODES.join(', ')}`);
+    }
+
+    if (!CACHE_MODES.includes(cacheMode)) {
+      throw new Error(`Invalid cache "${cacheMode}". Expected one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    if (!REVIEW_OUTSIDE_DIFF_MODES.includes(reviewOutsideDiff)) {
+      throw new Error(`Invalid review_outside_diff "${reviewOutsideDiff}". Expected one of: ${REVIEW_OUTSIDE_DIFF_MODES.join(', ')}`);
+    }
+
+    if (!NOTIFY_ON_LEVELS.includes(notifyOn)) {
+      throw new Error(`Invalid notify_on "${notifyOn}". Expected one of: ${NOTIFY_ON_LEVELS.join(', ')}`);
+    }
+
+    if (!NOTIFY_BRANCHES.includes(notifyBranches)) {
+      throw new Error(`Invalid notify_branches "${notifyBranches}". Expected one of: ${NOTIFY_BRANCHES.join(', ')}`);
+    }
+
+    if (!HISTORY_MODES.includes(historyMode)) {
+      throw new Error(`Invalid history "${historyMode}". Expected one of: ${HISTORY_MODES.join(', ')}`);
     }
 
-    // 2. Initialize "OpenAI" client pointing to Deepseek
-    const openai = new OpenAI({
-      baseURL: 'https://api.deepseek.com', // Deepseek endpoint
-      apiKey: deepseekApiKey
+    // Load the repository config and select the prompt, so configuration errors are reported before any API call
+    const { path: configPath, config } = await loadConfig(core.getInput('config_file'), workspace);
+    const prompt = await resolvePrompt({
+      config,
+      profile: core.getInput('profile'),
+      systemPrompt: core.getInput('system_prompt'),
+      promptFile: core.getInput('prompt_file'),
+      workspace
     });
+    console.log(`Using the prompt from ${prompt.source}${configPath ? ` (config: ${configPath})` : ''}`);
+    language = resolveLanguage(core.getInput('language') || config.language);
+
+    // Prices of the config file, overridden by the model_prices input
+    const prices = { ...config.prices, ...parsePrices(core.getInput('model_prices')) };
+    const usage = createUsageTracker(prices);
+
+    // 2. Initialize the LLM provider client (Deepseek unless configured otherwise),
+    // retrying transient API failures before moving on to the fallback models.
+    // The heuristic mode, or a missing API key with the fallback enabled, analyzes the log offline instead.
+    let offline = analysisMode === 'heuristic' ? { reason: null } : null;
+    let client = null;
+    try {
+      client = offline ? null : createModelClient({
+        provider: core.getInput('provider') || 'deepseek',
+        apiKey,
+        baseURL: core.getInput('base_url'),
+        model: core.getInput('model'),
+        apiVersion: core.getInput('api_version'),
+        temperature: getNumberInput('temperature', 0.5, { allowZero: true }), // Low temperature for more precise responses
+        maxTokens,
+        timeout: requestTimeout * 1000,
+        fallbackModels: core.getInput('fallback_models'),
+        fallbackApiKey,
+        retries: maxRetries,
+        onRetry: (error, attempt, delay) => core.info(`Model request failed (${error.message}), retry ${attempt} of ${maxRetries} in ${(delay / 1000).toFixed(1)}s`),
+        onFallback: (error, next) => core.warning(`Model request failed (${error.message}), falling back to ${next.label} with model ${next.model}`),
+        onUsage: (requestUsage, answering) => usage.record(requestUsage, answering)
+      });
+    } catch (error) {
+      if (apiKey || !heuristicFallback) {
+        throw error;
+      }
+      core.warning(`${error.message}, analyzing the log with the built-in rules instead`);
+      offline = { reason: error.message };
+    }
+    const { provider, fallbacks, complete } = client || {};
+    if (client) {
+      console.log(`Using ${provider.label} with model ${provider.model}${fallbacks.length > 0 ? `, falling back to ${fallbacks.map(fallback => fallback.model).join(', ')}` : ''}`);
+    } else {
+      console.log('Using the built-in rules for common errors, without a model');
+    }
+
+    // Fetch the failing steps of the workflow run when requested
+    let failedSteps = [];
+    if (useWorkflowLogs) {
+      failedSteps = await fetchFailedStepLogs(github.getOctokit(githubToken), {
+        owner: github.context.repo.owner,
+        repo: github.context.repo.repo,
+        runId,
+        onError: (job, error) => core.warning(`Could not download the log of job ${job.name}, skipping it: ${error.message}`)
+      });
+      if (failedSteps.length === 0) {
+        core.info(`No failed jobs were found in workflow run ${runId}`);
+      } else {
+        console.log(`Fetched logs of ${failedSteps.length} failed step(s) from workflow run ${runId}`);
+      }
+    }
+
+    // Collect the log from the inline input, any files matched by log_paths and the failed steps
+    const collected = await collectLogContent(logContentInput, logPaths, failedSteps);
+    let logContent = collected.content;
+    const testReports = collected.testReports;
+
+    // Mask secrets and personal data before the log leaves the runner
+    const redactOptions = { secrets: registeredSecrets, patterns: redactPatterns, pii: redactPii };
+    let redactions = {};
+    if (redact) {
+      const redaction = redactLog(logContent, testReports, redactOptions);
+      logContent = redaction.text;
+      redactions = redaction.counts;
+      core.setOutput("redaction_count", redaction.total);
+      console.log(`Redacted ${redaction.total} value(s) from the log`);
+    }
 
     // Determine if we have log content to analyze
     if (!logContent || logContent.trim() === '') {
       core.warning('No log content was provided to interpret. A generic message will be sent.');
     }
 
+    // Strip noise and keep the log within the model's context window
+    const { chunks, originalTokens, processedTokens, filtered, droppedChunks } = preprocessLog(logContent, {
+      maxChunkTokens,
+      maxChunks,
+      contextLines
+    });
+    console.log(`Log reduced from ~${originalTokens} to ~${processedTokens} tokens in ${chunks.length} part(s)`);
+    if (filtered) {
+      core.info('Log exceeds a single request; only lines around errors, warnings and stack traces were kept');
+    }
+    if (droppedChunks > 0) {
+      core.warning(`Log is too large: ${droppedChunks} part(s) with the fewest errors were skipped (max_chunks: ${maxChunks})`);
+    }
+
+    // Attach the changes of the PR so the model can tell whether they caused the failure
+    let diffContext = '';
+    let changes = null;
+    const pullRequest = github.context.payload.pull_request;
+    if (((prContext && !offline) || reviewComments) && pullRequest) {
+      try {
+        changes = await fetchPullRequestChanges(github.getOctokit(githubToken), {
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          pullNumber: pullRequest.number
+        });
+        if (prContext && !offline) {
+          // A secret committed by mistake must not reach the model through the diff either
+          let sentChanges = changes;
+          if (redact) {
+            const redaction = redactChanges(changes, redactOptions);
+            sentChanges = redaction.changes;
+            for (const [type, count] of Object.entries(redaction.counts)) {
+              redactions[type] = (redactions[type] || 0) + count;
+            }
+            if (redaction.total > 0) {
+              core.setOutput("redaction_count", Object.values(redactions).reduce((sum, count) => sum + count, 0));
+              console.log(`Redacted ${redaction.total} value(s) from the changes of PR #${pullRequest.number}`);
+            }
+          }
+          diffContext = buildDiffContext(sentChanges, logContent, maxDiffTokens);
+          console.log(`Attached ${changes.files.length} changed file(s) of PR #${pullRequest.number} as context`);
+        }
+      } catch (error) {
+        core.warning(`Could not fetch the changes of PR #${pullRequest.number}, analyzing the log alone: ${error.message}`);
+      }
+    }
+
     // 3. Build an appropriate prompt to interpret logs
-    const systemPrompt = `
-You are an expert in interpreting computer system logs. Your task is to:
-
-1. Analyze the provided log content
-2. Identify patterns, errors, warnings, and important events
-3. Explain in clear language what is happening
-4. Suggest possible solutions if you detect problems
-5. Organize your response with markdown formatting for easy reading
-
-If the log contains errors, explain what they mean and how to resolve them. If there are no obvious errors, summarize the main events from the log.
-`;
-
-    // 4. Call the "deepseek-chat" model with log content
-    const completion = await openai.chat.completions.create({
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: logContent || "No log content was provided for analysis." }
-      ],
-      model: "deepseek-chat",
-      temperature: 0.5, // Reduce temperature for more precise responses
-      max_tokens: 1000  // Allow longer responses for complete analysis
+    const variables = getTemplateVariables();
+    const systemPrompt = buildSystemPrompt(renderTemplate(prompt.template, variables), {
+      instructions: renderTemplate(prompt.instructions, variables),
+      prContext: Boolean(diffContext),
+      language
     });
 
-    // 5. Get the response
-    const responseText = completion.choices[0].message.content;
-    console.log("Deepseek analysis completed");
+    // Reuse the analysis of an identical log, such as the previous attempt of a flaky job
+    const cacheOptions = { mode: cacheMode, dir: cacheDir };
+    const fingerprint = offline ? null : fingerprintLog(chunks.join('\n'), {
+      provider: provider.name,
+      model: provider.model,
+      // The template rather than the rendered prompt, which may contain the run URL
+      prompt: [prompt.template, prompt.instructions],
+      language,
+      context: diffContext
+    });
+    let cached = null;
+    if (cacheMode !== 'none' && !offline) {
+      try {
+        cached = await readCachedAnalysis(fingerprint, cacheOptions);
+      } catch (error) {
+        core.warning(`Could not read the analysis cache: ${error.message}`);
+      }
+    }
+    core.setOutput("cache_hit", Boolean(cached));
+
+    // Keep the analysis within the token and cost budgets, dropping the least relevant parts of the log first
+    let analyzedChunks = chunks;
+    if (!cached && !offline && (maxInputTokens || maxCost)) {
+      const price = findPrice(prices, provider);
+      if (maxCost && !price) {
+        core.warning(`No price is known for model ${provider.model}, so max_cost is not applied. Add it to model_prices.`);
+      }
+      const budget = fitToBudget(chunks, { systemPrompt, context: diffContext, maxTokens, maxInputTokens, maxCost, price });
+      const estimatedCost = price ? ` (~${formatCost(estimateCost(budget.estimate, price))})` : '';
+      console.log(`Estimated usage: up to ~${budget.estimate.promptTokens} input and ${budget.estimate.completionTokens} output tokens${estimatedCost}`);
+      if (budget.skipped) {
+        const reason = `the log doesn't fit in the budget (max_input_tokens: ${maxInputTokens || 'none'}, max_cost: ${maxCost || 'none'})`;
+        if (!heuristicFallback) {
+          core.warning(`The analysis was skipped: ${reason}`);
+          setUsageOutputs(usage.summary());
+          setSkippedOutputs();
+          return;
+        }
+        // Like a failed model, the built-in rules analyze the log without spending anything
+        core.warning(`The model analysis was skipped because ${reason}, analyzing the log with the built-in rules instead`);
+        offline = { reason };
+      } else if (budget.droppedChunks > 0 || budget.truncated) {
+        core.warning(`The log was reduced to fit the budget: ${budget.droppedChunks} part(s) skipped${budget.truncated ? ', the beginning of the remaining part cut' : ''}`);
+      }
+      analyzedChunks = budget.chunks;
+    }
+
+    // Post a placeholder comment right away, updated as the reply arrives
+    const prNumber = github.context.issue.number;
+    if (progressComment && prNumber && !cached && !offline) {
+      progress = createProgressComment(github.getOctokit(githubToken), {
+        owner: github.context.repo.owner,
+        repo: github.context.repo.repo,
+        issueNumber: prNumber,
+        mode: commentMode,
+        keepHistory,
+        interval: progressInterval * 1000,
+        onError: error => core.info(`Could not update the progress comment: ${error.message}`)
+      });
+      try {
+        const placeholder = await progress.start(formatProgress('', { language }));
+        console.log(`Progress comment ${placeholder.action} on PR #${prNumber}: ${placeholder.url}`);
+      } catch (error) {
+        core.warning(`Could not post the progress comment, the analysis will be posted once complete: ${error.message}`);
+        progress = null;
+      }
+    }
+
+    // 4. Send the log to the model, one request per chunk if it had to be split,
+    // streaming the replies to the step output
+    const streamObserver = stream && !cached && !offline ? createStreamObserver({
+      onProgress: text => progress && progress.update(formatProgress(text, { language }))
+    }) : null;
+    let responseText = null;
+    let apiError = null;
+    if (!offline) {
+      try {
+        if (streamObserver) {
+          core.startGroup('Model reply');
+        }
+        responseText = cached ? cached.response : await analyzeChunks(complete, systemPrompt, analyzedChunks, {
+          requestOptions: { json: true },
+          context: diffContext,
+          stream: streamObserver
+        });
+      } catch (error) {
+        if (heuristicFallback) {
+          // The built-in rules still give the failure a basic analysis
+          const message = `The model API failed (${error.message}), analyzing the log with the built-in rules instead`;
+          if (onApiErrorInput === 'skip') {
+            core.info(message);
+          } else {
+            core.warning(message);
+          }
+          offline = { reason: error.message };
+          apiError = onApiErrorInput ? error : null;
+        } else {
+          if (onApiError === 'fail') {
+            throw error;
+          }
+          // An unavailable model must not fail an otherwise green build
+          const message = `The log could not be analyzed, the model API failed: ${error.message}`;
+          if (onApiError === 'warn') {
+            core.warning(message);
+          } else {
+            core.info(message);
+          }
+          await abandonProgress(progress, getTranslator(language)('comment.apiFailed', { message: error.message }), { language });
+          setSkippedOutputs();
+          return;
+        }
+      } finally {
+        if (streamObserver) {
+          streamObserver.flush();
+          core.endGroup();
+        }
+        // Failed runs are reported too: the requests made before the failure are billed
+        const summary = usage.summary();
+        setUsageOutputs(summary);
+        if (summary.requests > 0) {
+          console.log(`Model usage: ${formatUsage(summary)} in ${summary.requests} request(s)`);
+        }
+      }
+    } else {
+      setUsageOutputs(usage.summary());
+    }
+    core.setOutput("heuristic", Boolean(offline));
+    const analyzer = offline ? HEURISTIC_ANALYZER : cached ? cached.provider : complete.provider();
+    if (cached) {
+      console.log(`Reusing the analysis of run ${cached.run.id} (log fingerprint ${fingerprint.slice(0, 12)})`);
+    } else {
+      console.log(`${analyzer.label} analysis completed`);
+    }
+
+    // 5. Validate the structured response, keeping the raw text if it isn't valid JSON
+    const analysis = offline ? analyzeHeuristically(logContent, { language }) : parseAnalysis(responseText);
+    if (!analysis.structured && !offline) {
+      core.warning(`The model did not return a valid structured analysis (${analysis.errors.join('; ')}). Using its response as plain text.`);
+    }
+
+    // Only valid analyses are cached, so a bad response isn't served again
+    if (cacheMode !== 'none' && !cached && !offline && analysis.structured) {
+      try {
+        await writeCachedAnalysis({
+          fingerprint,
+          response: responseText,
+          provider: { name: analyzer.name, label: analyzer.label, model: analyzer.model },
+          run: { id: github.context.runId, attempt: Number(process.env.GITHUB_RUN_ATTEMPT) || 1, url: getRunUrl() }
+        }, cacheOptions);
+      } catch (error) {
+        core.warning(`Could not save the analysis to the cache: ${error.message}`);
+      }
+    }
+
+    const maxSeverity = getMaxSeverity(analysis);
+    const verdict = evaluateVerdict(maxSeverity, failOn);
+
+    // Compare the errors with the failures of previous runs, then add this run to the history
+    let recurrence = null;
+    if (historyMode !== 'none') {
+      try {
+        recurrence = await checkFailureHistory(logContent, maxSeverity, {
+          mode: historyMode,
+          octokit: github.getOctokit(githubToken),
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          branch: historyBranch,
+          days: historyDays
+        });
+        core.setOutput("seen_before", recurrence.matches.length);
+        core.setOutput("flaky", recurrence.assessment.flaky);
+        if (recurrence.matches.length > 0) {
+          console.log(`The same errors were seen in ${recurrence.matches.length} earlier run(s) of the last ${historyDays} days`);
+        }
+      } catch (error) {
+        core.warning(`Could not check the failure history: ${error.message}`);
+      }
+    }
 
     // 6. Format the response for the comment
-    const formattedResponse = formatResponse(responseText);
+    const formattedResponse = formatResponse(analysis, {
+      failedSteps,
+      testReports,
+      cachedFrom: cached && cached.run,
+      offline,
+      usage: usage.summary(),
+      recurrence,
+      language
+    });
 
-    // 7. If a PR number exists in the context, comment on the PR
-    await commentOnPR(githubToken, formattedResponse);
-    
-    // Set the response as the action's output
-    core.setOutput("interpretation", responseText);
+    // 7. Write the report to the job summary and to files, so runs without a PR keep it too
+    await writeJobSummary({
+      markdown: jobSummary ? formattedResponse : null,
+      redactions,
+      // Offline and cached analyses never sent the log anywhere
+      providerLabel: offline || cached ? null : analyzer.label,
+      language
+    });
+
+    if (reportPath || reportJsonPath) {
+      if (reportPath) {
+        core.setOutput("report_path", await writeReportFile(reportPath, formattedResponse, workspace));
+      }
+      if (reportJsonPath) {
+        const report = buildJsonReport({
+          analysis,
+          verdict,
+          maxSeverity,
+          provider: analyzer,
+          failedSteps,
+          testReports,
+          redactions,
+          usage: usage.summary(),
+          run: { repository: `${github.context.repo.owner}/${github.context.repo.repo}`, sha: getHeadSha(), url: getRunUrl() }
+        });
+        core.setOutput("report_json_path", await writeReportFile(reportJsonPath, `${JSON.stringify(report, null, 2)}\n`, workspace));
+      }
+    }
+
+    // 8. If a PR number exists in the context, comment on the PR, finalizing the progress comment if one was posted
+    if (progress) {
+      const result = await progress.finish(formattedResponse);
+      console.log(`Comment ${result.action} on PR #${prNumber}: ${result.url}`);
+    } else {
+      await commentOnPR(githubToken, formattedResponse, { mode: commentMode, keepHistory });
+    }
+
+    // Comment on the changed lines the findings point to, with their code changes as suggestions
+    if (reviewComments && changes && analysis.structured) {
+      try {
+        const { comments, outside } = buildReviewComments(analysis.findings, changes.files, { workspace, language });
+        const review = await publishReview(github.getOctokit(githubToken), {
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          pullNumber: pullRequest.number,
+          commitId: getHeadSha(),
+          comments,
+          outside: reviewOutsideDiff === 'summary' ? outside : [],
+          language
+        });
+        core.setOutput("review_comment_count", review ? review.comments : 0);
+        if (review) {
+          console.log(`Review with ${review.comments} line comment(s) published on PR #${pullRequest.number}: ${review.url}`);
+        }
+      } catch (error) {
+        core.warning(`Could not publish the review comments: ${error.message}`);
+      }
+    }
+
+    // Send the analysis to chat channels and webhooks, which also reach runs without a pull request
+    if (notifyTargets.length > 0) {
+      const variables = getTemplateVariables();
+      const notification = {
+        repository: variables.repo,
+        branch: variables.branch,
+        defaultBranch: github.context.payload.repository && github.context.payload.repository.default_branch,
+        sha: variables.sha,
+        prNumber: pullRequest ? pullRequest.number : null,
+        prUrl: pullRequest ? pullRequest.html_url : null,
+        runUrl: getRunUrl(),
+        maxSeverity,
+        verdict: verdict.verdict,
+        summary: analysis.summary,
+        findings: analysis.findings,
+        markdown: formattedResponse,
+        language
+      };
+      if (shouldNotify(notification, { on: notifyOn, branches: notifyBranches })) {
+        const results = await notifyAll(notifyTargets, notification, { timeout: requestTimeout * 1000 });
+        for (const { type, error } of results) {
+          if (error) {
+            core.warning(`Could not send the ${type} notification: ${error.message}`);
+          } else {
+            console.log(`Sent the ${type} notification`);
+          }
+        }
+      } else {
+        console.log(`Notifications skipped (notify_on: ${notifyOn}, notify_branches: ${notifyBranches})`);
+      }
+    }
     
+    // Set the response as the action's outputs
+    core.setOutput("interpretation", renderAnalysis(analysis, { language }));
+    core.setOutput("findings_json", JSON.stringify(analysis.findings));
+    core.setOutput("max_severity", maxSeverity);
+    core.setOutput("error_count", countFindings(analysis, 'error'));
+    core.setOutput("warning_count", countFindings(analysis, 'warning'));
+    core.setOutput("verdict", verdict.verdict);
+
+    // 9. Gate the workflow on the analysis verdict
+
+    if (commitStatus) {
+      await publishCommitStatus(github.getOctokit(githubToken), {
+        owner: github.context.repo.owner,
+        repo: github.context.repo.repo,
+        sha: getHeadSha(),
+        verdict,
+        context: statusContext,
+        targetUrl: getRunUrl()
+      });
+    }
+
+    if (checkRun) {
+      const annotations = prepareAnnotations([
+        ...findingAnnotations(analysis.findings, workspace),
+        ...extractLogAnnotations(logContent, workspace)
+      ], workspace);
+      const check = await publishCheckRun(github.getOctokit(githubToken), {
+        owner: github.context.repo.owner,
+        repo: github.context.repo.repo,
+        sha: getHeadSha(),
+        name: checkName,
+        title: verdict.description,
+        summary: formattedResponse,
+        verdict: verdict.verdict,
+        annotations,
+        detailsUrl: getRunUrl()
+      });
+      console.log(`Check run published with ${annotations.length} annotation(s): ${check.url}`);
+    }
+
+    if (verdict.verdict === 'neutral' && failOn !== 'never') {
+      core.warning(`${verdict.description}; fail_on was not applied`);
+    }
+
+    if (verdict.failed) {
+      core.setFailed(`Voltaflow analysis failed the workflow: ${verdict.description}`);
+    }
+
+    if (apiError && onApiError === 'fail') {
+      core.setFailed(`The model API failed (on_api_error: fail): ${apiError.message}`);
+    }
+
   } catch (error) {
     // If there's an error, mark the action as failed
     console.error("Error:", error.message);
+    await abandonProgress(progress, getTranslator(language)('comment.failed', { message: error.message }), { language });
     core.setFailed(error.message);
   }
 }
 
 /**
- * Formats the Deepseek response in a structured comment
- * @param {string} responseText - Response text from Deepseek
+ * Masks a value in the workflow logs and remembers it for log redaction
+ * @param {string} value - Secret value
+ */
+function registerSecret(value) {
+  if (value) {
+    core.setSecret(value);
+    registeredSecrets.push(value);
+  }
+}
+
+/**
+ * Sets the token usage and cost outputs
+ * @param {Object} usage - Summary returned by the usage tracker
+ */
+function setUsageOutputs(usage) {
+  core.setOutput("prompt_tokens", usage.promptTokens);
+  core.setOutput("completion_tokens", usage.completionTokens);
+  core.setOutput("total_tokens", usage.totalTokens);
+  core.setOutput("estimated_cost", usage.cost === null ? '' : usage.cost.toFixed(6));
+}
+
+/**
+ * Sets the analysis outputs of a run that analyzed nothing
+ */
+function setSkippedOutputs() {
+  core.setOutput("heuristic", false);
+  core.setOutput("interpretation", '');
+  core.setOutput("findings_json", '[]');
+  core.setOutput("max_severity", 'unknown');
+  core.setOutput("error_count", 0);
+  core.setOutput("warning_count", 0);
+  core.setOutput("verdict", 'neutral');
+}
+
+/**
+ * Finds the earlier runs that failed with the same errors and records the current run in the history
+ * Nothing is recorded for logs without errors, so the history only holds failures.
+ * @param {string} logContent - Redacted log content
+ * @param {string} maxSeverity - Highest severity of the analysis
+ * @param {Object} options - History options
+ * @param {string} options.mode - branch or actions
+ * @param {Object} options.octokit - Authenticated Octokit client
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.branch - Branch holding the history in branch mode
+ * @param {number} options.days - How long failures are remembered
+ * @returns {Promise<{matches: Object[], assessment: Object, days: number}>} - Earlier occurrences and what they say about the failure
+ */
+async function checkFailureHistory(logContent, maxSeverity, { mode, octokit, owner, repo, branch, days }) {
+  const attempt = Number(process.env.GITHUB_RUN_ATTEMPT) || 1;
+  const variables = getTemplateVariables();
+  const record = {
+    fingerprint: fingerprintLog(logContent),
+    signatures: extractSignatures(logContent),
+    max_severity: maxSeverity,
+    run: { id: github.context.runId, attempt, url: getRunUrl() },
+    pr: variables.pr_number || null,
+    branch: variables.branch,
+    sha: variables.sha,
+    workflow: variables.workflow,
+    job: variables.job,
+    created_at: new Date().toISOString()
+  };
+  const store = {
+    mode,
+    octokit,
+    owner,
+    repo,
+    branch,
+    ref: record.branch,
+    run: `${record.run.id}-${attempt}`,
+    // Without actions: write the older entries just expire, which isn't worth a warning on every run
+    onError: error => (error.status === 403 ? core.info : core.warning)(`Could not prune the older failure history cache entries: ${error.message}`)
+  };
+
+  const history = await readHistory(store);
+  const matches = findOccurrences(history.records, record, { days });
+  if (record.signatures.length > 0) {
+    await writeHistory(store, records => addRecord(records, record, { days }), history);
+  }
+
+  return { matches, assessment: assessRecurrence(matches, record), days };
+}
+
+/**
+ * Reads a numeric input, falling back to a default when it is empty
+ * @param {string} name - Input name
+ * @param {number} defaultValue - Value used when the input is not set
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowZero - Accept 0 as a valid value
+ * @returns {number} - Parsed value
+ */
+function getNumberInput(name, defaultValue, { allowZero = false } = {}) {
+  const value = core.getInput(name);
+  if (!value) {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || (parsed === 0 && !allowZero)) {
+    throw new Error(`Input ${name} must be a ${allowZero ? 'non-negative' : 'positive'} number, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Reads a boolean input, falling back to a default when it is empty
+ * @param {string} name - Input name
+ * @param {boolean} defaultValue - Value used when the input is not set
+ * @returns {boolean} - Parsed value
+ */
+function getBooleanInput(name, defaultValue) {
+  if (!core.getInput(name)) {
+    return defaultValue;
+  }
+  return core.getBooleanInput(name);
+}
+
+/**
+ * Returns the commit the run is about: the PR head for pull requests, the pushed commit otherwise
+ * @returns {string} - Commit SHA
+ */
+function getHeadSha() {
+  const pullRequest = github.context.payload.pull_request;
+  return pullRequest ? pullRequest.head.sha : github.context.sha;
+}
+
+/**
+ * Returns the URL of the current workflow run
+ * @returns {string} - Run URL
+ */
+function getRunUrl() {
+  const { serverUrl, runId, repo } = github.context;
+  return `${serverUrl}/${repo.owner}/${repo.repo}/actions/runs/${runId}`;
+}
+
+/**
+ * Returns the values of the variables available in prompt templates
+ * @returns {Object<string, string|number>} - Variable values
+ */
+function getTemplateVariables() {
+  const { repo, payload, ref, job, workflow } = github.context;
+  const pullRequest = payload.pull_request;
+  return {
+    repo: `${repo.owner}/${repo.repo}`,
+    branch: pullRequest ? pullRequest.head.ref : process.env.GITHUB_REF_NAME || (ref || '').replace(/^refs\/(heads|tags)\//, ''),
+    sha: getHeadSha(),
+    pr_number: pullRequest ? pullRequest.number : undefined,
+    pr_title: pullRequest ? pullRequest.title : undefined,
+    job,
+    workflow,
+    run_url: getRunUrl()
+  };
+}
+
+/**
+ * Builds the log to analyze from the `log_content` input, the files matched by `log_paths`
+ * and the logs fetched from the workflow run
+ * Sources that are test reports (JUnit XML, TAP, Jest or pytest JSON) are replaced by a compact
+ * summary of their failures.
+ * @param {string} logContentInput - Value of the `log_content` input
+ * @param {string[]} logPaths - Patterns from the `log_paths` input
+ * @param {Array<{label: string, content: string}>} extraSources - Already loaded sources, such as failed steps
+ * @returns {Promise<{content: string, testReports: Object[]}>} - Combined log content, labelled per source, and the parsed test reports
+ */
+async function collectLogContent(logContentInput, logPaths, extraSources = []) {
+  const sources = [];
+
+  if (logContentInput && logContentInput.trim() !== '') {
+    sources.push({ label: 'log_content input', content: logContentInput, inline: true });
+  }
+
+  if (logPaths.length > 0) {
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const files = await resolveLogFiles(logPaths, workspace);
+
+    if (files.length === 0) {
+      core.warning(`No log files matched log_paths: ${logPaths.join(', ')}`);
+    } else {
+      console.log(`Reading ${files.length} log file(s)`);
+    }
+
+    sources.push(...await readLogSources(files, workspace));
+  }
+
+  sources.push(...extraSources);
+
+  const testReports = extractTestReports(sources, process.env.GITHUB_WORKSPACE || process.cwd());
+
+  return { content: combineLogSources(sources), testReports };
+}
+
+/**
+ * Formats the analysis in a structured comment
+ * @param {Object|string} analysis - Analysis returned by parseAnalysis, or markdown text
+ * @param {Object} details - Additional context shown in the comment
+ * @param {Array<{label: string, url: string}>} details.failedSteps - Failed workflow steps that were analyzed
+ * @param {Object[]} details.testReports - Parsed test reports, listed in a table of failed tests
+ * @param {{id: number, attempt: number, url: string}} details.cachedFrom - Run the analysis was cached from
+ * @param {{reason: string|null}} details.offline - Set when the built-in rules analyzed the log, with the reason the model wasn't used
+ * @param {Object} details.usage - Token usage of the run, shown in the footer when the model was called
+ * @param {Object} details.recurrence - Earlier occurrences of the failure, returned by checkFailureHistory
+ * @param {string} details.language - Language code of the text added around the analysis
  * @returns {string} - Formatted comment
  */
-function formatResponse(responseText) {
-  return `
-## 🤖 Log Analysis by Voltaflow
+function formatResponse(analysis, { failedSteps = [], testReports = [], cachedFrom = null, offline = null, usage = null, recurrence = null, language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const responseText = typeof analysis === 'string' ? analysis : renderAnalysis(analysis, { language });
+  let sourceNote = '';
+  if (cachedFrom) {
+    const run = t('comment.cachedRun', { id: cachedFrom.id });
+    const label = cachedFrom.attempt > 1 ? t('comment.cachedAttempt', { run, attempt: cachedFrom.attempt }) : run;
+    sourceNote = `> ${t('comment.cached', { run: label, url: cachedFrom.url })}\n\n`;
+  }
+  if (offline) {
+    sourceNote = `> ${offline.reason ? t('comment.heuristicFallback', { reason: offline.reason }) : t('comment.heuristic')}\n\n`;
+  }
+  const failedTests = renderFailedTests(testReports, undefined, { language });
+  const testsSection = failedTests ? `\n${failedTests}\n` : '';
+  const seenBefore = recurrence
+    ? renderSeenBefore(recurrence.matches, recurrence.assessment, { days: recurrence.days, language })
+    : '';
+  const historySection = seenBefore ? `\n${seenBefore}\n` : '';
+  const stepsSection = failedSteps.length > 0
+    ? `\n### ${t('comment.failedSteps')}\n\n${failedSteps.map(step => `- [${step.label}](${step.url})`).join('\n')}\n`
+    : '';
+  const usageLine = usage && usage.requests > 0
+    ? `<sub>${t('comment.usage', { usage: formatUsage(usage, { language }) })}</sub>\n`
+    : '';
 
-${responseText}
+  return `${COMMENT_MARKER}
+## ${t('comment.title')}
 
+${sourceNote}${responseText}
+${historySection}${testsSection}${stepsSection}
 ---
-*This analysis was automatically generated by voltaflow-pr-check.*
-`;
+*${t('comment.footer')}*
+${usageLine}`;
+}
+
+/**
+ * Formats the placeholder comment shown while the model answers
+ * The end of the partial reply is included so reviewers can follow a long analysis.
+ * @param {string} partialResponse - Reply received so far
+ * @param {Object} options - Formatting options
+ * @param {string} options.language - Language code of the comment
+ * @returns {string} - Formatted comment
+ */
+function formatProgress(partialResponse = '', { language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const tail = partialResponse.length > PROGRESS_TAIL_LENGTH
+    ? `…${partialResponse.slice(-PROGRESS_TAIL_LENGTH)}`
+    : partialResponse;
+  const partialSection = tail.trim()
+    ? `\n<details>\n<summary>${t('comment.partialResponse', { count: partialResponse.length })}</summary>\n\n\`\`\`text\n${tail.replace(/```/g, "'''")}\n\`\`\`\n</details>\n`
+    : '';
+
+  return `${COMMENT_MARKER}
+## ${t('comment.title')}
+
+> ⏳ ${t('comment.inProgress')}
+${partialSection}`;
+}
+
+/**
+ * Replaces a progress comment that is still open with a failure note, so it doesn't stay in progress
+ * @param {Object} progress - Progress comment, or null
+ * @param {string} message - Why the analysis did not complete, already translated
+ * @param {Object} options - Formatting options
+ * @param {string} options.language - Language code of the comment
+ */
+async function abandonProgress(progress, message, { language = 'en' } = {}) {
+  if (!progress || !progress.isOpen()) {
+    return;
+  }
+  try {
+    await progress.finish(`${COMMENT_MARKER}
+## ${getTranslator(language)('comment.title')}
+
+> ⚠️ ${message}
+`);
+  } catch (error) {
+    core.warning(`Could not update the progress comment: ${error.message}`);
+  }
 }
 
 /**
  * Comments on the PR with the log analysis
+ * By default the previous Voltaflow comment is updated instead of adding a new one
  * @param {string} token - GitHub token
  * @param {string} body - Comment content
+ * @param {Object} options - Comment options
+ * @param {string} options.mode - create, update, replace or hide-previous
+ * @param {boolean} options.keepHistory - Keep previous analyses in a collapsible section
  */
-async function commentOnPR(token, body) {
+async function commentOnPR(token, body, { mode = 'update', keepHistory = false } = {}) {
   const prNumber = github.context.issue.number;
   
   if (prNumber) {
     const octokit = github.getOctokit(token);
-    await octokit.rest.issues.createComment({
+    const result = await publishComment(octokit, {
       owner: github.context.repo.owner,
       repo: github.context.repo.repo,
-      issue_number: prNumber,
-      body: body
+      issueNumber: prNumber,
+      body: body,
+      mode,
+      keepHistory
     });
-    console.log(`Comment added to PR #${prNumber}`);
+    console.log(`Comment ${result.action} on PR #${prNumber}: ${result.url}`);
   } else {
     console.log("No associated PR was found. Displaying results in the console:");
     console.log(body);
   }
 }
 
-// Execute the main function only if this file is run directly (not imported)
-if (import.meta.url === new URL(import.meta.url).href) {
+// Execute the main function only if this file is run directly (not imported). The bundle in dist/
+// is run directly too, as the entry point of the action.
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
   main();
 }
 
 // Export the main function for testing
-export { main, formatResponse, commentOnPR };
+export { main, collectLogContent, formatResponse, formatProgress, commentOnPR };
@@ -0,0 +1,80 @@
+import { estimateTokens } from './preprocess.js';
+
+const CHUNK_PROMPT = `
+You are an expert in interpreting computer system logs. You will receive one part of a larger log that was split because of its size.
+
+Summarize only what matters for diagnosing the run: errors, warnings, failing tests or steps, stack traces and the events leading up to them. Quote the exact error messages and keep any "==> source <==" labels, file paths and line numbers. Do not suggest fixes yet. If the part contains nothing noteworthy, answer with a single line saying so.
+`;
+
+const MERGE_INSTRUCTIONS = `
+The log was too large to analyze at once. Instead of the raw log you will receive summaries of its consecutive parts, in order. Combine them into a single interpretation of the whole log, removing duplicates.
+`;
+
+/**
+ * Interprets a preprocessed log
+ * A single chunk is sent as is; several chunks are summarized separately and the
+ * summaries are merged into one final interpretation.
+ * @param {Function} complete - Async function sending chat messages to the model and resolving to the reply text
+ * @param {string} systemPrompt - Instructions for the final interpretation
+ * @param {string[]} chunks - Log chunks returned by preprocessLog
+ * @param {Object} options - Analysis options
+ * @param {Object} options.requestOptions - Options of the final request, such as `{ json: true }`
+ * @param {string} options.context - Additional context sent before the log in the final request, such as the PR diff
+ * @param {Object} options.stream - Stream observer receiving every reply as it is generated, see createStreamObserver
+ * @param {Function} options.log - Receives progress messages
+ * @returns {Promise<string>} - Interpretation of the log
+ */
+async function analyzeChunks(complete, systemPrompt, chunks, { requestOptions = {}, context = '', stream = null, log = console.log } = {}) {
+  const withContext = (content) => (context ? `${context}\n\n## Log\n\n${content}` : content);
+  const streamOptions = stream ? { stream } : undefined;
+
+  if (chunks.length <= 1) {
+    return complete([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: withContext(chunks[0] || "No log content was provided for analysis.") }
+    ], { ...requestOptions, ...streamOptions });
+  }
+
+  const summaries = [];
+  for (const [index, chunk] of chunks.entries()) {
+    log(`Summarizing log part ${index + 1} of ${chunks.length}`);
+    const summary = await complete([
+      { role: "system", content: CHUNK_PROMPT },
+      { role: "user", content: `Log part ${index + 1} of ${chunks.length}:\n\n${chunk}` }
+    ], streamOptions);
+    summaries.push(`### Part ${index + 1} of ${chunks.length}\n\n${summary}`);
+  }
+
+  return complete([
+    { role: "system", content: `${systemPrompt}\n${MERGE_INSTRUCTIONS}` },
+    { role: "user", content: withContext(summaries.join('\n\n')) }
+  ], { ...requestOptions, ...streamOptions });
+}
+
+/**
+ * Estimates the tokens analyzeChunks will use, before sending anything
+ * The output is the worst case of every reply using all of `maxTokens`; the summaries sent in
+ * the merge request are counted at that size too.
+ * @param {string} systemPrompt - Instructions for the final interpretation
+ * @param {string[]} chunks - Log chunks returned by preprocessLog
+ * @param {Object} options - Estimation options
+ * @param {string} options.context - Additional context sent in the final request
+ * @param {number} options.maxTokens - Maximum tokens of a reply
+ * @returns {{requests: number, promptTokens: number, completionTokens: number}} - Number of requests and token counts
+ */
+function estimateAnalysisTokens(systemPrompt, chunks, { context = '', maxTokens = 2000 } = {}) {
+  const finalPrompt = estimateTokens(systemPrompt) + estimateTokens(context);
+
+  if (chunks.length <= 1) {
+    return { requests: 1, promptTokens: finalPrompt + estimateTokens(chunks[0]), completionTokens: maxTokens };
+  }
+
+  const summaryPrompts = chunks.reduce((sum, chunk) => sum + estimateTokens(CHUNK_PROMPT) + estimateTokens(chunk), 0);
+  return {
+    requests: chunks.length + 1,
+    promptTokens: summaryPrompts + finalPrompt + estimateTokens(MERGE_INSTRUCTIONS) + chunks.length * maxTokens,
+    completionTokens: (chunks.length + 1) * maxTokens
+  };
+}
+
+export { analyzeChunks, estimateAnalysisTokens, CHUNK_PROMPT };
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as actionsCache from '@actions/cache';
+
+/**
+ * Where analyses are cached
+ * `actions` stores them with the GitHub Actions cache, `local` only in the cache directory,
+ * for self-hosted runners that keep it between runs.
+ */
+const CACHE_MODES = ['none', 'actions', 'local'];
+
+// Bumped when the cached entry or the analysis format changes, so old entries are ignored
+const CACHE_VERSION = 1;
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'voltaflow');
+
+/**
+ * Returns the cache key of a fingerprint in the Actions cache
+ * @param {string} fingerprint - Log fingerprint
+ * @returns {string} - Cache key
+ */
+function getCacheKey(fingerprint) {
+  return `voltaflow-analysis-v${CACHE_VERSION}-${fingerprint}`;
+}
+
+/**
+ * Looks up a previous analysis of the same log
+ * @param {string} fingerprint - Log fingerprint
+ * @param {Object} options - Cache options
+ * @param {string} options.mode - actions or local
+ * @param {string} options.dir - Cache directory
+ * @param {Object} options.cache - Actions cache client, @actions/cache by default
+ * @returns {Promise<Object|null>} - Cached entry, or null on a miss
+ */
+async function readCachedAnalysis(fingerprint, { mode, dir = DEFAULT_CACHE_DIR, cache = actionsCache }) {
+  const entryDir = path.join(dir, fingerprint);
+
+  if (mode === 'actions' && !cache.isFeatureAvailable()) {
+    throw new Error('the GitHub Actions cache is not available on this runner');
+  }
+
+  if (mode === 'actions' && !await cache.restoreCache([entryDir], getCacheKey(fingerprint))) {
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(await fs.promises.readFile(path.join(entryDir, 'analysis.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  return entry.version === CACHE_VERSION && entry.fingerprint === fingerprint ? entry : null;
+}
+
+/**
+ * Stores an analysis for later runs
+ * An existing Actions cache entry for the same key is kept, since entries can't be overwritten.
+ * @param {Object} entry - Analysis to store
+ * @param {string} entry.fingerprint - Log fingerprint
+ * @param {string} entry.response - Model response
+ * @param {Object} entry.provider - Name, label and model of the provider that answered
+ * @param {Object} entry.run - ID and URL of the run the analysis comes from
+ * @param {Object} options - Cache options, as for readCachedAnalysis
+ * @returns {Promise<boolean>} - False when the Actions cache already had the entry
+ */
+async function writeCachedAnalysis({ fingerprint, response, provider, run }, { mode, dir = DEFAULT_CACHE_DIR, cache = actionsCache }) {
+  const entryDir = path.join(dir, fingerprint);
+  await fs.promises.mkdir(entryDir, { recursive: true });
+  await fs.promises.writeFile(path.join(entryDir, 'analysis.json'), JSON.stringify({
+    version: CACHE_VERSION,
+    fingerprint,
+    created_at: new Date().toISOString(),
+    provider,
+    run,
+    response
+  }), 'utf8');
+
+  if (mode === 'actions') {
+    try {
+      await cache.saveCache([entryDir], getCacheKey(fingerprint));
+    } catch (error) {
+      if (error.name === 'ReserveCacheError') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  return true;
+}
+
+export { CACHE_MODES, DEFAULT_CACHE_DIR, getCacheKey, readCachedAnalysis, writeCachedAnalysis };
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+import { WARNING_PATTERN, isErrorLine } from './preprocess.js';
+
+// The Checks API accepts at most 50 annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_ANNOTATIONS = 500;
+
+// Output text fields are limited to 65535 characters
+const MAX_SUMMARY_LENGTH = 65000;
+
+// Annotation titles are limited to 255 characters
+const MAX_TITLE_LENGTH = 255;
+
+const ANNOTATION_LEVELS = { error: 'failure', warning: 'warning', info: 'notice' };
+
+const CONCLUSIONS = { pass: 'success', fail: 'failure', neutral: 'neutral' };
+
+// src/app.ts:12:5 - error ...   src/app.ts(12,5): error TS2322 ...
+const FILE_LINE_PATTERN = /(?:^|[\s(['"])((?:[A-Za-z]:)?[\w./\\@-]+\.[A-Za-z][A-Za-z0-9]*)(?::(\d+)(?::(\d+))?|\((\d+),(\d+)\))/g;
+// File "/home/runner/work/repo/repo/app.py", line 10
+const PYTHON_FRAME_PATTERN = /File "([^"]+)", line (\d+)/;
+// FAIL tests/app.test.js
+const JEST_FAIL_PATTERN = /^\s*FAIL\s+(\S+\.[A-Za-z][A-Za-z0-9]*)\b/;
+// /home/runner/work/repo/repo/src/app.js on its own line, followed by "  12:5  error  message  rule" (ESLint stylish)
+const ESLINT_FILE_PATTERN = /^(\/\S+\.[A-Za-z][A-Za-z0-9]*)$/;
+const ESLINT_ENTRY_PATTERN = /^\s+(\d+):(\d+)\s+(error|warning)\s+(.+?)\s*$/;
+
+const STACK_FRAME_PATTERN = /^\s*at\s|^\s+File "/;
+
+/**
+ * Converts a path found in a log to a repository-relative path
+ * @param {string} filePath - Path as written in the log
+ * @param {string} workspace - Repository checkout directory
+ * @returns {string|null} - Relative path, or null when the path is outside the repository
+ */
+function toRepoPath(filePath, workspace = process.cwd()) {
+  let normalized = filePath.trim().replace(/\\/g, '/').replace(/^file:\/\//, '');
+  const root = workspace.replace(/\\/g, '/').replace(/\/+$/, '');
+
+  if (root && normalized.startsWith(`${root}/`)) {
+    normalized = normalized.slice(root.length + 1);
+  } else {
+    // Logs downloaded from another job still carry that runner's checkout path
+    const runnerPath = normalized.match(/^\/home\/runner\/work\/[^/]+\/[^/]+\/(.+)$/);
+    if (runnerPath) {
+      normalized = runnerPath[1];
+    } else if (normalized.startsWith('/') || /^[A-Za-z]:\//.test(normalized)) {
+      return null;
+    }
+  }
+
+  normalized = path.posix.normalize(normalized.replace(/^\.\//, ''));
+  if (normalized.startsWith('../') || normalized === '.' || normalized.split('/').includes('node_modules')) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Finds the files and lines referenced by a log: compiler and lint errors, failed test files
+ * and the first repository frame of each stack trace
+ * @param {string} logContent - Log content
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object[]} - Check run annotations
+ */
+function extractLogAnnotations(logContent, workspace = process.cwd()) {
+  const annotations = [];
+  let eslintFile = null;
+  let pendingError = null;
+
+  const add = (filePath, line, column, level, message) => {
+    const repoPath = toRepoPath(filePath, workspace);
+    if (!repoPath) {
+      return false;
+    }
+    annotations.push({
+      path: repoPath,
+      start_line: line,
+      end_line: line,
+      ...(column ? { start_column: column, end_column: column } : {}),
+      annotation_level: level,
+      message: message.trim().slice(0, 1000)
+    });
+    return true;
+  };
+
+  for (const line of (logContent || '').split(/\r?\n/)) {
+    const eslintFileMatch = line.match(ESLINT_FILE_PATTERN);
+    if (eslintFileMatch) {
+      eslintFile = eslintFileMatch[1];
+      continue;
+    }
+
+    const eslintEntry = eslintFile && line.match(ESLINT_ENTRY_PATTERN);
+    if (eslintEntry) {
+      const [, lineNumber, column, severity, message] = eslintEntry;
+      add(eslintFile, Number(lineNumber), Number(column), severity === 'error' ? 'failure' : 'warning', message);
+      continue;
+    }
+    if (line.trim() !== '') {
+      eslintFile = null;
+    }
+
+    const jestFail = line.match(JEST_FAIL_PATTERN);
+    if (jestFail) {
+      add(jestFail[1], 1, null, 'failure', line);
+      continue;
+    }
+
+    if (STACK_FRAME_PATTERN.test(line)) {
+      if (pendingError) {
+        const python = line.match(PYTHON_FRAME_PATTERN);
+        const frame = python ? { file: python[1], line: Number(python[2]) } : firstFileReference(line);
+        if (frame && add(frame.file, frame.line, null, 'failure', pendingError)) {
+          pendingError = null;
+        }
+      }
+      continue;
+    }
+
+    const isError = isErrorLine(line);
+    const isWarning = !isError && WARNING_PATTERN.test(line);
+    if (!isError && !isWarning) {
+      continue;
+    }
+
+    const reference = firstFileReference(line);
+    if (reference) {
+      add(reference.file, reference.line, reference.column, isError ? 'failure' : 'warning', line);
+      pendingError = null;
+    } else if (isError) {
+      // Wait for the stack trace that usually follows
+      pendingError = line;
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Returns the first file:line reference of a log line
+ * @param {string} line - Log line
+ * @returns {{file: string, line: number, column: number|null}|null} - Reference found
+ */
+function firstFileReference(line) {
+  FILE_LINE_PATTERN.lastIndex = 0;
+  const match = FILE_LINE_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+  const lineNumber = Number(match[2] || match[4]);
+  const column = Number(match[3] || match[5]) || null;
+  return lineNumber > 0 ? { file: match[1], line: lineNumber, column } : null;
+}
+
+/**
+ * Builds annotations for the findings of the analysis that reference a file
+ * @param {Object[]} findings - Findings from parseAnalysis
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object[]} - Check run annotations
+ */
+function findingAnnotations(findings, workspace = process.cwd()) {
+  return findings
+    .filter(finding => finding.file)
+    .map(finding => {
+      const repoPath = toRepoPath(finding.file, workspace);
+      if (!repoPath) {
+        return null;
+      }
+      const message = [finding.root_cause, finding.suggested_fix && `Suggested fix: ${finding.suggested_fix}`]
+        .filter(Boolean)
+        .join('\n\n');
+      return {
+        path: repoPath,
+        start_line: finding.line || 1,
+        end_line: finding.line || 1,
+        annotation_level: ANNOTATION_LEVELS[finding.severity],
+        title: finding.title.slice(0, MAX_TITLE_LENGTH),
+        message: (message || finding.title).slice(0, 64000)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Removes duplicate annotations and, when the repository is checked out, annotations on missing files
+ * @param {Object[]} annotations - Annotations, most important first
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object[]} - Annotations to publish
+ */
+function prepareAnnotations(annotations, workspace = process.cwd()) {
+  const checkedOut = fs.existsSync(path.join(workspace, '.git'));
+  const seen = new Set();
+
+  return annotations
+    .filter(annotation => {
+      const key = `${annotation.path}:${annotation.start_line}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return !checkedOut || fs.existsSync(path.join(workspace, annotation.path));
+    })
+    .slice(0, MAX_ANNOTATIONS);
+}
+
+/**
+ * Publishes the analysis as a completed check run
+ * Annotations are sent in batches: the first with the creation request, the rest as updates.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Check run options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.sha - Commit the check run belongs to
+ * @param {string} options.name - Check run name
+ * @param {string} options.title - Output title
+ * @param {string} options.summary - Output summary in markdown
+ * @param {string} options.verdict - pass, fail or neutral
+ * @param {Object[]} options.annotations - Annotations to publish
+ * @param {string} options.detailsUrl - Link to the workflow run
+ * @returns {Promise<{id: number, url: string}>} - Created check run
+ */
+async function publishCheckRun(octokit, { owner, repo, sha, name, title, summary, verdict, annotations = [], detailsUrl }) {
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+    batches.push(annotations.slice(i, i + ANNOTATIONS_PER_REQUEST));
+  }
+
+  const output = {
+    title,
+    summary: summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH)}\n\n…` : summary
+  };
+
+  const { data } = await octokit.rest.checks.create({
+    owner,
+    repo,
+    name,
+    head_sha: sha,
+    status: 'completed',
+    conclusion: CONCLUSIONS[verdict] || 'neutral',
+    details_url: detailsUrl,
+    output: { ...output, annotations: batches[0] || [] }
+  });
+
+  for (const batch of batches.slice(1)) {
+    await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: data.id,
+      output: { ...output, annotations: batch }
+    });
+  }
+
+  return { id: data.id, url: data.html_url };
+}
+
+export {
+  toRepoPath,
+  firstFileReference,
+  extractLogAnnotations,
+  findingAnnotations,
+  prepareAnnotations,
+  publishCheckRun
+};
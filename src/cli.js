@@ -0,0 +1,448 @@
+import fs from 'fs';
+import path from 'path';
+import { format, parseArgs } from 'util';
+import { readLogSources, combineLogSources } from './logSources.js';
+import { preprocessLog } from './preprocess.js';
+import { analyzeChunks } from './analyze.js';
+import { parseAnalysis, getMaxSeverity, renderAnalysis } from './findings.js';
+import { FAIL_ON_LEVELS, evaluateVerdict } from './gate.js';
+import { loadConfig, resolvePrompt } from './config.js';
+import { renderTemplate, buildSystemPrompt } from './prompts.js';
+import { renderFailedTests } from './testReports.js';
+import { buildJsonReport } from './report.js';
+import { createModelClient, extractTestReports, redactLog, fitToBudget } from './pipeline.js';
+import { parsePrices, findPrice, estimateCost, createUsageTracker, formatCost, formatUsage } from './usage.js';
+import { parseRedactPatterns } from './redact.js';
+import { resolveLanguage } from './i18n.js';
+import { ANALYSIS_MODES, HEURISTIC_ANALYZER, analyzeHeuristically } from './heuristics.js';
+
+const USAGE = `Usage: voltaflow analyze [files...] [options]
+
+Interprets build and test logs with the same analysis as the voltaflow-pr-check action.
+Directories are read recursively. The log is read from standard input when no file is
+given, or for "-".
+
+Options:
+  -f, --format <md|json>       Output format (default: md)
+      --mode <model|heuristic> Analyze with a model (default) or offline with the built-in rules
+  -p, --provider <name>        deepseek (default), openai, azure, anthropic, ollama or llamacpp
+  -m, --model <model>          Model overriding the provider default
+      --base-url <url>         API endpoint overriding the provider default
+      --api-version <version>  API version of the azure provider
+      --fallback-models <list> Models tried when the primary one keeps failing, comma separated
+      --profile <name>         Analysis profile: default, jest, gradle, terraform, kubernetes...
+      --system-prompt <text>   Custom prompt replacing the profile
+      --prompt-file <file>     File containing a custom prompt
+      --config <file>          Config file (default: .github/voltaflow.yml)
+  -l, --language <code>        Language of the analysis: en, es or pt (default: the config file's, or en)
+      --max-chunk-tokens <n>   Approximate token budget of a model request (default: 8000)
+      --max-chunks <n>         Maximum number of log parts sent to the model (default: 8)
+      --context-lines <n>      Lines kept around errors in large logs (default: 10)
+      --max-retries <n>        Retries of a failed model request (default: 3)
+      --timeout <seconds>      Timeout of a model request (default: 120)
+      --temperature <n>        Sampling temperature of the model (default: 0.5)
+      --max-tokens <n>         Maximum tokens of a model reply (default: 2000)
+      --max-input-tokens <n>   Input token budget of the analysis, 0 for none (default: 0)
+      --max-cost <usd>         Cost budget of the analysis in USD, 0 for none (default: 0)
+      --model-prices <yaml>    Prices of models, as YAML or JSON overriding the config file's
+      --fail-on <severity>     Exit with code 1 on findings of this severity: error, warning, info or never (default)
+      --redact-pattern <regex> Also mask the matches of this pattern, can be repeated
+      --no-redact              Send the log without masking secrets and personal data
+      --no-heuristic-fallback  Fail instead of analyzing with the built-in rules when there is
+                               no API key or the model fails
+  -h, --help                   Show this help
+  -v, --version                Show the version
+
+Environment:
+  VOLTAFLOW_API_KEY            API key of the provider. DEEPSEEK_API_KEY, OPENAI_API_KEY,
+                               AZURE_OPENAI_API_KEY and ANTHROPIC_API_KEY are used as well.
+  VOLTAFLOW_FALLBACK_API_KEY   API key of fallback models on another provider
+
+Exit codes: 0 on success, 1 when the analysis fails or --fail-on is reached, 2 on invalid usage.
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'md' },
+  mode: { type: 'string', default: 'model' },
+  provider: { type: 'string', short: 'p', default: 'deepseek' },
+  model: { type: 'string', short: 'm' },
+  'base-url': { type: 'string' },
+  'api-version': { type: 'string' },
+  'fallback-models': { type: 'string' },
+  profile: { type: 'string' },
+  'system-prompt': { type: 'string' },
+  'prompt-file': { type: 'string' },
+  config: { type: 'string' },
+  language: { type: 'string', short: 'l' },
+  'max-chunk-tokens': { type: 'string' },
+  'max-chunks': { type: 'string' },
+  'context-lines': { type: 'string' },
+  'max-retries': { type: 'string' },
+  timeout: { type: 'string' },
+  temperature: { type: 'string' },
+  'max-tokens': { type: 'string' },
+  'max-input-tokens': { type: 'string' },
+  'max-cost': { type: 'string' },
+  'model-prices': { type: 'string' },
+  'redact-pattern': { type: 'string', multiple: true, default: [] },
+  'fail-on': { type: 'string', default: 'never' },
+  'no-redact': { type: 'boolean', default: false },
+  'no-heuristic-fallback': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+const FORMATS = ['md', 'json'];
+
+// Provider-specific variables, checked after VOLTAFLOW_API_KEY
+const API_KEY_VARIABLES = {
+  deepseek: 'DEEPSEEK_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  azure: 'AZURE_OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY'
+};
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @returns {Object} - Command, files and options with numbers parsed
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (values.help || values.version) {
+    return { ...values, command: null, files: [] };
+  }
+
+  const [command, ...files] = positionals;
+  if (command !== 'analyze') {
+    throw new Error(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Invalid --format "${values.format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  if (!ANALYSIS_MODES.includes(values.mode)) {
+    throw new Error(`Invalid --mode "${values.mode}". Expected one of: ${ANALYSIS_MODES.join(', ')}`);
+  }
+
+  if (!FAIL_ON_LEVELS.includes(values['fail-on'])) {
+    throw new Error(`Invalid --fail-on "${values['fail-on']}". Expected one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  const number = (name, defaultValue, { allowZero = false } = {}) => {
+    if (values[name] === undefined) {
+      return defaultValue;
+    }
+    const parsed = Number(values[name]);
+    if (!Number.isFinite(parsed) || parsed < 0 || (parsed === 0 && !allowZero)) {
+      throw new Error(`--${name} must be a ${allowZero ? 'non-negative' : 'positive'} number, got "${values[name]}"`);
+    }
+    return parsed;
+  };
+
+  return {
+    ...values,
+    command,
+    files,
+    maxChunkTokens: number('max-chunk-tokens', 8000),
+    maxChunks: number('max-chunks', 8),
+    contextLines: number('context-lines', 10),
+    maxRetries: number('max-retries', 3, { allowZero: true }),
+    timeout: number('timeout', 120),
+    temperature: number('temperature', 0.5, { allowZero: true }),
+    maxTokens: number('max-tokens', 2000),
+    maxInputTokens: number('max-input-tokens', 0, { allowZero: true }),
+    maxCost: number('max-cost', 0, { allowZero: true }),
+    redactPatterns: parseRedactPatterns(values['redact-pattern'].join('\n'))
+  };
+}
+
+/**
+ * Describes the CI job the CLI runs in, for GitHub Actions, GitLab CI and Jenkins
+ * @param {Object<string, string>} env - Environment variables
+ * @returns {Object} - Template variables and run details, empty outside these CI systems
+ */
+function getCiEnvironment(env) {
+  if (env.GITHUB_ACTIONS) {
+    return {
+      repo: env.GITHUB_REPOSITORY,
+      branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+      sha: env.GITHUB_SHA,
+      job: env.GITHUB_JOB,
+      workflow: env.GITHUB_WORKFLOW,
+      run_url: env.GITHUB_RUN_ID && `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+    };
+  }
+  if (env.GITLAB_CI) {
+    return {
+      repo: env.CI_PROJECT_PATH,
+      branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME,
+      sha: env.CI_COMMIT_SHA,
+      pr_number: env.CI_MERGE_REQUEST_IID,
+      pr_title: env.CI_MERGE_REQUEST_TITLE,
+      job: env.CI_JOB_NAME,
+      workflow: env.CI_PIPELINE_NAME,
+      run_url: env.CI_JOB_URL
+    };
+  }
+  if (env.JENKINS_URL) {
+    return {
+      repo: env.GIT_URL,
+      branch: env.CHANGE_BRANCH || env.BRANCH_NAME || env.GIT_BRANCH,
+      sha: env.GIT_COMMIT,
+      pr_number: env.CHANGE_ID,
+      pr_title: env.CHANGE_TITLE,
+      job: env.JOB_NAME,
+      run_url: env.BUILD_URL
+    };
+  }
+  return {};
+}
+
+/**
+ * Reads a stream to the end
+ * @param {NodeJS.ReadableStream} stream - Stream to read
+ * @returns {Promise<string>} - Content as UTF-8 text
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Reads the log sources given on the command line
+ * Directories are read recursively; glob patterns are left to the shell.
+ * @param {string[]} files - Files, directories or "-" for standard input
+ * @param {Object} io - Standard input and working directory
+ * @returns {Promise<Array<{label: string, content: string}>>} - Labelled log sources
+ */
+async function readCliSources(files, { stdin, cwd }) {
+  if (files.length === 0) {
+    if (stdin.isTTY) {
+      throw new Error('No log to analyze: pass log files or pipe a log to standard input');
+    }
+    return [{ label: 'stdin', content: await readStream(stdin), inline: true }];
+  }
+
+  const sources = [];
+  for (const file of files) {
+    if (file === '-') {
+      sources.push({ label: 'stdin', content: await readStream(stdin) });
+      continue;
+    }
+    const absolutePath = path.resolve(cwd, file);
+    const stats = await fs.promises.stat(absolutePath).catch(() => null);
+    if (!stats) {
+      throw new Error(`No such log file: ${file}`);
+    }
+    const matches = stats.isDirectory()
+      ? (await fs.promises.readdir(absolutePath, { recursive: true, withFileTypes: true }))
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath || entry.path, entry.name))
+        .sort()
+      : [absolutePath];
+    sources.push(...await readLogSources(matches, cwd));
+  }
+  return sources;
+}
+
+/**
+ * Analyzes the logs given on the command line
+ * @param {Object} options - Parsed command line options
+ * @param {Object} io - Standard input, environment, working directory, fetch implementation and progress log
+ * @returns {Promise<{output: string, verdict: Object}>} - Formatted result and verdict
+ */
+async function analyzeCommand(options, { stdin, env, cwd, fetch, log }) {
+  const apiKey = env.VOLTAFLOW_API_KEY || env[API_KEY_VARIABLES[options.provider]];
+  const fallbackApiKey = env.VOLTAFLOW_FALLBACK_API_KEY;
+
+  // Configuration errors are reported before reading a possibly large log
+  const { config } = await loadConfig(options.config, cwd);
+  const prompt = await resolvePrompt({
+    config,
+    profile: options.profile,
+    systemPrompt: options['system-prompt'],
+    promptFile: options['prompt-file'],
+    workspace: cwd
+  });
+  const language = resolveLanguage(options.language || config.language);
+  const prices = { ...config.prices, ...parsePrices(options['model-prices']) };
+  const usage = createUsageTracker(prices);
+
+  // Without an API key, or when the model fails, the built-in rules analyze the log unless the fallback is off
+  const fallback = !options['no-heuristic-fallback'];
+  let heuristic = options.mode === 'heuristic';
+  let client = null;
+  try {
+    client = heuristic ? null : createModelClient({
+      provider: options.provider,
+      apiKey,
+      baseURL: options['base-url'],
+      model: options.model,
+      apiVersion: options['api-version'],
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      timeout: options.timeout * 1000,
+      fallbackModels: options['fallback-models'],
+      fallbackApiKey,
+      retries: options.maxRetries,
+      fetch,
+      onRetry: (error, attempt, delay) => log(`Model request failed (${error.message}), retry ${attempt} of ${options.maxRetries} in ${(delay / 1000).toFixed(1)}s`),
+      onFallback: (error, next) => log(`Model request failed (${error.message}), falling back to ${next.label} with model ${next.model}`),
+      onUsage: (requestUsage, answering) => usage.record(requestUsage, answering)
+    });
+  } catch (error) {
+    if (apiKey || !fallback) {
+      throw error;
+    }
+    log(`${error.message}, analyzing the log with the built-in rules instead`);
+    heuristic = true;
+  }
+  const { complete } = client || {};
+
+  const sources = await readCliSources(options.files, { stdin, cwd });
+  const testReports = extractTestReports(sources, cwd, { log });
+  let logContent = combineLogSources(sources);
+
+  let redactions = {};
+  if (!options['no-redact']) {
+    const redaction = redactLog(logContent, testReports, {
+      secrets: [apiKey, fallbackApiKey].filter(Boolean),
+      patterns: options.redactPatterns
+    });
+    logContent = redaction.text;
+    redactions = redaction.counts;
+  }
+
+  const { chunks } = preprocessLog(logContent, {
+    maxChunkTokens: options.maxChunkTokens,
+    maxChunks: options.maxChunks,
+    contextLines: options.contextLines
+  });
+
+  const ci = getCiEnvironment(env);
+  const variables = { ...ci, repo: ci.repo || path.basename(cwd) };
+  const systemPrompt = buildSystemPrompt(renderTemplate(prompt.template, variables), {
+    instructions: renderTemplate(prompt.instructions, variables),
+    language
+  });
+
+  // Keep the analysis within the token and cost budgets, as the action's max_input_tokens and max_cost
+  let analyzedChunks = chunks;
+  if (!heuristic && (options.maxInputTokens || options.maxCost)) {
+    const price = findPrice(prices, client.provider);
+    if (options.maxCost && !price) {
+      log(`No price is known for model ${client.provider.model}, so --max-cost is not applied. Add it to --model-prices.`);
+    }
+    const budget = fitToBudget(chunks, {
+      systemPrompt,
+      maxTokens: options.maxTokens,
+      maxInputTokens: options.maxInputTokens,
+      maxCost: options.maxCost,
+      price
+    });
+    const estimatedCost = price ? ` (~${formatCost(estimateCost(budget.estimate, price))})` : '';
+    log(`Estimated usage: up to ~${budget.estimate.promptTokens} input and ${budget.estimate.completionTokens} output tokens${estimatedCost}`);
+    if (budget.skipped) {
+      const message = `The log doesn't fit in the budget (--max-input-tokens: ${options.maxInputTokens || 'none'}, --max-cost: ${options.maxCost || 'none'})`;
+      if (!fallback) {
+        throw new Error(message);
+      }
+      log(`${message}, analyzing the log with the built-in rules instead`);
+      heuristic = true;
+    } else if (budget.droppedChunks > 0 || budget.truncated) {
+      log(`The log was reduced to fit the budget: ${budget.droppedChunks} part(s) skipped${budget.truncated ? ', the beginning of the remaining part cut' : ''}`);
+    }
+    analyzedChunks = budget.chunks;
+  }
+
+  let responseText = null;
+  if (!heuristic) {
+    try {
+      responseText = await analyzeChunks(complete, systemPrompt, analyzedChunks, { requestOptions: { json: true }, log });
+      log(`Model usage: ${formatUsage(usage.summary())}`);
+    } catch (error) {
+      if (!fallback) {
+        throw error;
+      }
+      log(`The model API failed (${error.message}), analyzing the log with the built-in rules instead`);
+      heuristic = true;
+    }
+  }
+  const analysis = heuristic ? analyzeHeuristically(logContent, { language }) : parseAnalysis(responseText);
+  const maxSeverity = getMaxSeverity(analysis);
+  const verdict = evaluateVerdict(maxSeverity, options['fail-on']);
+
+  if (options.format === 'json') {
+    const report = buildJsonReport({
+      analysis,
+      verdict,
+      maxSeverity,
+      provider: heuristic ? HEURISTIC_ANALYZER : complete.provider(),
+      testReports,
+      redactions,
+      usage: usage.summary(),
+      run: { repository: ci.repo, sha: ci.sha, url: ci.run_url }
+    });
+    return { output: `${JSON.stringify(report, null, 2)}\n`, verdict };
+  }
+
+  const output = [renderAnalysis(analysis, { language }), renderFailedTests(testReports, undefined, { language })].filter(Boolean).join('\n\n');
+  return { output: `${output}\n`, verdict };
+}
+
+/**
+ * Runs the `voltaflow` command
+ * Progress messages go to standard error, so standard output only contains the result.
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @param {Object} io - Streams, environment, working directory and fetch implementation, mainly for tests
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCli(argv, {
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  env = process.env,
+  cwd = process.cwd(),
+  fetch
+} = {}) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    stderr.write(`voltaflow: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  if (options.version) {
+    const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  const log = (...args) => stderr.write(`${format(...args)}\n`);
+  try {
+    const { output, verdict } = await analyzeCommand(options, { stdin, env, cwd, fetch, log });
+    stdout.write(output);
+    if (verdict.failed) {
+      stderr.write(`voltaflow: ${verdict.description}\n`);
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`voltaflow: ${error.message}\n`);
+    return 1;
+  }
+}
+
+export { USAGE, parseCliArgs, getCiEnvironment, runCli };
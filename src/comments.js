@@ -0,0 +1,284 @@
+/**
+ * Hidden marker identifying comments posted by this action
+ */
+const COMMENT_MARKER = '<!-- voltaflow-pr-check -->';
+
+const HISTORY_START = '<!-- voltaflow-history-start -->';
+const HISTORY_END = '<!-- voltaflow-history-end -->';
+const HISTORY_LIMIT = 5;
+
+// GitHub rejects comment bodies longer than 65536 characters
+const MAX_COMMENT_LENGTH = 65000;
+
+const COMMENT_MODES = ['create', 'update', 'replace', 'hide-previous'];
+
+// Account the GITHUB_TOKEN of a workflow comments as
+const DEFAULT_COMMENT_AUTHOR = 'github-actions[bot]';
+
+const MINIMIZE_COMMENT_MUTATION = `
+mutation($id: ID!) {
+  minimizeComment(input: { subjectId: $id, classifier: OUTDATED }) {
+    minimizedComment { isMinimized }
+  }
+}
+`;
+
+/**
+ * Tells whether a comment was posted by this action
+ * A comment quoting an analysis carries the marker too, and so may the comments of other bots, so
+ * the author must also be the account the action comments as.
+ * @param {Object} comment - Issue comment returned by the GitHub API
+ * @param {string} author - Login of the token's user, github-actions[bot] when it can't be read
+ * @returns {boolean} - True if the comment carries the Voltaflow marker and was written by the action
+ */
+function isVoltaflowComment(comment, author = DEFAULT_COMMENT_AUTHOR) {
+  if (typeof comment.body !== 'string' || !comment.body.includes(COMMENT_MARKER) || !comment.user) {
+    return false;
+  }
+  return comment.user.login === author;
+}
+
+/**
+ * Reads the login of the token's user
+ * Installation tokens, such as the GITHUB_TOKEN of a workflow, can't read it.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @returns {Promise<string|null>} - Login, or null when the token has no user
+ */
+async function getTokenUser(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits a Voltaflow comment into its current analysis and its history entries
+ * @param {string} body - Comment body
+ * @returns {{analysis: string, history: string[]}} - Current analysis and previous runs, newest first
+ */
+function parseComment(body) {
+  const start = body.indexOf(HISTORY_START);
+  const end = body.indexOf(HISTORY_END);
+
+  if (start === -1 || end === -1) {
+    return { analysis: body.trim(), history: [] };
+  }
+
+  // The history sits inside a <details> block that starts just before the start marker
+  const detailsStart = body.lastIndexOf('<details>', start);
+  const analysis = body.slice(0, detailsStart === -1 ? start : detailsStart).trim();
+  const history = body
+    .slice(start + HISTORY_START.length, end)
+    .split('<!-- voltaflow-run -->')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return { analysis, history };
+}
+
+/**
+ * Appends a collapsible section with the analyses of previous runs
+ * The oldest entries are dropped when the comment would exceed GitHub's size limit.
+ * @param {string} body - New comment body
+ * @param {string} previousBody - Body of the comment being replaced
+ * @param {string} previousDate - When the previous comment was last updated
+ * @returns {string} - Comment body with history
+ */
+function buildCommentWithHistory(body, previousBody, previousDate) {
+  const previous = parseComment(previousBody);
+  const previousAnalysis = previous.analysis
+    .replace(COMMENT_MARKER, '')
+    .replace(/^\s*## .*\n/, '')
+    .trim();
+  const history = [`#### Run updated ${previousDate}\n\n${previousAnalysis}`, ...previous.history].slice(0, HISTORY_LIMIT);
+
+  return renderWithHistory(body, history);
+}
+
+/**
+ * Appends the collapsible history section to a comment body
+ * The oldest entries are dropped when the comment would exceed GitHub's size limit.
+ * @param {string} body - Comment body
+ * @param {string[]} history - Previous runs, newest first
+ * @returns {string} - Comment body with history
+ */
+function renderWithHistory(body, history) {
+  const render = (entries) => `${body.trim()}
+
+<details>
+<summary>Previous runs (${entries.length})</summary>
+
+${HISTORY_START}
+${entries.join('\n\n<!-- voltaflow-run -->\n\n')}
+${HISTORY_END}
+</details>
+`;
+
+  let entries = history;
+  let result = entries.length > 0 ? render(entries) : body;
+  while (result.length > MAX_COMMENT_LENGTH && entries.length > 0) {
+    entries = entries.slice(0, -1);
+    result = entries.length > 0 ? render(entries) : body;
+  }
+
+  return result;
+}
+
+/**
+ * Posts the analysis on an issue or PR according to the comment mode
+ * - create: always add a new comment
+ * - update: edit the most recent Voltaflow comment, or create one
+ * - replace: delete previous Voltaflow comments and create a new one
+ * - hide-previous: create a new comment and minimize previous ones as outdated
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Comment options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {number} options.issueNumber - PR or issue number
+ * @param {string} options.body - Comment content, including the Voltaflow marker
+ * @param {string} options.mode - One of COMMENT_MODES
+ * @param {boolean} options.keepHistory - Keep previous analyses in a collapsible section (update mode)
+ * @returns {Promise<{action: string, id: number, url: string, body: string}>} - What was done and the resulting comment
+ */
+async function publishComment(octokit, { owner, repo, issueNumber, body, mode = 'update', keepHistory = false }) {
+  if (!COMMENT_MODES.includes(mode)) {
+    throw new Error(`Invalid comment_mode "${mode}". Expected one of: ${COMMENT_MODES.join(', ')}`);
+  }
+
+  const previous = mode === 'create' ? [] : await findPreviousComments(octokit, { owner, repo, issueNumber });
+
+  if (mode === 'update' && previous.length > 0) {
+    const latest = previous[previous.length - 1];
+    const updatedBody = keepHistory
+      ? buildCommentWithHistory(body, latest.body, latest.updated_at || latest.created_at)
+      : body;
+    const { data } = await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: latest.id,
+      body: updatedBody
+    });
+    return { action: 'updated', id: data.id, url: data.html_url, body: updatedBody };
+  }
+
+  if (mode === 'replace') {
+    for (const comment of previous) {
+      await octokit.rest.issues.deleteComment({ owner, repo, comment_id: comment.id });
+    }
+  }
+
+  if (mode === 'hide-previous') {
+    for (const comment of previous) {
+      await octokit.graphql(MINIMIZE_COMMENT_MUTATION, { id: comment.node_id });
+    }
+  }
+
+  const { data } = await octokit.rest.issues.createComment({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body
+  });
+  return { action: 'created', id: data.id, url: data.html_url, body };
+}
+
+/**
+ * Posts a placeholder comment early and keeps it updated while the analysis runs
+ * The placeholder is published according to the comment mode, so previous comments are
+ * updated, replaced or hidden as usual; later bodies edit it and keep its history section.
+ * Intermediate updates are throttled and best effort, the final one is always sent.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Comment options, as for publishComment, without the body
+ * @param {number} options.interval - Minimum time between two intermediate updates, in milliseconds
+ * @param {Function} options.onError - Called when an intermediate update fails
+ * @param {Function} options.now - Current time, mainly for tests
+ * @returns {{start: Function, update: Function, finish: Function, isOpen: Function}} - Progress comment
+ */
+function createProgressComment(octokit, {
+  owner,
+  repo,
+  issueNumber,
+  mode = 'update',
+  keepHistory = false,
+  interval = 10000,
+  onError = () => {},
+  now = Date.now
+}) {
+  let comment = null;
+  let history = [];
+  let open = false;
+  let lastUpdate = 0;
+  let inFlight = null;
+
+  const edit = async (body) => {
+    await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: comment.id,
+      body: renderWithHistory(body, history)
+    });
+  };
+
+  return {
+    async start(body) {
+      comment = await publishComment(octokit, { owner, repo, issueNumber, body, mode, keepHistory });
+      history = parseComment(comment.body).history;
+      open = true;
+      lastUpdate = now();
+      return comment;
+    },
+    update(body) {
+      if (!open || inFlight || now() - lastUpdate < interval) {
+        return;
+      }
+      lastUpdate = now();
+      inFlight = edit(body)
+        .catch(onError)
+        .finally(() => {
+          inFlight = null;
+        });
+    },
+    async finish(body) {
+      open = false;
+      if (inFlight) {
+        await inFlight;
+      }
+      await edit(body);
+      return { action: comment.action, id: comment.id, url: comment.url };
+    },
+    isOpen: () => open
+  };
+}
+
+/**
+ * Lists the comments previously posted by this action, oldest first
+ * Comments of other users are left out even when they quote an analysis, so they are never edited,
+ * deleted or hidden.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Repository owner, name and issue number
+ * @returns {Promise<Object[]>} - Voltaflow comments
+ */
+async function findPreviousComments(octokit, { owner, repo, issueNumber }) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+  const author = await getTokenUser(octokit) || DEFAULT_COMMENT_AUTHOR;
+  return comments.filter(comment => isVoltaflowComment(comment, author));
+}
+
+export {
+  COMMENT_MARKER,
+  COMMENT_MODES,
+  isVoltaflowComment,
+  parseComment,
+  buildCommentWithHistory,
+  renderWithHistory,
+  publishComment,
+  createProgressComment,
+  findPreviousComments
+};
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { PROFILES, findUnknownVariables } from './prompts.js';
+import { validatePrices } from './usage.js';
+import { resolveLanguage } from './i18n.js';
+
+const DEFAULT_CONFIG_PATH = '.github/voltaflow.yml';
+
+const CONFIG_KEYS = ['profile', 'system_prompt', 'prompt_file', 'instructions', 'profiles', 'prices', 'language'];
+const PROFILE_KEYS = ['description', 'extends', 'system_prompt', 'prompt_file', 'instructions'];
+
+/**
+ * Reads the repository config file
+ * A missing file is only an error when its path was set explicitly.
+ * @param {string} configPath - Path relative to the workspace, `.github/voltaflow.yml` when empty
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Promise<{path: string|null, config: Object}>} - Path of the file read and its parsed content
+ */
+async function loadConfig(configPath, workspace = process.cwd()) {
+  const relativePath = configPath || DEFAULT_CONFIG_PATH;
+  const absolutePath = path.resolve(workspace, relativePath);
+
+  let content;
+  try {
+    content = await fs.promises.readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !configPath) {
+      return { path: null, config: {} };
+    }
+    throw new Error(`Could not read config file ${relativePath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = yaml.load(content, { filename: relativePath });
+  } catch (error) {
+    throw new Error(`Invalid YAML in config file ${relativePath}: ${error.message}`);
+  }
+
+  return { path: relativePath, config: config === undefined || config === null ? {} : config };
+}
+
+/**
+ * Checks the structure of a config object
+ * @param {*} config - Parsed config file
+ * @returns {string[]} - Problems found, empty when the config is valid
+ */
+function validateConfig(config) {
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return ['the config must be a mapping of keys to values'];
+  }
+
+  const errors = [];
+  const checkKeys = (value, allowed, where) => {
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) {
+        errors.push(`unknown key "${key}"${where}, expected one of: ${allowed.join(', ')}`);
+      }
+    }
+  };
+  const checkString = (value, where) => {
+    if (value !== undefined && typeof value !== 'string') {
+      errors.push(`${where} must be a string`);
+    } else if (value) {
+      const unknown = findUnknownVariables(value);
+      if (unknown.length > 0) {
+        errors.push(`${where} uses unknown template variable(s): ${unknown.join(', ')}`);
+      }
+    }
+  };
+
+  checkKeys(config, CONFIG_KEYS, '');
+  checkString(config.profile, 'profile');
+  checkString(config.system_prompt, 'system_prompt');
+  checkString(config.prompt_file, 'prompt_file');
+  checkString(config.instructions, 'instructions');
+
+  const profiles = config.profiles === undefined ? {} : config.profiles;
+  if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+    errors.push('profiles must be a mapping of profile names to profiles');
+  } else {
+    for (const [name, profile] of Object.entries(profiles)) {
+      const where = `profiles.${name}`;
+      if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+        errors.push(`${where} must be a mapping`);
+        continue;
+      }
+      checkKeys(profile, PROFILE_KEYS, ` in ${where}`);
+      ['description', 'system_prompt', 'prompt_file', 'instructions'].forEach(key => checkString(profile[key], `${where}.${key}`));
+      if (profile.extends !== undefined && !PROFILES[profile.extends]) {
+        errors.push(`${where}.extends must be a built-in profile: ${Object.keys(PROFILES).join(', ')}`);
+      }
+      if (!profile.extends && !profile.system_prompt && !profile.prompt_file) {
+        errors.push(`${where} needs one of extends, system_prompt or prompt_file`);
+      }
+    }
+  }
+
+  if (config.prices !== undefined) {
+    errors.push(...validatePrices(config.prices));
+  }
+
+  if (config.language !== undefined) {
+    try {
+      resolveLanguage(String(config.language));
+    } catch (error) {
+      errors.push(`language: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Selects the prompt template from the inputs and the config file
+ * Inputs take precedence over the config file: system_prompt, then prompt_file, then profile.
+ * Every problem is reported at once, before anything is sent to the model.
+ * @param {Object} options - Prompt sources
+ * @param {Object} options.config - Parsed config file
+ * @param {string} options.profile - `profile` input
+ * @param {string} options.systemPrompt - `system_prompt` input
+ * @param {string} options.promptFile - `prompt_file` input
+ * @param {string} options.workspace - Directory prompt files are resolved against
+ * @returns {Promise<{source: string, template: string, instructions: string}>} - Prompt template, where it comes from and the additional instructions
+ */
+async function resolvePrompt({ config = {}, profile = '', systemPrompt = '', promptFile = '', workspace = process.cwd() } = {}) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw configError(errors);
+  }
+
+  const customProfiles = config.profiles || {};
+  const profileName = profile || config.profile;
+  if (profileName && !PROFILES[profileName] && !customProfiles[profileName]) {
+    const available = [...Object.keys(PROFILES), ...Object.keys(customProfiles)];
+    throw configError([`unknown profile "${profileName}", available profiles: ${available.join(', ')}`]);
+  }
+
+  const readPromptFile = async (filePath, where) => {
+    try {
+      return await fs.promises.readFile(path.resolve(workspace, filePath), 'utf8');
+    } catch (error) {
+      errors.push(`${where} ${filePath} could not be read: ${error.message}`);
+      return '';
+    }
+  };
+
+  const instructions = [config.instructions || ''];
+  let source;
+  let template;
+
+  if (systemPrompt) {
+    source = 'system_prompt input';
+    template = systemPrompt;
+  } else if (promptFile) {
+    source = `prompt file ${promptFile}`;
+    template = await readPromptFile(promptFile, 'prompt_file input');
+  } else if (!profile && config.system_prompt) {
+    source = 'system_prompt in the config file';
+    template = config.system_prompt;
+  } else if (!profile && config.prompt_file) {
+    source = `prompt file ${config.prompt_file}`;
+    template = await readPromptFile(config.prompt_file, 'prompt_file');
+  } else if (customProfiles[profileName]) {
+    const custom = customProfiles[profileName];
+    source = `profile ${profileName}`;
+    if (custom.system_prompt) {
+      template = custom.system_prompt;
+    } else if (custom.prompt_file) {
+      template = await readPromptFile(custom.prompt_file, `profiles.${profileName}.prompt_file`);
+    } else {
+      template = PROFILES[custom.extends].prompt;
+    }
+    instructions.push(custom.instructions || '');
+  } else {
+    source = `profile ${profileName || 'default'}`;
+    template = PROFILES[profileName || 'default'].prompt;
+  }
+
+  if (template !== undefined && errors.length === 0) {
+    if (template.trim() === '') {
+      errors.push(`the prompt from ${source} is empty`);
+    }
+    const unknown = findUnknownVariables(template);
+    if (unknown.length > 0) {
+      errors.push(`the prompt from ${source} uses unknown template variable(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw configError(errors);
+  }
+
+  return { source, template, instructions: instructions.filter(Boolean).join('\n\n') };
+}
+
+/**
+ * Builds the error reported for an invalid configuration
+ * @param {string[]} errors - Problems found
+ * @returns {Error} - Error listing every problem
+ */
+function configError(errors) {
+  return new Error(`Invalid Voltaflow configuration:\n- ${errors.join('\n- ')}`);
+}
+
+export { DEFAULT_CONFIG_PATH, loadConfig, validateConfig, resolvePrompt };
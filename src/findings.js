@@ -0,0 +1,292 @@
+/**
+ * Structured analysis: the JSON format requested from the model, its validation and its markdown rendering
+ */
+
+import { getTranslator } from './i18n.js';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const CATEGORIES = ['build', 'test', 'lint', 'dependency', 'configuration', 'infrastructure', 'runtime', 'other'];
+
+// Icons of the finding severities and of the overall results of getMaxSeverity
+const SEVERITY_ICONS = { error: '🔴', warning: '🟡', info: '🔵', none: '✅', unknown: '❔' };
+
+/**
+ * Instructions appended to the system prompt describing the expected JSON response
+ */
+const JSON_RESPONSE_INSTRUCTIONS = `
+Respond only with a JSON object, without markdown fences or any text around it, using this schema:
+
+{
+  "summary": string,            // Short overview of what happened in the log, in markdown
+  "findings": [                 // One entry per distinct problem, most severe first; empty if there are none
+    {
+      "title": string,          // One-line description of the problem
+      "severity": "error" | "warning" | "info",
+      "category": ${CATEGORIES.map(category => `"${category}"`).join(' | ')},
+      "source": string | null,  // Log source label (from the "==> source <==" header) the problem comes from
+      "file": string | null,    // File referenced by the log, as written in the log
+      "line": number | null,    // Line in that file
+      "root_cause": string,     // Why it happened, in markdown
+      "suggested_fix": string,  // How to fix it, in markdown
+      "confidence": number,     // From 0 to 1, how sure you are about the root cause
+      "related_change": string | null, // Changed file of the pull request that most likely caused the problem, if any
+      "suggestion": {           // Concrete code change fixing the problem in "file", or null
+        "start_line": number,   // First line replaced
+        "end_line": number,     // Last line replaced, inclusive
+        "code": string          // Replacement lines, exactly as they should appear in the file
+      } | null
+    }
+  ]
+}
+`;
+
+/**
+ * Extracts the JSON object from a model response
+ * Tolerates markdown fences and text around the object.
+ * @param {string} text - Model response
+ * @returns {*} - Parsed value, or undefined if no JSON could be parsed
+ */
+function extractJson(text) {
+  if (!text) {
+    return undefined;
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidates = [text.trim()];
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last > first) {
+    candidates.push(text.slice(first, last + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Validates a parsed analysis and normalizes its fields
+ * Fixable deviations (case, unknown categories, out of range confidence) are corrected;
+ * anything else is reported as an error.
+ * @param {*} value - Parsed model response
+ * @returns {{analysis: Object|null, errors: string[]}} - Normalized analysis and validation errors
+ */
+function validateAnalysis(value) {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { analysis: null, errors: ['response is not a JSON object'] };
+  }
+
+  if (typeof value.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  if (!Array.isArray(value.findings)) {
+    errors.push('findings must be an array');
+  }
+
+  const findings = (Array.isArray(value.findings) ? value.findings : []).map((finding, index) => {
+    const path = `findings[${index}]`;
+
+    if (!finding || typeof finding !== 'object') {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const severity = String(finding.severity || '').toLowerCase();
+    if (!SEVERITIES.includes(severity)) {
+      errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    if (typeof finding.title !== 'string' || finding.title.trim() === '') {
+      errors.push(`${path}.title must be a non-empty string`);
+    }
+
+    const category = String(finding.category || '').toLowerCase();
+    const line = Number.parseInt(finding.line, 10);
+    const confidence = Number(finding.confidence);
+
+    return {
+      title: typeof finding.title === 'string' ? finding.title.trim() : '',
+      severity,
+      category: CATEGORIES.includes(category) ? category : 'other',
+      source: typeof finding.source === 'string' && finding.source ? finding.source : null,
+      file: typeof finding.file === 'string' && finding.file ? finding.file : null,
+      line: Number.isInteger(line) && line > 0 ? line : null,
+      root_cause: typeof finding.root_cause === 'string' ? finding.root_cause : '',
+      suggested_fix: typeof finding.suggested_fix === 'string' ? finding.suggested_fix : '',
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      related_change: typeof finding.related_change === 'string' && finding.related_change ? finding.related_change : null,
+      suggestion: normalizeSuggestion(finding.suggestion, Number.isInteger(line) && line > 0 ? line : null)
+    };
+  });
+
+  if (errors.length > 0) {
+    return { analysis: null, errors };
+  }
+
+  return {
+    analysis: {
+      summary: value.summary.trim(),
+      findings: sortFindings(findings)
+    },
+    errors
+  };
+}
+
+/**
+ * Normalizes the code change suggested for a finding
+ * Suggestions without code or lines are dropped rather than reported, as they are optional.
+ * @param {*} suggestion - Suggestion of the model
+ * @param {number|null} line - Line of the finding, used when the suggestion has no start line
+ * @returns {{start_line: number, end_line: number, code: string}|null} - Suggestion
+ */
+function normalizeSuggestion(suggestion, line) {
+  if (!suggestion || typeof suggestion !== 'object' || typeof suggestion.code !== 'string') {
+    return null;
+  }
+  const startLine = Number.parseInt(suggestion.start_line, 10) || line;
+  const endLine = Number.parseInt(suggestion.end_line, 10) || startLine;
+  if (!(startLine > 0) || endLine < startLine) {
+    return null;
+  }
+  return { start_line: startLine, end_line: endLine, code: suggestion.code.replace(/\n$/, '') };
+}
+
+/**
+ * Sorts findings from the most to the least severe, keeping the model's order otherwise
+ * @param {Object[]} findings - Findings
+ * @returns {Object[]} - Sorted findings
+ */
+function sortFindings(findings) {
+  return findings
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => SEVERITIES.indexOf(a.finding.severity) - SEVERITIES.indexOf(b.finding.severity) || a.index - b.index)
+    .map(({ finding }) => finding);
+}
+
+/**
+ * Parses a model response into a structured analysis
+ * When the response isn't valid JSON matching the schema, the text is kept as a
+ * free-form markdown summary and `structured` is false.
+ * @param {string} text - Model response
+ * @returns {{summary: string, findings: Object[], structured: boolean, errors: string[]}} - Analysis
+ */
+function parseAnalysis(text) {
+  const value = extractJson(text);
+
+  if (value === undefined) {
+    return { summary: (text || '').trim(), findings: [], structured: false, errors: ['response is not valid JSON'] };
+  }
+
+  const { analysis, errors } = validateAnalysis(value);
+  if (!analysis) {
+    const summary = value && typeof value.summary === 'string' ? value.summary : (text || '').trim();
+    return { summary, findings: [], structured: false, errors };
+  }
+
+  return { ...analysis, structured: true, errors: [] };
+}
+
+/**
+ * Returns the highest severity among the findings
+ * @param {Object} analysis - Parsed analysis
+ * @returns {string} - error, warning, info, none, or unknown when the response wasn't structured
+ */
+function getMaxSeverity(analysis) {
+  if (!analysis.structured) {
+    return 'unknown';
+  }
+  return SEVERITIES.find(severity => analysis.findings.some(finding => finding.severity === severity)) || 'none';
+}
+
+/**
+ * Counts the findings of a given severity
+ * @param {Object} analysis - Parsed analysis
+ * @param {string} severity - Severity to count
+ * @returns {number} - Number of findings
+ */
+function countFindings(analysis, severity) {
+  return analysis.findings.filter(finding => finding.severity === severity).length;
+}
+
+/**
+ * Renders the location of a finding
+ * @param {Object} finding - Finding
+ * @param {Function} t - Translator returned by getTranslator
+ * @returns {string} - Markdown location, empty when unknown
+ */
+function formatLocation(finding, t) {
+  const parts = [];
+  if (finding.file) {
+    parts.push(`\`${finding.file}${finding.line ? `:${finding.line}` : ''}\``);
+  }
+  if (finding.source) {
+    parts.push(t('finding.source', { source: finding.source }));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Renders an analysis as markdown for the PR comment
+ * The labels are translated; the summary and findings are already in the language the model was asked for.
+ * @param {Object} analysis - Parsed analysis
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language code of the labels
+ * @returns {string} - Markdown
+ */
+function renderAnalysis(analysis, { language = 'en' } = {}) {
+  if (!analysis.structured || analysis.findings.length === 0) {
+    return analysis.summary;
+  }
+
+  const t = getTranslator(language);
+
+  const sections = analysis.findings.map((finding, index) => {
+    const meta = [`**${t(`severity.${finding.severity}`)}**`, t(`category.${finding.category}`)];
+    if (finding.confidence !== null) {
+      meta.push(t('finding.confidence', { percent: Math.round(finding.confidence * 100) }));
+    }
+    const location = formatLocation(finding, t);
+    const lines = [
+      `### ${SEVERITY_ICONS[finding.severity]} ${index + 1}. ${finding.title}`,
+      '',
+      `${meta.join(' · ')}${location ? ` · ${location}` : ''}`
+    ];
+    if (finding.root_cause) {
+      lines.push('', `**${t('finding.rootCause')}:** ${finding.root_cause}`);
+    }
+    if (finding.related_change) {
+      lines.push('', `**${t('finding.likelyCausedBy')}:** ${t('finding.relatedChange', { file: finding.related_change })}`);
+    }
+    if (finding.suggested_fix) {
+      lines.push('', `**${t('finding.suggestedFix')}:** ${finding.suggested_fix}`);
+    }
+    return lines.join('\n');
+  });
+
+  return `${analysis.summary}\n\n${sections.join('\n\n')}`;
+}
+
+export {
+  SEVERITIES,
+  CATEGORIES,
+  SEVERITY_ICONS,
+  JSON_RESPONSE_INSTRUCTIONS,
+  extractJson,
+  validateAnalysis,
+  parseAnalysis,
+  getMaxSeverity,
+  countFindings,
+  renderAnalysis
+};
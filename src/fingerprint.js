@@ -0,0 +1,57 @@
+/**
+ * Log fingerprints: logs that differ only by timestamps, run IDs or durations get the same fingerprint
+ */
+
+import crypto from 'crypto';
+import { stripAnsi, stripTimestamp } from './preprocess.js';
+
+/**
+ * Volatile values replaced before hashing, applied in order
+ */
+const VOLATILE_PATTERNS = [
+  // 2024-05-01T12:00:00.123Z, 2024-05-01 12:00:00, 12:00:00.123
+  { pattern: /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?\b/g, replacement: '<time>' },
+  { pattern: /\b\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\b/g, replacement: '<time>' },
+  // Workflow run, job and attempt IDs in URLs and messages
+  { pattern: /\/(runs|jobs|attempts|job)\/\d+/g, replacement: '/$1/<id>' },
+  { pattern: /\b(run|job|attempt|build|pipeline)([ _-]?(?:id|number|#))?([:=# ]+)\d+\b/gi, replacement: '$1$2$3<id>' },
+  // UUIDs, memory addresses and process IDs
+  { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '<uuid>' },
+  { pattern: /\b0x[0-9a-f]{6,}\b/gi, replacement: '<address>' },
+  { pattern: /\b(pid|process)([ =:]+)\d+\b/gi, replacement: '$1$2<pid>' },
+  // Durations: 1.23s, 450 ms, 2m 3s, (12 ms), Time: 5.1 s
+  { pattern: /\b\d+(?:\.\d+)?\s?(?:ms|msec|s|sec|secs|seconds?|m|min|mins|minutes?|h|hours?)\b/gi, replacement: '<duration>' },
+  // Temporary directories
+  { pattern: /\/tmp\/[\w.-]+/g, replacement: '/tmp/<tmp>' }
+];
+
+/**
+ * Removes the values that change between two runs of the same failure
+ * @param {string} logContent - Log content
+ * @returns {string} - Normalized log
+ */
+function normalizeLog(logContent) {
+  return stripAnsi(logContent || '')
+    .split(/\r?\n/)
+    .map(line => VOLATILE_PATTERNS.reduce(
+      (normalized, { pattern, replacement }) => normalized.replace(pattern, replacement),
+      stripTimestamp(line)
+    ).trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Computes the fingerprint of a log and of everything else the analysis depends on
+ * @param {string} logContent - Log content
+ * @param {Object} context - Other inputs of the analysis, such as the model and the prompt
+ * @returns {string} - Hex SHA-256 digest
+ */
+function fingerprintLog(logContent, context = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ ...context, log: normalizeLog(logContent) }))
+    .digest('hex');
+}
+
+export { normalizeLog, fingerprintLog };
@@ -0,0 +1,69 @@
+import { SEVERITIES } from './findings.js';
+
+const FAIL_ON_LEVELS = [...SEVERITIES, 'never'];
+
+/**
+ * Decides whether the analysis should fail the workflow
+ * @param {string} maxSeverity - Highest finding severity returned by getMaxSeverity
+ * @param {string} failOn - Lowest severity that fails the workflow, or never
+ * @returns {{verdict: string, failed: boolean, description: string}} - pass, fail or neutral, with a short explanation
+ */
+function evaluateVerdict(maxSeverity, failOn = 'never') {
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Invalid fail_on "${failOn}". Expected one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  if (maxSeverity === 'unknown') {
+    return {
+      verdict: 'neutral',
+      failed: false,
+      description: 'The analysis could not be classified by severity'
+    };
+  }
+
+  const failed = failOn !== 'never'
+    && SEVERITIES.includes(maxSeverity)
+    && SEVERITIES.indexOf(maxSeverity) <= SEVERITIES.indexOf(failOn);
+
+  if (failed) {
+    return {
+      verdict: 'fail',
+      failed: true,
+      description: `Found ${maxSeverity} findings (fail_on: ${failOn})`
+    };
+  }
+
+  return {
+    verdict: 'pass',
+    failed: false,
+    description: maxSeverity === 'none' ? 'No problems found' : `Highest severity: ${maxSeverity}`
+  };
+}
+
+/**
+ * Reports the verdict as a commit status so it can be required by branch protection
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Status options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.sha - Commit to report on
+ * @param {Object} options.verdict - Result of evaluateVerdict
+ * @param {string} options.context - Status context name
+ * @param {string} options.targetUrl - Link shown next to the status
+ */
+async function publishCommitStatus(octokit, { owner, repo, sha, verdict, context = 'Voltaflow', targetUrl }) {
+  const states = { pass: 'success', fail: 'failure', neutral: 'success' };
+
+  await octokit.rest.repos.createCommitStatus({
+    owner,
+    repo,
+    sha,
+    state: states[verdict.verdict],
+    context,
+    // GitHub rejects descriptions longer than 140 characters
+    description: verdict.description.slice(0, 140),
+    target_url: targetUrl
+  });
+}
+
+export { FAIL_ON_LEVELS, evaluateVerdict, publishCommitStatus };
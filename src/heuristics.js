@@ -0,0 +1,457 @@
+/**
+ * Offline analysis: known error signatures of common toolchains, recognized without any model
+ * Used with `mode: heuristic`, and in place of the model when it can't be called.
+ */
+
+import { stripAnsi, stripTimestamp, isErrorLine } from './preprocess.js';
+import { firstFileReference } from './checkRun.js';
+import { getTranslator } from './i18n.js';
+
+const ANALYSIS_MODES = ['model', 'heuristic'];
+
+/**
+ * Provider details of the offline analysis, in place of a model in reports
+ */
+const HEURISTIC_ANALYZER = { name: 'heuristic', label: 'Voltaflow rules', model: 'built-in' };
+
+/**
+ * Known error signatures, most specific first: a line is attributed to the first rule it matches
+ * `$1`, `$2`... in the texts are replaced with the groups of the pattern.
+ */
+const RULES = [
+  // Out of memory and killed processes
+  {
+    id: 'node-heap',
+    pattern: /JavaScript heap out of memory|Allocation failed - JavaScript heap/,
+    title: 'Node.js ran out of heap memory',
+    severity: 'error',
+    category: 'runtime',
+    root_cause: 'The Node.js process reached its heap size limit.',
+    suggested_fix: 'Raise the limit with `NODE_OPTIONS=--max-old-space-size=4096`, or reduce what the process holds in memory, such as the number of parallel workers.',
+    confidence: 0.9
+  },
+  {
+    id: 'java-oom',
+    pattern: /java\.lang\.OutOfMemoryError: (.+)/,
+    title: 'The JVM ran out of memory ($1)',
+    severity: 'error',
+    category: 'runtime',
+    root_cause: 'The Java process exhausted its memory: `$1`.',
+    suggested_fix: 'Increase the heap with `-Xmx` (for Gradle, `org.gradle.jvmargs` in gradle.properties), or look for a memory leak in the failing code.',
+    confidence: 0.9
+  },
+  {
+    id: 'oom-killed',
+    pattern: /OOMKilled|Out of memory: Killed process|exit code 137\b|signal: killed|^Killed$/i,
+    title: 'A process was killed for using too much memory',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'The operating system or the container runtime killed a process that exceeded the available memory (exit code 137).',
+    suggested_fix: 'Use a runner or container with more memory, lower the parallelism of the build, or reduce the memory used by the step.',
+    confidence: 0.75
+  },
+  {
+    id: 'disk-full',
+    pattern: /No space left on device|ENOSPC/,
+    title: 'The runner ran out of disk space',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'A write failed because the disk is full.',
+    suggested_fix: 'Free space before the step, for example by removing unused toolchains and Docker images, or use a runner with a larger disk.',
+    confidence: 0.9
+  },
+
+  // Timeouts
+  {
+    id: 'job-timeout',
+    pattern: /has exceeded the maximum execution time of (\d+) minutes/,
+    title: 'The job exceeded its time limit of $1 minutes',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'The job ran longer than its `timeout-minutes` and was cancelled.',
+    suggested_fix: 'Find the step that hangs or slowed down, or raise `timeout-minutes` if the job legitimately needs more time.',
+    confidence: 0.9
+  },
+  {
+    id: 'test-timeout',
+    pattern: /Exceeded timeout of (\d+) ?ms|Timeout of (\d+)ms exceeded|Timeout - Async callback was not invoked/,
+    title: 'A test timed out',
+    severity: 'error',
+    category: 'test',
+    root_cause: 'A test did not complete within its timeout, usually because a promise never settled or a service it waits for is unavailable.',
+    suggested_fix: 'Check that the test awaits every asynchronous call and that the services it needs are running; raise the timeout only if the test is legitimately slow.',
+    confidence: 0.8
+  },
+  {
+    id: 'network-timeout',
+    pattern: /\bETIMEDOUT\b|\bESOCKETTIMEDOUT\b|Connection timed out|Connection timeout|Read timed out/,
+    title: 'A network request timed out',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'A connection to a remote service timed out, which is often a temporary network or service problem.',
+    suggested_fix: 'Re-run the job; if it keeps failing, check that the service is reachable from the runner and add retries to the step.',
+    confidence: 0.6
+  },
+
+  // npm
+  {
+    id: 'npm-ci-lockfile',
+    pattern: /`npm ci` can only install packages when your package\.json and package-lock\.json/,
+    title: 'package.json and package-lock.json are out of sync',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: '`npm ci` requires the lockfile to match package.json, and a dependency was changed without updating it.',
+    suggested_fix: 'Run `npm install` locally and commit the updated package-lock.json.',
+    confidence: 0.95
+  },
+  {
+    id: 'npm-eresolve',
+    pattern: /npm ERR! code ERESOLVE|ERESOLVE unable to resolve dependency tree|ERESOLVE could not resolve/,
+    title: 'npm could not resolve the dependency tree',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'Two packages require incompatible versions of a peer dependency.',
+    suggested_fix: 'Align the versions of the conflicting packages; `--legacy-peer-deps` only hides the conflict.',
+    confidence: 0.9
+  },
+  {
+    id: 'npm-e404',
+    pattern: /npm ERR! 404 Not Found - GET \S+\/(\S+?) -|npm ERR! 404 '?(\S+?)'? is not in (?:the npm registry|this registry)/,
+    title: 'Package $1$2 was not found in the registry',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'npm could not download `$1$2`: the name or version is wrong, the package is private, or the registry needs authentication.',
+    suggested_fix: 'Check the package name and version in package.json, and the registry and token configured in .npmrc for private packages.',
+    confidence: 0.85
+  },
+  {
+    id: 'npm-missing-script',
+    pattern: /npm ERR! Missing script: "?([^"\s]+)"?|npm error Missing script: "?([^"\s]+)"?/,
+    title: 'npm script "$1$2" does not exist',
+    severity: 'error',
+    category: 'configuration',
+    root_cause: 'The workflow runs `npm run $1$2`, but package.json has no such script.',
+    suggested_fix: 'Add the script to package.json or fix its name in the workflow.',
+    confidence: 0.95
+  },
+  {
+    id: 'npm-auth',
+    pattern: /npm ERR! code E401|npm ERR! code EAUTH|npm ERR! code E403/,
+    title: 'npm registry authentication failed',
+    severity: 'error',
+    category: 'configuration',
+    root_cause: 'The registry rejected the credentials used to install or publish packages.',
+    suggested_fix: 'Check the token used in .npmrc and its permissions, and that the secret is available to this workflow.',
+    confidence: 0.85
+  },
+
+  // Node.js and TypeScript
+  {
+    id: 'node-module-not-found',
+    pattern: /Cannot find module '([^']+)'|Cannot find package '([^']+)'|ERR_MODULE_NOT_FOUND/,
+    title: 'Module $1$2 could not be found',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'Node.js could not resolve an imported module: it isn\'t installed, isn\'t listed in package.json, or the import path is wrong.',
+    suggested_fix: 'Add the package to the dependencies and install them before this step, or fix the import path (including its extension in ES modules).',
+    confidence: 0.85
+  },
+  {
+    id: 'typescript',
+    pattern: /error (TS\d+): (.+)/,
+    title: 'TypeScript error $1',
+    severity: 'error',
+    category: 'build',
+    root_cause: 'The TypeScript compiler reported: $2',
+    suggested_fix: 'Fix the type error at the reported location.',
+    confidence: 0.8
+  },
+  {
+    id: 'port-in-use',
+    pattern: /EADDRINUSE.*?(\d+)\s*$|address already in use/,
+    title: 'A port is already in use',
+    severity: 'error',
+    category: 'runtime',
+    root_cause: 'A server could not listen because another process already uses the port.',
+    suggested_fix: 'Stop the process started by an earlier step, or let the server pick a free port in tests.',
+    confidence: 0.8
+  },
+  {
+    id: 'connection-refused',
+    pattern: /\bECONNREFUSED\b|Connection refused/,
+    title: 'Connection refused',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'Nothing was listening at the address the code connected to, usually a service such as a database that isn\'t started yet.',
+    suggested_fix: 'Start the service before the step, for example as a job service container, and wait until it is ready.',
+    confidence: 0.7
+  },
+
+  // Python
+  {
+    id: 'python-module-not-found',
+    pattern: /ModuleNotFoundError: No module named '([^']+)'/,
+    title: 'Python module $1 is not installed',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'The module `$1` is imported but isn\'t installed in the environment running the code.',
+    suggested_fix: 'Add the package providing `$1` to requirements.txt or pyproject.toml and install the dependencies before this step.',
+    confidence: 0.9
+  },
+  {
+    id: 'pip-no-version',
+    pattern: /Could not find a version that satisfies the requirement (\S+)|ResolutionImpossible/,
+    title: 'pip could not install the requirements',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'No published version of a requirement matches the constraints for this Python version and platform.',
+    suggested_fix: 'Check the version constraints and the Python version of the job.',
+    confidence: 0.85
+  },
+  {
+    id: 'pytest-failed',
+    pattern: /^FAILED (\S+::\S+)/,
+    title: 'Test $1 failed',
+    severity: 'error',
+    category: 'test',
+    root_cause: 'The test failed; its assertion error is shown above the pytest summary.',
+    suggested_fix: 'Run `pytest $1` locally to reproduce the failure.',
+    confidence: 0.7
+  },
+
+  // Java
+  {
+    id: 'maven-dependency',
+    pattern: /Could not resolve dependencies for project|Could not resolve all (?:files|dependencies) for configuration/,
+    title: 'Build dependencies could not be resolved',
+    severity: 'error',
+    category: 'dependency',
+    root_cause: 'Maven or Gradle could not download a dependency: it doesn\'t exist, the repository is unreachable or requires credentials.',
+    suggested_fix: 'Check the coordinates and version of the dependency and the repositories configured for the build.',
+    confidence: 0.85
+  },
+  {
+    id: 'java-compilation',
+    pattern: /\[ERROR\] (\S+\.java):\[(\d+),\d+\] (.+)|(\S+\.java):(\d+): error: (.+)/,
+    title: 'Java compilation error',
+    severity: 'error',
+    category: 'build',
+    root_cause: 'The Java compiler reported: $3$6',
+    suggested_fix: 'Fix the compilation error at the reported location.',
+    confidence: 0.85
+  },
+  {
+    id: 'gradle-task',
+    pattern: /> Task (\S+) FAILED|Execution failed for task '([^']+)'/,
+    title: 'Gradle task $1$2 failed',
+    severity: 'error',
+    category: 'build',
+    root_cause: 'The Gradle task `$1$2` failed; the error is reported above it in the log.',
+    suggested_fix: 'Run the task locally with `--stacktrace` to see the full error.',
+    confidence: 0.6
+  },
+  {
+    id: 'java-exception',
+    pattern: /(?:Exception in thread "[^"]+" )?(java\.lang\.(?:NullPointerException|ClassNotFoundException|NoClassDefFoundError|IllegalStateException|IllegalArgumentException))(?:: (.+))?/,
+    title: '$1 was thrown',
+    severity: 'error',
+    category: 'runtime',
+    root_cause: 'The JVM threw `$1`.',
+    suggested_fix: 'Look at the first stack frame of your own code below the exception.',
+    confidence: 0.7
+  },
+
+  // Docker
+  {
+    id: 'docker-daemon',
+    pattern: /Cannot connect to the Docker daemon/,
+    title: 'The Docker daemon is not available',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'The step uses Docker, but no Docker daemon is running or reachable on the runner.',
+    suggested_fix: 'Use a runner with Docker, such as ubuntu-latest, or start the daemon before the step.',
+    confidence: 0.9
+  },
+  {
+    id: 'docker-rate-limit',
+    pattern: /toomanyrequests: You have reached your (?:pull|unauthenticated pull) rate limit/,
+    title: 'Docker Hub pull rate limit reached',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'Docker Hub refused to serve the image because the pull rate limit was reached.',
+    suggested_fix: 'Log in to Docker Hub with `docker/login-action` before pulling, or use a registry mirror.',
+    confidence: 0.95
+  },
+  {
+    id: 'docker-image',
+    pattern: /pull access denied for (\S+?),|manifest for (\S+) not found|manifest unknown/,
+    title: 'Docker image $1$2 could not be pulled',
+    severity: 'error',
+    category: 'configuration',
+    root_cause: 'The image or tag doesn\'t exist, or the registry requires authentication.',
+    suggested_fix: 'Check the image name and tag, and log in to the registry for private images.',
+    confidence: 0.85
+  },
+  {
+    id: 'docker-build',
+    pattern: /failed to solve: (.+)|ERROR: failed to build: (.+)/,
+    title: 'The Docker build failed',
+    severity: 'error',
+    category: 'build',
+    root_cause: 'BuildKit reported: $1$2',
+    suggested_fix: 'Fix the failing Dockerfile instruction; the output of the failing `RUN` step is shown above.',
+    confidence: 0.7
+  },
+
+  // Terraform
+  {
+    id: 'terraform-lock',
+    pattern: /Error acquiring the state lock/,
+    title: 'The Terraform state is locked',
+    severity: 'error',
+    category: 'infrastructure',
+    root_cause: 'Another Terraform run holds the state lock, or a previous run was interrupted without releasing it.',
+    suggested_fix: 'Wait for the other run to finish, or release a stale lock with `terraform force-unlock <lock id>`.',
+    confidence: 0.9
+  },
+  {
+    id: 'terraform-credentials',
+    pattern: /No valid credential sources found|error configuring Terraform AWS Provider|AccessDenied|UnauthorizedOperation|AuthorizationFailed/,
+    title: 'The cloud provider rejected the credentials',
+    severity: 'error',
+    category: 'configuration',
+    root_cause: 'The provider credentials are missing or lack the permissions the operation needs.',
+    suggested_fix: 'Check the credentials configured for the job, for example with OIDC, and the permissions of the role.',
+    confidence: 0.75
+  },
+  {
+    id: 'terraform-config',
+    pattern: /Error: (Unsupported argument|Missing required argument|Reference to undeclared (?:resource|input variable)|Invalid reference|Unsupported attribute)/,
+    title: 'Terraform configuration error: $1',
+    severity: 'error',
+    category: 'configuration',
+    root_cause: 'The configuration is invalid: $1.',
+    suggested_fix: 'Fix the configuration at the reported file and line, and run `terraform validate` locally.',
+    confidence: 0.85
+  },
+
+  // Tests and linters
+  {
+    id: 'jest-failed',
+    pattern: /^\s*FAIL\s+(\S+\.[jt]sx?)\b/,
+    title: 'Test suite $1 failed',
+    severity: 'error',
+    category: 'test',
+    root_cause: 'At least one test in `$1` failed; the failing assertions are shown below the suite name.',
+    suggested_fix: 'Run the suite locally to reproduce the failure.',
+    confidence: 0.7
+  },
+  {
+    id: 'eslint',
+    pattern: /✖ (\d+) problems? \((\d+) errors?/,
+    title: 'ESLint found $2 errors',
+    severity: 'error',
+    category: 'lint',
+    root_cause: 'The code doesn\'t pass the lint rules.',
+    suggested_fix: 'Run ESLint locally with `--fix` and fix the remaining errors by hand.',
+    confidence: 0.8
+  }
+];
+
+// Findings reported at most, one per rule and distinct message
+const MAX_FINDINGS = 10;
+
+// Lines after a match searched for the file and line it refers to, such as a stack frame
+const LOCATION_LOOKAHEAD = 5;
+
+// Error lines quoted when no rule matched
+const MAX_QUOTED_LINES = 5;
+
+/**
+ * Replaces the `$1`, `$2`... placeholders of a rule text with the groups of its match
+ * @param {string} text - Rule text
+ * @param {Array} match - Regular expression match
+ * @returns {string} - Text with the groups, missing groups removed
+ */
+function fillGroups(text, match) {
+  return text.replace(/\$(\d)/g, (placeholder, index) => match[Number(index)] || '').replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * Analyzes a log with the built-in rules
+ * The result has the shape of a parsed model analysis, so it is rendered, gated and reported the
+ * same way. Texts are in English whatever the language of the comment.
+ * @param {string} logContent - Log content
+ * @param {Object} options - Analysis options
+ * @param {string} options.language - Language code of the summary
+ * @returns {{summary: string, findings: Object[], structured: boolean, errors: string[]}} - Analysis, not structured when the log has errors no rule recognizes
+ */
+function analyzeHeuristically(logContent, { language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const lines = stripAnsi(logContent || '').split(/\r?\n/).map(line => stripTimestamp(line).trimEnd());
+  const findings = new Map();
+  let source = null;
+
+  lines.forEach((line, index) => {
+    const header = line.match(/^==> (.*) <==$/);
+    if (header) {
+      source = header[1];
+      return;
+    }
+
+    for (const rule of RULES) {
+      const match = line.match(rule.pattern);
+      if (!match) {
+        continue;
+      }
+      const title = fillGroups(rule.title, match);
+      const key = `${rule.id}:${title}`;
+      if (findings.has(key)) {
+        findings.get(key).occurrences++;
+      } else if (findings.size < MAX_FINDINGS) {
+        const reference = lines.slice(index, index + LOCATION_LOOKAHEAD + 1).map(firstFileReference).find(Boolean);
+        findings.set(key, {
+          finding: {
+            title,
+            severity: rule.severity,
+            category: rule.category,
+            source,
+            file: reference ? reference.file : null,
+            line: reference ? reference.line : null,
+            root_cause: `${fillGroups(rule.root_cause, match)}\n\n\`\`\`text\n${line.trim().slice(0, 300)}\n\`\`\``,
+            suggested_fix: fillGroups(rule.suggested_fix, match),
+            confidence: rule.confidence,
+            related_change: null,
+            suggestion: null
+          },
+          occurrences: 1
+        });
+      }
+      break;
+    }
+  });
+
+  const matched = [...findings.values()];
+  if (matched.length > 0) {
+    const summary = [
+      t('heuristic.summary', { count: matched.length }),
+      '',
+      ...matched.map(({ finding, occurrences }) => `- ${finding.title}${occurrences > 1 ? ` (${t('heuristic.occurrences', { count: occurrences })})` : ''}`)
+    ];
+    return { summary: summary.join('\n'), findings: matched.map(({ finding }) => finding), structured: true, errors: [] };
+  }
+
+  // Errors no rule knows can't be classified, like a model response that isn't valid JSON
+  const errorLines = lines.filter(line => isErrorLine(line) && line.trim()).slice(0, MAX_QUOTED_LINES);
+  if (errorLines.length > 0) {
+    return {
+      summary: `${t('heuristic.unrecognized')}\n\n\`\`\`text\n${errorLines.map(line => line.trim()).join('\n')}\n\`\`\``,
+      findings: [],
+      structured: false,
+      errors: ['no known error signature was found']
+    };
+  }
+  return { summary: t('heuristic.noErrors'), findings: [], structured: true, errors: [] };
+}
+
+export { ANALYSIS_MODES, HEURISTIC_ANALYZER, RULES, analyzeHeuristically };
@@ -0,0 +1,376 @@
+/**
+ * Failure history: a compact record of each analysis, so recurring failures can be recognized
+ * across runs, commits and pull requests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import * as actionsCache from '@actions/cache';
+import { normalizeLog } from './fingerprint.js';
+import { isErrorLine } from './preprocess.js';
+import { getTranslator } from './i18n.js';
+
+/**
+ * Where the history is kept
+ * `branch` commits it to a dedicated branch of the repository, shared by every workflow and pull
+ * request. `actions` keeps it in the GitHub Actions cache, which pull requests only share with
+ * their base branch.
+ */
+const HISTORY_MODES = ['none', 'branch', 'actions'];
+
+const DEFAULT_HISTORY_BRANCH = 'voltaflow-history';
+const DEFAULT_HISTORY_DIR = path.join(os.homedir(), '.cache', 'voltaflow-history');
+const HISTORY_FILE = 'history.json';
+const HISTORY_CACHE_PREFIX = 'voltaflow-history-v1-';
+
+// Actions cache entries can't be overwritten: each run saves a new one and the older ones of its branch are pruned
+const MAX_CACHE_ENTRIES = 3;
+
+// Keeps the history file small enough for the contents API
+const MAX_RECORDS = 300;
+const MAX_SIGNATURES = 10;
+const SIGNATURE_LENGTH = 150;
+const MAX_LISTED_OCCURRENCES = 5;
+
+// Errors on this many other branches or pull requests make a failure look flaky
+const FLAKY_MIN_REFS = 2;
+
+// Error lines every failed job has, which say nothing about the failure itself
+const GENERIC_ERROR_LINES = [/^##\[error\]Process completed with exit code/i, /^Error: Process completed with exit code/i];
+
+/**
+ * Extracts the error signatures of a log: its error lines without the values that change between runs
+ * @param {string} logContent - Redacted log content
+ * @param {number} limit - Maximum number of signatures
+ * @returns {Array<{id: string, text: string}>} - Distinct signatures, in log order
+ */
+function extractSignatures(logContent, limit = MAX_SIGNATURES) {
+  const signatures = new Map();
+
+  for (const line of normalizeLog(logContent).split('\n')) {
+    if (!isErrorLine(line) || GENERIC_ERROR_LINES.some(pattern => pattern.test(line))) {
+      continue;
+    }
+    const text = line.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim().slice(0, SIGNATURE_LENGTH);
+    const id = crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+    if (!signatures.has(id)) {
+      signatures.set(id, { id, text });
+    }
+    if (signatures.size === limit) {
+      break;
+    }
+  }
+
+  return [...signatures.values()];
+}
+
+/**
+ * Identifies the branch or pull request of a record
+ * @param {Object} record - History record
+ * @returns {string} - `#12` for pull requests, the branch name otherwise
+ */
+function refOf(record) {
+  return record.pr ? `#${record.pr}` : record.branch;
+}
+
+/**
+ * Finds the earlier runs that failed with the same log or the same errors
+ * @param {Object[]} records - History records
+ * @param {Object} current - Record of the current run
+ * @param {Object} options - Search options
+ * @param {number} options.days - How far back to look
+ * @param {number} options.now - Current time, mainly for tests
+ * @returns {Array<{record: Object, shared: string[]}>} - Matching records, newest first, with the texts of the shared signatures
+ */
+function findOccurrences(records, current, { days = 30, now = Date.now() } = {}) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const currentIds = new Set(current.signatures.map(signature => signature.id));
+
+  return records
+    .filter(record => Date.parse(record.created_at) >= since)
+    .filter(record => record.run.id !== current.run.id || record.run.attempt !== current.run.attempt)
+    .map(record => ({
+      record,
+      shared: record.signatures.filter(signature => currentIds.has(signature.id)).map(signature => signature.text)
+    }))
+    .filter(({ record, shared }) => shared.length > 0 || record.fingerprint === current.fingerprint)
+    .sort((a, b) => Date.parse(b.record.created_at) - Date.parse(a.record.created_at));
+}
+
+/**
+ * Tells what the earlier occurrences say about a failure
+ * @param {Array<{record: Object}>} matches - Result of findOccurrences
+ * @param {Object} current - Record of the current run
+ * @returns {{count: number, otherRefs: string[], sameCommit: number, flaky: boolean}} - Occurrences, other branches and pull requests they come from, earlier failures of the same commit and whether the failure looks flaky
+ */
+function assessRecurrence(matches, current) {
+  const otherRefs = [...new Set(matches.map(({ record }) => refOf(record)).filter(ref => ref !== refOf(current)))];
+  return {
+    count: matches.length,
+    otherRefs,
+    sameCommit: matches.filter(({ record }) => record.sha === current.sha).length,
+    flaky: otherRefs.length >= FLAKY_MIN_REFS
+  };
+}
+
+/**
+ * Adds a record to the history, dropping records older than the retention period and the oldest
+ * ones beyond the size limit
+ * @param {Object[]} records - History records
+ * @param {Object} record - New record
+ * @param {Object} options - Retention options
+ * @param {number} options.days - Retention period in days
+ * @param {number} options.now - Current time, mainly for tests
+ * @returns {Object[]} - Updated history, oldest first
+ */
+function addRecord(records, record, { days = 30, now = Date.now() } = {}) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  return [...records.filter(entry => Date.parse(entry.created_at) >= since), record].slice(-MAX_RECORDS);
+}
+
+/**
+ * Returns the prefix of the Actions cache keys of a branch
+ * The branch is hashed: cache keys can't contain commas or exceed 512 characters, and a fixed-length
+ * digest keeps the prefix of one branch from matching the keys of another.
+ * @param {string} ref - Branch of the run
+ * @returns {string} - Key prefix
+ */
+function getHistoryCachePrefix(ref) {
+  const digest = crypto.createHash('sha256').update(ref || '').digest('hex').slice(0, 16);
+  return `${HISTORY_CACHE_PREFIX}${digest}-`;
+}
+
+/**
+ * Reads the failure history
+ * The Actions cache restores the latest entry of the branch, or else the latest one the run can
+ * access, such as the base branch's for a new pull request.
+ * @param {Object} store - History location
+ * @param {string} store.mode - branch or actions
+ * @param {Object} store.octokit - Authenticated Octokit client (branch mode)
+ * @param {string} store.owner - Repository owner (branch mode)
+ * @param {string} store.repo - Repository name (branch mode)
+ * @param {string} store.branch - Branch holding the history (branch mode)
+ * @param {string} store.dir - Directory restored from the Actions cache (actions mode)
+ * @param {string} store.ref - Branch of the run (actions mode)
+ * @param {string} store.run - Run ID and attempt, unique to the run (actions mode)
+ * @param {Object} store.cache - Actions cache client, @actions/cache by default
+ * @param {Function} store.onError - Called with the error when older cache entries can't be pruned (actions mode)
+ * @returns {Promise<{records: Object[], sha: string|null}>} - Records, oldest first, and the blob SHA of the history file in branch mode
+ */
+async function readHistory({ mode, octokit, owner, repo, branch = DEFAULT_HISTORY_BRANCH, dir = DEFAULT_HISTORY_DIR, ref, run, cache = actionsCache }) {
+  if (mode === 'branch') {
+    try {
+      const { data } = await octokit.rest.repos.getContent({ owner, repo, path: HISTORY_FILE, ref: branch });
+      return { records: parseHistory(Buffer.from(data.content, 'base64').toString('utf8')), sha: data.sha };
+    } catch (error) {
+      if (error.status === 404) {
+        return { records: [], sha: null };
+      }
+      throw error;
+    }
+  }
+
+  if (!cache.isFeatureAvailable()) {
+    throw new Error('the GitHub Actions cache is not available on this runner');
+  }
+  const prefix = getHistoryCachePrefix(ref);
+  await cache.restoreCache([dir], `${prefix}${run}`, [prefix, HISTORY_CACHE_PREFIX]);
+  try {
+    return { records: parseHistory(await fs.promises.readFile(path.join(dir, HISTORY_FILE), 'utf8')), sha: null };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { records: [], sha: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses the history file, ignoring a corrupted one rather than failing every later run
+ * @param {string} content - File content
+ * @returns {Object[]} - Records
+ */
+function parseHistory(content) {
+  try {
+    const value = JSON.parse(content);
+    return Array.isArray(value.records) ? value.records : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Saves the failure history
+ * In branch mode a concurrent run may have updated the file in the meantime: the history is then
+ * read again and `update` applied to the new version. In actions mode the entry is saved under the
+ * key of the run and only the latest entries of the branch are kept.
+ * @param {Object} store - History location, as for readHistory
+ * @param {Function} update - Returns the new records from the current ones
+ * @param {Object} current - Result of readHistory the update is based on
+ * @returns {Promise<Object[]>} - Records saved
+ */
+async function writeHistory(store, update, current) {
+  const { mode, octokit, owner, repo, branch = DEFAULT_HISTORY_BRANCH, dir = DEFAULT_HISTORY_DIR, ref, run, cache = actionsCache, onError = () => {} } = store;
+
+  if (mode === 'actions') {
+    const records = update(current.records);
+    const prefix = getHistoryCachePrefix(ref);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, HISTORY_FILE), serializeHistory(records), 'utf8');
+    await cache.saveCache([dir], `${prefix}${run}`);
+    try {
+      await pruneCacheEntries(octokit, { owner, repo, prefix });
+    } catch (error) {
+      onError(error);
+    }
+    return records;
+  }
+
+  let base = current;
+  for (let attempt = 1; ; attempt++) {
+    const records = update(base.records);
+    try {
+      if (base.sha) {
+        await octokit.rest.repos.createOrUpdateFileContents({
+          owner,
+          repo,
+          path: HISTORY_FILE,
+          branch,
+          sha: base.sha,
+          message: 'Update Voltaflow failure history',
+          content: Buffer.from(serializeHistory(records)).toString('base64')
+        });
+      } else {
+        await createHistoryBranch(store, serializeHistory(records));
+      }
+      return records;
+    } catch (error) {
+      // 409 and 422: the file or the branch changed since it was read
+      if (attempt === 3 || ![409, 422].includes(error.status)) {
+        throw error;
+      }
+      base = await readHistory(store);
+    }
+  }
+}
+
+/**
+ * Deletes the older Actions cache entries of a branch, keeping the latest MAX_CACHE_ENTRIES
+ * @param {Object} octokit - Authenticated Octokit client, with `actions: write`
+ * @param {Object} options - Cache entries
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.prefix - Key prefix of the branch
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+async function pruneCacheEntries(octokit, { owner, repo, prefix }) {
+  const { data } = await octokit.rest.actions.getActionsCacheList({
+    owner,
+    repo,
+    key: prefix,
+    sort: 'created_at',
+    direction: 'desc',
+    per_page: 100
+  });
+  const stale = data.actions_caches.filter(entry => entry.key.startsWith(prefix)).slice(MAX_CACHE_ENTRIES);
+  for (const entry of stale) {
+    await octokit.rest.actions.deleteActionsCacheById({ owner, repo, cache_id: entry.id });
+  }
+  return stale.length;
+}
+
+/**
+ * Serializes the history file
+ * @param {Object[]} records - Records
+ * @returns {string} - File content
+ */
+function serializeHistory(records) {
+  return `${JSON.stringify({ version: 1, records })}\n`;
+}
+
+/**
+ * Creates the history branch with a single commit holding the history file
+ * The branch has no parent commit, so it shares nothing with the code of the repository.
+ * @param {Object} store - History location
+ * @param {string} content - History file content
+ */
+async function createHistoryBranch({ octokit, owner, repo, branch = DEFAULT_HISTORY_BRANCH }, content) {
+  const { data: blob } = await octokit.rest.git.createBlob({ owner, repo, content, encoding: 'utf-8' });
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    tree: [{ path: HISTORY_FILE, mode: '100644', type: 'blob', sha: blob.sha }]
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message: 'Start the Voltaflow failure history',
+    tree: tree.sha,
+    parents: []
+  });
+  await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+}
+
+/**
+ * Renders the "Seen before" section of the comment
+ * @param {Array<{record: Object, shared: string[]}>} matches - Result of findOccurrences
+ * @param {Object} recurrence - Result of assessRecurrence
+ * @param {Object} options - Rendering options
+ * @param {number} options.days - Period the history covers
+ * @param {string} options.language - Language code of the labels
+ * @returns {string} - Markdown section, empty when the failure wasn't seen before
+ */
+function renderSeenBefore(matches, recurrence, { days = 30, language = 'en' } = {}) {
+  if (matches.length === 0) {
+    return '';
+  }
+
+  const t = getTranslator(language);
+  const lines = [
+    `### 🔁 ${t('history.title')}`,
+    '',
+    t('history.intro', { count: matches.length, days }),
+    '',
+    ...matches.slice(0, MAX_LISTED_OCCURRENCES).map(({ record, shared }) => {
+      const run = t('history.run', { id: record.run.id });
+      const details = [
+        `[${record.run.attempt > 1 ? t('comment.cachedAttempt', { run, attempt: record.run.attempt }) : run}](${record.run.url})`,
+        record.pr ? `PR #${record.pr}` : `\`${record.branch}\``,
+        record.created_at.slice(0, 10)
+      ];
+      return `- ${details.join(' · ')}${shared.length > 0 ? `: \`${shared[0].replace(/`/g, "'")}\`` : ''}`;
+    })
+  ];
+
+  if (matches.length > MAX_LISTED_OCCURRENCES) {
+    lines.push(`- ${t('history.more', { count: matches.length - MAX_LISTED_OCCURRENCES })}`);
+  }
+
+  if (recurrence.flaky) {
+    lines.push('', `> ⚠️ ${t('history.flaky', { count: recurrence.otherRefs.length })}`);
+  } else if (recurrence.otherRefs.length > 0) {
+    lines.push('', `> ${t('history.otherRefs', { refs: recurrence.otherRefs.join(', ') })}`);
+  }
+  if (recurrence.sameCommit > 0) {
+    lines.push('', `> ${t('history.sameCommit')}`);
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  HISTORY_MODES,
+  DEFAULT_HISTORY_BRANCH,
+  DEFAULT_HISTORY_DIR,
+  HISTORY_CACHE_PREFIX,
+  getHistoryCachePrefix,
+  extractSignatures,
+  findOccurrences,
+  assessRecurrence,
+  addRecord,
+  readHistory,
+  writeHistory,
+  renderSeenBefore
+};
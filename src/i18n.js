@@ -0,0 +1,240 @@
+/**
+ * Languages of the comment: the model writes the analysis in the requested language and the
+ * text added by the action comes from the translation table below
+ */
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese'
+};
+
+// Names accepted in place of the language codes
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  spanish: 'es',
+  español: 'es',
+  espanol: 'es',
+  portuguese: 'pt',
+  português: 'pt',
+  portugues: 'pt'
+};
+
+/**
+ * Built-in strings, with `{name}` placeholders
+ * Missing strings fall back to English.
+ */
+const TRANSLATIONS = {
+  en: {
+    'comment.title': '🤖 Log Analysis by Voltaflow',
+    'comment.cached': '♻️ Cached from [{run}]({url}): the log is identical to the one analyzed then.',
+    'comment.cachedRun': 'run {id}',
+    'comment.cachedAttempt': '{run} (attempt {attempt})',
+    'comment.failedSteps': 'Failed steps analyzed',
+    'comment.footer': 'This analysis was automatically generated by voltaflow-pr-check.',
+    'comment.usage': 'Model usage: {usage}',
+    'comment.inProgress': 'The log is being analyzed. This comment will be updated with the results.',
+    'comment.partialResponse': 'Partial response ({count} characters)',
+    'comment.apiFailed': 'The log could not be analyzed, the model API failed: {message}',
+    'comment.failed': 'The analysis failed: {message}',
+    'comment.heuristic': '🔧 Analyzed offline with the built-in rules for common errors, without a model.',
+    'comment.heuristicFallback': '🔧 The model could not be used ({reason}), so the log was analyzed offline with the built-in rules for common errors.',
+    'severity.error': 'error',
+    'severity.warning': 'warning',
+    'severity.info': 'info',
+    'category.build': 'build',
+    'category.test': 'test',
+    'category.lint': 'lint',
+    'category.dependency': 'dependency',
+    'category.configuration': 'configuration',
+    'category.infrastructure': 'infrastructure',
+    'category.runtime': 'runtime',
+    'category.other': 'other',
+    'finding.confidence': 'confidence {percent}%',
+    'finding.source': 'in {source}',
+    'finding.rootCause': 'Root cause',
+    'finding.likelyCausedBy': 'Likely caused by',
+    'finding.relatedChange': 'changes to `{file}` in this pull request',
+    'finding.suggestedFix': 'Suggested fix',
+    'tests.title': 'Failed tests',
+    'tests.counts': '{total} tests, {failed} failed',
+    'tests.skipped': '{skipped} skipped',
+    'tests.header': '| Test | Location | Error |',
+    'tests.more': '…and {count} more failed tests.',
+    'usage.tokens': '{input} input and {output} output tokens',
+    'usage.costUnknown': 'cost unknown',
+    'redaction.title': 'Voltaflow redaction',
+    'redaction.sent': '{count} value(s) were redacted before the log was sent to {provider}.',
+    'redaction.local': '{count} value(s) were redacted from the log.',
+    'redaction.type': 'Type',
+    'redaction.count': 'Redactions',
+    'history.title': 'Seen before',
+    'history.intro': 'The same errors were reported {count} times in the last {days} days:',
+    'history.run': 'run {id}',
+    'history.more': '…and {count} more occurrences.',
+    'history.flaky': 'This failure also happened on {count} other branches or pull requests, so it may be flaky rather than caused by these changes.',
+    'history.otherRefs': 'This failure also happened on {refs}.',
+    'history.sameCommit': 'This commit already failed the same way in an earlier run or attempt.',
+    'review.summary': 'Voltaflow commented on {count} changed lines the failure points to.',
+    'review.outside': 'Suggested changes outside the diff',
+    'notification.title': 'Voltaflow log analysis: {origin}',
+    'notification.more': '…and {count} more findings.',
+    'notification.viewRun': 'View run',
+    'notification.viewPullRequest': 'View pull request',
+    'heuristic.summary': 'The log matches {count} known error signatures:',
+    'heuristic.occurrences': '{count} occurrences',
+    'heuristic.unrecognized': 'No known error signature was found. The first errors of the log are:',
+    'heuristic.noErrors': 'No errors were found in the log.'
+  },
+  es: {
+    'comment.title': '🤖 Análisis de logs de Voltaflow',
+    'comment.cached': '♻️ Reutilizado de [{run}]({url}): el log es idéntico al que se analizó entonces.',
+    'comment.cachedRun': 'la ejecución {id}',
+    'comment.cachedAttempt': '{run} (intento {attempt})',
+    'comment.failedSteps': 'Pasos fallidos analizados',
+    'comment.footer': 'Este análisis fue generado automáticamente por voltaflow-pr-check.',
+    'comment.usage': 'Uso del modelo: {usage}',
+    'comment.inProgress': 'El log se está analizando. Este comentario se actualizará con los resultados.',
+    'comment.partialResponse': 'Respuesta parcial ({count} caracteres)',
+    'comment.apiFailed': 'No se pudo analizar el log, la API del modelo falló: {message}',
+    'comment.failed': 'El análisis falló: {message}',
+    'comment.heuristic': '🔧 Analizado sin conexión con las reglas integradas para errores comunes, sin un modelo.',
+    'comment.heuristicFallback': '🔧 No se pudo usar el modelo ({reason}), así que el log se analizó sin conexión con las reglas integradas para errores comunes.',
+    'severity.error': 'error',
+    'severity.warning': 'advertencia',
+    'severity.info': 'información',
+    'category.build': 'compilación',
+    'category.test': 'test',
+    'category.lint': 'lint',
+    'category.dependency': 'dependencia',
+    'category.configuration': 'configuración',
+    'category.infrastructure': 'infraestructura',
+    'category.runtime': 'ejecución',
+    'category.other': 'otro',
+    'finding.confidence': 'confianza {percent}%',
+    'finding.source': 'en {source}',
+    'finding.rootCause': 'Causa raíz',
+    'finding.likelyCausedBy': 'Causa probable',
+    'finding.relatedChange': 'los cambios en `{file}` de este pull request',
+    'finding.suggestedFix': 'Solución sugerida',
+    'tests.title': 'Tests fallidos',
+    'tests.counts': '{total} tests, {failed} fallidos',
+    'tests.skipped': '{skipped} omitidos',
+    'tests.header': '| Test | Ubicación | Error |',
+    'tests.more': '…y {count} tests fallidos más.',
+    'usage.tokens': '{input} tokens de entrada y {output} de salida',
+    'usage.costUnknown': 'coste desconocido',
+    'redaction.title': 'Redacción de Voltaflow',
+    'redaction.sent': 'Se ocultaron {count} valor(es) antes de enviar el log a {provider}.',
+    'redaction.local': 'Se ocultaron {count} valor(es) del log.',
+    'redaction.type': 'Tipo',
+    'redaction.count': 'Ocultados',
+    'history.title': 'Visto antes',
+    'history.intro': 'Los mismos errores se reportaron {count} veces en los últimos {days} días:',
+    'history.run': 'ejecución {id}',
+    'history.more': '…y {count} apariciones más.',
+    'history.flaky': 'Este fallo también ocurrió en otras {count} ramas o pull requests, por lo que puede ser inestable y no causado por estos cambios.',
+    'history.otherRefs': 'Este fallo también ocurrió en {refs}.',
+    'history.sameCommit': 'Este commit ya falló de la misma forma en una ejecución o intento anterior.',
+    'review.summary': 'Voltaflow comentó {count} líneas modificadas a las que apunta el fallo.',
+    'review.outside': 'Cambios sugeridos fuera del diff',
+    'notification.title': 'Análisis de logs de Voltaflow: {origin}',
+    'notification.more': '…y {count} hallazgos más.',
+    'notification.viewRun': 'Ver ejecución',
+    'notification.viewPullRequest': 'Ver pull request',
+    'heuristic.summary': 'El log coincide con {count} firmas de error conocidas:',
+    'heuristic.occurrences': '{count} apariciones',
+    'heuristic.unrecognized': 'No se encontró ninguna firma de error conocida. Los primeros errores del log son:',
+    'heuristic.noErrors': 'No se encontraron errores en el log.'
+  },
+  pt: {
+    'comment.title': '🤖 Análise de logs do Voltaflow',
+    'comment.cached': '♻️ Reaproveitado de [{run}]({url}): o log é idêntico ao que foi analisado naquela vez.',
+    'comment.cachedRun': 'execução {id}',
+    'comment.cachedAttempt': '{run} (tentativa {attempt})',
+    'comment.failedSteps': 'Etapas com falha analisadas',
+    'comment.footer': 'Esta análise foi gerada automaticamente pelo voltaflow-pr-check.',
+    'comment.usage': 'Uso do modelo: {usage}',
+    'comment.inProgress': 'O log está sendo analisado. Este comentário será atualizado com os resultados.',
+    'comment.partialResponse': 'Resposta parcial ({count} caracteres)',
+    'comment.apiFailed': 'Não foi possível analisar o log, a API do modelo falhou: {message}',
+    'comment.failed': 'A análise falhou: {message}',
+    'comment.heuristic': '🔧 Analisado offline com as regras embutidas para erros comuns, sem um modelo.',
+    'comment.heuristicFallback': '🔧 Não foi possível usar o modelo ({reason}), então o log foi analisado offline com as regras embutidas para erros comuns.',
+    'severity.error': 'erro',
+    'severity.warning': 'aviso',
+    'severity.info': 'informação',
+    'category.build': 'build',
+    'category.test': 'teste',
+    'category.lint': 'lint',
+    'category.dependency': 'dependência',
+    'category.configuration': 'configuração',
+    'category.infrastructure': 'infraestrutura',
+    'category.runtime': 'execução',
+    'category.other': 'outro',
+    'finding.confidence': 'confiança {percent}%',
+    'finding.source': 'em {source}',
+    'finding.rootCause': 'Causa raiz',
+    'finding.likelyCausedBy': 'Causa provável',
+    'finding.relatedChange': 'alterações em `{file}` neste pull request',
+    'finding.suggestedFix': 'Correção sugerida',
+    'tests.title': 'Testes com falha',
+    'tests.counts': '{total} testes, {failed} com falha',
+    'tests.skipped': '{skipped} ignorados',
+    'tests.header': '| Teste | Local | Erro |',
+    'tests.more': '…e mais {count} testes com falha.',
+    'usage.tokens': '{input} tokens de entrada e {output} de saída',
+    'usage.costUnknown': 'custo desconhecido',
+    'redaction.title': 'Redação do Voltaflow',
+    'redaction.sent': '{count} valor(es) foram ocultados antes de o log ser enviado para {provider}.',
+    'redaction.local': '{count} valor(es) foram ocultados do log.',
+    'redaction.type': 'Tipo',
+    'redaction.count': 'Ocultações',
+    'history.title': 'Visto antes',
+    'history.intro': 'Os mesmos erros foram reportados {count} vezes nos últimos {days} dias:',
+    'history.run': 'execução {id}',
+    'history.more': '…e mais {count} ocorrências.',
+    'history.flaky': 'Esta falha também ocorreu em outros {count} branches ou pull requests, então pode ser instável e não causada por estas alterações.',
+    'history.otherRefs': 'Esta falha também ocorreu em {refs}.',
+    'history.sameCommit': 'Este commit já falhou da mesma forma em uma execução ou tentativa anterior.',
+    'review.summary': 'O Voltaflow comentou {count} linhas alteradas apontadas pela falha.',
+    'review.outside': 'Alterações sugeridas fora do diff',
+    'notification.title': 'Análise de logs do Voltaflow: {origin}',
+    'notification.more': '…e mais {count} problemas.',
+    'notification.viewRun': 'Ver execução',
+    'notification.viewPullRequest': 'Ver pull request',
+    'heuristic.summary': 'O log corresponde a {count} assinaturas de erro conhecidas:',
+    'heuristic.occurrences': '{count} ocorrências',
+    'heuristic.unrecognized': 'Nenhuma assinatura de erro conhecida foi encontrada. Os primeiros erros do log são:',
+    'heuristic.noErrors': 'Nenhum erro foi encontrado no log.'
+  }
+};
+
+/**
+ * Resolves the `language` input or config key to a supported language code
+ * Regional variants such as `pt-BR` and language names such as `Spanish` are accepted.
+ * @param {string} value - Language code or name, English when empty
+ * @returns {string} - Language code
+ */
+function resolveLanguage(value) {
+  const normalized = (value || 'en').trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[normalized] || normalized.split(/[-_]/)[0];
+  if (!LANGUAGES[code]) {
+    throw new Error(`Unsupported language "${value}". Supported languages: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return code;
+}
+
+/**
+ * Returns the function translating the built-in strings to a language
+ * @param {string} language - Language code
+ * @returns {Function} - `(key, values)` resolving to the translated string with its placeholders filled
+ */
+function getTranslator(language = 'en') {
+  const strings = { ...TRANSLATIONS.en, ...TRANSLATIONS[language] };
+  return (key, values = {}) => (strings[key] || key).replace(/\{(\w+)\}/g, (placeholder, name) => (
+    values[name] === undefined ? placeholder : String(values[name])
+  ));
+}
+
+export { LANGUAGES, TRANSLATIONS, resolveLanguage, getTranslator };
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import * as glob from '@actions/glob';
+
+/**
+ * Splits the `log_paths` input into individual patterns
+ * Patterns may be separated by newlines or commas; blank lines and `#` comments are ignored
+ * @param {string} input - Raw value of the `log_paths` input
+ * @returns {string[]} - List of file, directory or glob patterns
+ */
+function parseLogPaths(input) {
+  if (!input) {
+    return [];
+  }
+
+  return input
+    .split(/[\n,]/)
+    .map(pattern => pattern.trim())
+    .filter(pattern => pattern !== '' && !pattern.startsWith('#'));
+}
+
+/**
+ * Resolves file, directory and glob patterns to a sorted list of log files
+ * Directories match every file below them
+ * @param {string[]} patterns - Patterns returned by parseLogPaths
+ * @param {string} cwd - Directory relative patterns are resolved against
+ * @returns {Promise<string[]>} - Absolute paths of the matched files
+ */
+async function resolveLogFiles(patterns, cwd = process.cwd()) {
+  if (patterns.length === 0) {
+    return [];
+  }
+
+  const absolutePatterns = patterns.map(pattern => {
+    const negated = pattern.startsWith('!');
+    const resolved = path.resolve(cwd, negated ? pattern.slice(1) : pattern);
+    return negated ? `!${resolved}` : resolved;
+  });
+
+  const globber = await glob.create(absolutePatterns.join('\n'), {
+    matchDirectories: false,
+    implicitDescendants: true
+  });
+  const files = await globber.glob();
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Reads log files and labels each one with its workspace-relative path
+ * NUL bytes and other control characters are removed so binary-ish logs don't break the prompt
+ * @param {string[]} files - Absolute paths of the log files
+ * @param {string} workspace - Directory used to build the labels
+ * @returns {Promise<Array<{label: string, path: string, content: string}>>} - Labelled log sources
+ */
+async function readLogSources(files, workspace = process.cwd()) {
+  const sources = [];
+
+  for (const file of files) {
+    const content = await fs.promises.readFile(file, 'utf8');
+    const relative = path.relative(workspace, file);
+    sources.push({
+      label: relative && !relative.startsWith('..') ? relative : file,
+      path: file,
+      content: sanitizeLogContent(content)
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Removes characters that are never meaningful in a text log
+ * @param {string} content - Raw log content
+ * @returns {string} - Log content without NUL bytes and stray control characters
+ */
+function sanitizeLogContent(content) {
+  return content.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001A\u001C-\u001F\uFFFD]/g, '');
+}
+
+/**
+ * Concatenates log sources into a single text
+ * Each source gets a `==> label <==` header, the same convention `head`/`tail` use for
+ * multiple files, unless the only source is inline content
+ * @param {Array<{label: string, content: string, inline: boolean}>} sources - Labelled log sources
+ * @returns {string} - Combined log content
+ */
+function combineLogSources(sources) {
+  if (sources.length === 0) {
+    return '';
+  }
+
+  if (sources.length === 1 && sources[0].inline) {
+    return sources[0].content;
+  }
+
+  return sources
+    .map(source => `==> ${source.label} <==\n${source.content.replace(/\s+$/, '')}`)
+    .join('\n\n');
+}
+
+export { parseLogPaths, resolveLogFiles, readLogSources, sanitizeLogContent, combineLogSources };
@@ -0,0 +1,269 @@
+/**
+ * Notifications: the analysis sent to Slack, Microsoft Teams or any JSON webhook, each in the
+ * format of its platform
+ */
+
+import { SEVERITIES, SEVERITY_ICONS } from './findings.js';
+import { getTranslator } from './i18n.js';
+
+const NOTIFIER_TYPES = ['slack', 'teams', 'webhook'];
+
+/**
+ * Lowest severity that triggers a notification
+ * `always` notifies every analysis, including those without findings or that couldn't be classified.
+ */
+const NOTIFY_ON_LEVELS = ['always', ...SEVERITIES];
+
+/**
+ * Runs that notify: `all`, or `default` for runs on the default branch only, pull requests excluded
+ */
+const NOTIFY_BRANCHES = ['all', 'default'];
+
+// Adaptive card container styles matching the severities
+const TEAMS_STYLES = { error: 'attention', warning: 'warning', info: 'accent', none: 'good', unknown: 'default' };
+
+// Findings listed in a message; the link to the run leads to the rest
+const MAX_NOTIFIED_FINDINGS = 5;
+
+// Slack rejects section texts longer than 3000 characters
+const MAX_SLACK_TEXT = 3000;
+
+/**
+ * Decides whether a run should be notified
+ * @param {Object} notification - Notification built by the action
+ * @param {string} notification.maxSeverity - Highest severity of the analysis
+ * @param {string} notification.branch - Branch of the run
+ * @param {string} notification.defaultBranch - Default branch of the repository
+ * @param {number|null} notification.prNumber - Pull request of the run
+ * @param {Object} filters - Notification filters
+ * @param {string} filters.on - always, error, warning or info
+ * @param {string} filters.branches - all or default
+ * @returns {boolean} - True when the notification should be sent
+ */
+function shouldNotify({ maxSeverity, branch, defaultBranch, prNumber }, { on = 'always', branches = 'all' } = {}) {
+  if (branches === 'default' && (prNumber || !branch || branch !== defaultBranch)) {
+    return false;
+  }
+  if (on === 'always') {
+    return true;
+  }
+  return SEVERITIES.includes(maxSeverity) && SEVERITIES.indexOf(maxSeverity) <= SEVERITIES.indexOf(on);
+}
+
+/**
+ * Describes where the run comes from, such as `o/r · #12` or `o/r · main`
+ * @param {Object} notification - Notification
+ * @returns {string} - Plain text description
+ */
+function describeOrigin({ repository, branch, prNumber }) {
+  return [repository, prNumber ? `#${prNumber}` : branch].filter(Boolean).join(' · ');
+}
+
+/**
+ * Converts GitHub markdown to Slack mrkdwn: bold, links and headings
+ * @param {string} text - Markdown
+ * @returns {string} - Slack mrkdwn
+ */
+function toSlackMarkdown(text) {
+  return (text || '')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<$2|$1>')
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*');
+}
+
+/**
+ * Shortens a text to a length, marking the cut
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string} - Text of at most `length` characters
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Builds a Slack incoming webhook message with Block Kit blocks
+ * @param {Object} notification - Notification
+ * @returns {Object} - Message payload
+ */
+function buildSlackPayload(notification) {
+  const t = getTranslator(notification.language);
+  const { maxSeverity, findings, runUrl, prUrl } = notification;
+  const title = `${SEVERITY_ICONS[maxSeverity]} ${t('notification.title', { origin: describeOrigin(notification) })}`;
+
+  const summary = toSlackMarkdown(notification.summary).trim();
+
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: truncate(title, 150), emoji: true } }];
+  // Slack rejects a section block with empty text
+  if (summary) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(summary, MAX_SLACK_TEXT) } });
+  }
+
+  for (const finding of findings.slice(0, MAX_NOTIFIED_FINDINGS)) {
+    const location = finding.file ? ` · \`${finding.file}${finding.line ? `:${finding.line}` : ''}\`` : '';
+    const lines = [`${SEVERITY_ICONS[finding.severity]} *${finding.title}*${location}`];
+    if (finding.suggested_fix) {
+      lines.push(`${t('finding.suggestedFix')}: ${toSlackMarkdown(finding.suggested_fix)}`);
+    }
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(lines.join('\n'), MAX_SLACK_TEXT) } });
+  }
+  if (findings.length > MAX_NOTIFIED_FINDINGS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: t('notification.more', { count: findings.length - MAX_NOTIFIED_FINDINGS }) }]
+    });
+  }
+
+  const links = [
+    { type: 'button', text: { type: 'plain_text', text: t('notification.viewRun') }, url: runUrl },
+    prUrl && { type: 'button', text: { type: 'plain_text', text: t('notification.viewPullRequest') }, url: prUrl }
+  ].filter(Boolean);
+  blocks.push({ type: 'actions', elements: links });
+
+  return { text: title, blocks };
+}
+
+/**
+ * Builds a Microsoft Teams incoming webhook message with an adaptive card
+ * @param {Object} notification - Notification
+ * @returns {Object} - Message payload
+ */
+function buildTeamsPayload(notification) {
+  const t = getTranslator(notification.language);
+  const { maxSeverity, findings, runUrl, prUrl } = notification;
+  const summary = (notification.summary || '').trim();
+
+  const body = [
+    {
+      type: 'Container',
+      style: TEAMS_STYLES[maxSeverity],
+      items: [{
+        type: 'TextBlock',
+        text: `${SEVERITY_ICONS[maxSeverity]} ${t('notification.title', { origin: describeOrigin(notification) })}`,
+        weight: 'Bolder',
+        size: 'Medium',
+        wrap: true
+      }]
+    },
+    // An empty TextBlock still takes a line of the card
+    summary && { type: 'TextBlock', text: summary, wrap: true },
+    ...findings.slice(0, MAX_NOTIFIED_FINDINGS).map(finding => ({
+      type: 'Container',
+      style: TEAMS_STYLES[finding.severity],
+      items: [
+        { type: 'TextBlock', text: `${SEVERITY_ICONS[finding.severity]} **${finding.title}**`, wrap: true },
+        finding.file && {
+          type: 'TextBlock',
+          text: `${finding.file}${finding.line ? `:${finding.line}` : ''}`,
+          fontType: 'Monospace',
+          isSubtle: true,
+          wrap: true
+        },
+        finding.suggested_fix && { type: 'TextBlock', text: `${t('finding.suggestedFix')}: ${finding.suggested_fix}`, wrap: true }
+      ].filter(Boolean)
+    }))
+  ].filter(Boolean);
+  if (findings.length > MAX_NOTIFIED_FINDINGS) {
+    body.push({ type: 'TextBlock', text: t('notification.more', { count: findings.length - MAX_NOTIFIED_FINDINGS }), isSubtle: true, wrap: true });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body,
+        actions: [
+          { type: 'Action.OpenUrl', title: t('notification.viewRun'), url: runUrl },
+          prUrl && { type: 'Action.OpenUrl', title: t('notification.viewPullRequest'), url: prUrl }
+        ].filter(Boolean)
+      }
+    }]
+  };
+}
+
+/**
+ * Builds the JSON document posted to a generic webhook
+ * @param {Object} notification - Notification
+ * @returns {Object} - Payload with the run, the analysis and its markdown rendering
+ */
+function buildWebhookPayload(notification) {
+  return {
+    event: 'voltaflow.analysis',
+    repository: notification.repository,
+    branch: notification.branch,
+    sha: notification.sha,
+    pull_request: notification.prNumber ? { number: notification.prNumber, url: notification.prUrl } : null,
+    run_url: notification.runUrl,
+    max_severity: notification.maxSeverity,
+    verdict: notification.verdict,
+    summary: notification.summary,
+    findings: notification.findings,
+    markdown: notification.markdown
+  };
+}
+
+const PAYLOAD_BUILDERS = {
+  slack: buildSlackPayload,
+  teams: buildTeamsPayload,
+  webhook: buildWebhookPayload
+};
+
+/**
+ * Posts a notification to a webhook
+ * @param {{type: string, url: string}} target - Notifier type and webhook URL
+ * @param {Object} notification - Notification
+ * @param {Object} options - Request options
+ * @param {Function} options.fetch - Fetch implementation, mainly for tests
+ * @param {number} options.timeout - Request timeout in milliseconds
+ */
+async function sendNotification({ type, url }, notification, { fetch = globalThis.fetch, timeout = 10000 } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(PAYLOAD_BUILDERS[type](notification)),
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    const error = new Error(`${type} webhook request failed with status ${response.status}${detail ? `: ${detail}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Sends a notification to every target, one failing target not preventing the others
+ * @param {Array<{type: string, url: string}>} targets - Notifier types and webhook URLs
+ * @param {Object} notification - Notification
+ * @param {Object} options - Request options, as for sendNotification
+ * @returns {Promise<Array<{type: string, error: Error|null}>>} - Outcome of each target
+ */
+async function notifyAll(targets, notification, options = {}) {
+  return Promise.all(targets.map(async target => {
+    try {
+      await sendNotification(target, notification, options);
+      return { type: target.type, error: null };
+    } catch (error) {
+      return { type: target.type, error };
+    }
+  }));
+}
+
+export {
+  NOTIFIER_TYPES,
+  NOTIFY_ON_LEVELS,
+  NOTIFY_BRANCHES,
+  shouldNotify,
+  toSlackMarkdown,
+  buildSlackPayload,
+  buildTeamsPayload,
+  buildWebhookPayload,
+  sendNotification,
+  notifyAll
+};
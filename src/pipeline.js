@@ -0,0 +1,182 @@
+/**
+ * Steps of the analysis shared by the action and the command line interface
+ */
+
+import { createProvider, parseFallbackModels } from './providers.js';
+import { createResilientCompletion } from './retry.js';
+import { parseTestReport, summarizeTestReport } from './testReports.js';
+import { redactText } from './redact.js';
+import { estimateAnalysisTokens } from './analyze.js';
+import { estimateTokens, selectChunks } from './preprocess.js';
+import { estimateCost } from './usage.js';
+
+// A log part cut below this size says too little to be worth analyzing
+const MIN_BUDGET_CHUNK_TOKENS = 500;
+
+/**
+ * Creates the completion function for the configured model and its fallbacks
+ * Fallbacks on another provider use its default endpoint and the fallback key.
+ * @param {Object} options - Model options
+ * @param {string} options.provider - Provider of the primary model
+ * @param {string} options.apiKey - API key of the primary provider
+ * @param {string} options.baseURL - Endpoint overriding the provider default
+ * @param {string} options.model - Primary model
+ * @param {string} options.fallbackModels - Value of the `fallback_models` input
+ * @param {string} options.fallbackApiKey - API key for fallbacks on another provider
+ * @param {number} options.retries - Retries of each request on a provider
+ * @param {Function} options.onRetry - Called before each retry, see withRetry
+ * @param {Function} options.onFallback - Called when moving to the next model
+ * @param {Object} options.settings - Other createProvider options: apiVersion, temperature, maxTokens, timeout, fetch, onUsage
+ * @returns {{provider: Object, fallbacks: Object[], complete: Function}} - Primary provider, fallbacks and resilient completion function
+ */
+function createModelClient({
+  provider: providerName = 'deepseek',
+  apiKey,
+  baseURL,
+  model,
+  fallbackModels = '',
+  fallbackApiKey,
+  retries = 3,
+  onRetry,
+  onFallback,
+  ...settings
+}) {
+  const provider = createProvider({ provider: providerName, apiKey, baseURL, model, ...settings });
+  const fallbacks = parseFallbackModels(fallbackModels, provider.name).map(fallback => createProvider({
+    provider: fallback.provider,
+    apiKey: fallback.provider === provider.name ? apiKey : fallbackApiKey,
+    baseURL: fallback.provider === provider.name ? baseURL : '',
+    model: fallback.model,
+    ...settings
+  }));
+
+  const complete = createResilientCompletion([provider, ...fallbacks], { retries, onRetry, onFallback });
+  return { provider, fallbacks, complete };
+}
+
+/**
+ * Replaces the sources that are test reports (JUnit XML, TAP, Jest or pytest JSON) with a compact
+ * summary of their failures
+ * @param {Array<{label: string, content: string}>} sources - Log sources, updated in place
+ * @param {string} workspace - Repository checkout directory
+ * @param {Object} options - Extraction options
+ * @param {Function} options.log - Receives a message for every parsed report
+ * @returns {Object[]} - Parsed reports, each with the label of its source
+ */
+function extractTestReports(sources, workspace = process.cwd(), { log = console.log } = {}) {
+  const testReports = [];
+  for (const source of sources) {
+    const report = parseTestReport(source.content, workspace);
+    if (report) {
+      testReports.push({ ...report, label: source.label });
+      source.content = summarizeTestReport(report);
+      log(`Parsed ${source.label} as a test report: ${report.failed} of ${report.total} test(s) failed`);
+    }
+  }
+  return testReports;
+}
+
+/**
+ * Masks secrets and personal data in the log and in the failed tests of the test reports
+ * The failed tests table is built from the reports, which must not leak what the log hides.
+ * @param {string} logContent - Combined log content
+ * @param {Object[]} testReports - Parsed test reports, updated in place
+ * @param {Object} options - redactText options
+ * @returns {{text: string, counts: Object<string, number>, total: number}} - Redacted log and number of redactions per type
+ */
+function redactLog(logContent, testReports, options) {
+  const redaction = redactText(logContent, options);
+
+  for (const failure of testReports.flatMap(report => report.failures)) {
+    for (const key of ['name', 'message', 'stack']) {
+      failure[key] = redactText(failure[key], options).text;
+    }
+  }
+
+  return redaction;
+}
+
+/**
+ * Masks secrets and personal data in the title and patches of a pull request, as in the log
+ * The changes are copied: the review comments still map lines with the original patches.
+ * @param {{title: string, files: Object[]}} changes - Result of fetchPullRequestChanges
+ * @param {Object} options - redactText options
+ * @returns {{changes: Object, counts: Object<string, number>, total: number}} - Redacted changes and number of redactions per type
+ */
+function redactChanges(changes, options) {
+  const counts = {};
+  const redact = text => {
+    const redaction = redactText(text, options);
+    for (const [type, count] of Object.entries(redaction.counts)) {
+      counts[type] = (counts[type] || 0) + count;
+    }
+    return redaction.text;
+  };
+
+  return {
+    changes: { ...changes, title: redact(changes.title), files: changes.files.map(file => ({ ...file, patch: file.patch && redact(file.patch) })) },
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+/**
+ * Keeps the analysis within the `max_input_tokens` and `max_cost` budgets
+ * The parts with the fewest errors are dropped first, as for `max_chunks`. When a single part is
+ * still too large its beginning is cut, keeping the end of the log where failures usually are.
+ * The analysis is skipped when even a minimal part doesn't fit.
+ * @param {string[]} chunks - Log chunks returned by preprocessLog
+ * @param {Object} options - Budget options
+ * @param {string} options.systemPrompt - Instructions for the final interpretation
+ * @param {string} options.context - Additional context sent in the final request
+ * @param {number} options.maxTokens - Maximum tokens of a reply
+ * @param {number} options.maxInputTokens - Input token budget, 0 for none
+ * @param {number} options.maxCost - Cost budget in USD, 0 for none
+ * @param {{input: number, output: number}} options.price - Price of the model, null when unknown
+ * @returns {{chunks: string[], estimate: Object, droppedChunks: number, truncated: boolean, skipped: boolean}} - Chunks to analyze and their estimated usage
+ */
+function fitToBudget(chunks, { systemPrompt, context = '', maxTokens = 2000, maxInputTokens = 0, maxCost = 0, price = null }) {
+  const estimateOf = selected => estimateAnalysisTokens(systemPrompt, selected, { context, maxTokens });
+  const inputLimit = (estimate) => {
+    const limits = [maxInputTokens || Infinity];
+    if (maxCost && price && price.input > 0) {
+      limits.push((maxCost * 1e6 - estimate.completionTokens * price.output) / price.input);
+    }
+    return Math.min(...limits);
+  };
+  const fits = estimate => estimate.promptTokens <= inputLimit(estimate)
+    && (!maxCost || !price || estimateCost(estimate, price) <= maxCost);
+
+  let selected = chunks;
+  let estimate = estimateOf(selected);
+  while (selected.length > 1 && !fits(estimate)) {
+    selected = selectChunks(selected, selected.length - 1);
+    estimate = estimateOf(selected);
+  }
+
+  const result = { droppedChunks: chunks.length - selected.length, truncated: false, skipped: false };
+  if (fits(estimate)) {
+    return { ...result, chunks: selected, estimate };
+  }
+
+  // Only one part is left: cut it to what remains of the budget after the prompt
+  const overhead = estimateOf(['']);
+  const available = Math.floor(inputLimit(overhead) - overhead.promptTokens);
+  if (selected.length === 0 || available < MIN_BUDGET_CHUNK_TOKENS) {
+    return { ...result, chunks: [], estimate: overhead, skipped: true };
+  }
+
+  const kept = [];
+  let tokens = 0;
+  for (const line of selected[0].split('\n').reverse()) {
+    tokens += estimateTokens(line) + 1;
+    if (tokens > available) {
+      break;
+    }
+    kept.unshift(line);
+  }
+  const truncated = [kept.join('\n')];
+  return { ...result, chunks: truncated, estimate: estimateOf(truncated), truncated: true };
+}
+
+export { createModelClient, extractTestReports, redactLog, redactChanges, fitToBudget };
@@ -0,0 +1,121 @@
+import { CHARS_PER_TOKEN, estimateTokens } from './preprocess.js';
+
+// Share of the diff budget a single file may use, so one huge change doesn't hide the others
+const MAX_FILE_SHARE = 0.5;
+
+// The list of changed files is cut at this many files or this share of the budget, whichever comes first
+const MAX_LISTED_FILES = 100;
+const MAX_LIST_SHARE = 0.25;
+
+/**
+ * Fetches the title and changed files of a pull request
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Pull request to fetch
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {number} options.pullNumber - Pull request number
+ * @returns {Promise<{title: string, files: Object[]}>} - Pull request title and files with their patches
+ */
+async function fetchPullRequestChanges(octokit, { owner, repo, pullNumber }) {
+  const { data: pullRequest } = await octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber });
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+
+  return {
+    title: pullRequest.title,
+    files: files.map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch || ''
+    }))
+  };
+}
+
+/**
+ * Tells whether a log mentions a changed file, by path or by file name
+ * @param {string} logContent - Log content
+ * @param {string} filename - Repository-relative path of the changed file
+ * @returns {boolean} - True if the file appears in the log
+ */
+function isMentionedInLog(logContent, filename) {
+  if (logContent.includes(filename)) {
+    return true;
+  }
+  const basename = filename.split('/').pop();
+  // Short or extension-less names such as "index" or "Makefile" match too much to be meaningful
+  return basename.includes('.') && basename.length > 4
+    && new RegExp(`(^|[\\s/\\\\('"])${basename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(logContent);
+}
+
+/**
+ * Builds the pull request section of the prompt
+ * Files mentioned in the log come first; patches are included until the token budget is used,
+ * the remaining files are only listed. The list counts against the budget too.
+ * @param {{title: string, files: Object[]}} changes - Result of fetchPullRequestChanges
+ * @param {string} logContent - Log content, used to prioritize files
+ * @param {number} maxTokens - Token budget for the list of files and the patches
+ * @returns {string} - Markdown description of the changes
+ */
+function buildDiffContext(changes, logContent, maxTokens = 3000) {
+  if (!changes || changes.files.length === 0) {
+    return '';
+  }
+
+  const files = changes.files
+    .map((file, index) => ({ ...file, index, mentioned: isMentionedInLog(logContent || '', file.filename) }))
+    .sort((a, b) => Number(b.mentioned) - Number(a.mentioned) || a.index - b.index);
+
+  const lines = [
+    `## Pull request changes: ${changes.title}`,
+    '',
+    `Changed files (${files.length}):`
+  ];
+  let listed = 0;
+  let listTokens = 0;
+  for (const file of files) {
+    const entry = `- ${file.filename} (${file.status}, +${file.additions}/-${file.deletions})${file.mentioned ? ' — mentioned in the log' : ''}`;
+    if (listed === MAX_LISTED_FILES || listTokens + estimateTokens(entry) > maxTokens * MAX_LIST_SHARE) {
+      break;
+    }
+    lines.push(entry);
+    listed += 1;
+    listTokens += estimateTokens(entry);
+  }
+  if (listed < files.length) {
+    lines.push(`- ... and ${files.length - listed} more`);
+  }
+
+  let remaining = maxTokens - estimateTokens(lines.join('\n'));
+  const omitted = [];
+  for (const file of files) {
+    if (!file.patch) {
+      continue;
+    }
+    const limit = Math.min(remaining, Math.floor(maxTokens * MAX_FILE_SHARE));
+    if (limit < 50) {
+      omitted.push(file.filename);
+      continue;
+    }
+
+    let patch = file.patch;
+    if (estimateTokens(patch) > limit) {
+      patch = `${patch.slice(0, limit * CHARS_PER_TOKEN)}\n... (diff truncated)`;
+    }
+    remaining -= estimateTokens(patch);
+    lines.push('', `### ${file.filename}`, '```diff', patch, '```');
+  }
+
+  if (omitted.length > 0) {
+    lines.push('', `Diffs omitted for size: ${omitted.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+export { fetchPullRequestChanges, isMentionedInLog, buildDiffContext };
@@ -0,0 +1,276 @@
+/**
+ * Log preprocessing: cleans the raw log and reduces it to something that fits the model's context
+ */
+
+// Rough ratio used by OpenAI-style tokenizers for English text and code
+const CHARS_PER_TOKEN = 4;
+
+const ANSI_PATTERN = /\u001B(?:\][^\u0007\u001B]*(?:\u0007|\u001B\\)|\[[0-?]*[ -/]*[@-~]|[@-Z\\-_])/g;
+
+const TIMESTAMP_PATTERNS = [
+  // 2025-03-15T10:23:45.123Z, 2025-03-15 10:23:45,123 +0000
+  /^\s*\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z| ?[+-]\d{2}:?\d{2})?\]?\s*/,
+  // [10:23:45], 10:23:45.123
+  /^\s*\[?\d{2}:\d{2}:\d{2}(?:[.,]\d+)?\]?\s+/
+];
+
+const SOURCE_HEADER_PATTERN = /^==> .* <==$/;
+// Lines reporting errors and warnings, shared with the check run annotations through isErrorLine
+const ERROR_PATTERN = /\w*(?:error|exception)s?\b|\berr!|\b(?:fatal|fail(?:ed|ure|ing)?|panic|abort(?:ed)?|segmentation fault|killed)\b|✕|✗/i;
+// Counts and phrases saying nothing failed, such as "0 errors", "Errors: 0" or "no exceptions"
+const NO_ERROR_PATTERN = /\b(?:0|no|zero|without)\s+(?:\w+\s+)?(?:errors?|exceptions?|failures?|failed)\b|\b(?:errors?|exceptions?|failures?|failed)\s*[:=]?\s*0\b(?![.,]\d)/gi;
+const WARNING_PATTERN = /\b(?:warn(?:ing)?|deprecated|deprecation)\b/i;
+const STACK_TRACE_PATTERN = /^\s+at\s|^Traceback \(most recent call last\)|^\s+File ".*", line \d+|^Caused by:|^\s*goroutine \d+|^\s+\.\.\. \d+ more$/;
+
+/**
+ * Estimates how many tokens a text will use
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Removes ANSI color and cursor escape sequences
+ * @param {string} text - Raw log content
+ * @returns {string} - Log content without escape sequences
+ */
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Removes a leading timestamp from a log line
+ * @param {string} line - Log line
+ * @returns {string} - Line without its timestamp
+ */
+function stripTimestamp(line) {
+  for (const pattern of TIMESTAMP_PATTERNS) {
+    if (pattern.test(line)) {
+      return line.replace(pattern, '');
+    }
+  }
+  return line;
+}
+
+/**
+ * Collapses runs of identical consecutive lines into a single annotated line
+ * @param {string[]} lines - Log lines
+ * @returns {string[]} - Lines with repetitions collapsed
+ */
+function collapseRepeatedLines(lines) {
+  const result = [];
+  let previous = null;
+  let count = 0;
+
+  const flush = () => {
+    if (previous === null) {
+      return;
+    }
+    result.push(count > 1 ? `${previous} [repeated ${count} times]` : previous);
+  };
+
+  for (const line of lines) {
+    if (line === previous) {
+      count++;
+      continue;
+    }
+    flush();
+    previous = line;
+    count = 1;
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Tells whether a line reports an error or a failure
+ * @param {string} line - Log line
+ * @returns {boolean} - True for error lines
+ */
+function isErrorLine(line) {
+  return ERROR_PATTERN.test(line.replace(NO_ERROR_PATTERN, ''));
+}
+
+/**
+ * Tells whether a line reports an error, a warning or belongs to a stack trace
+ * @param {string} line - Log line
+ * @returns {boolean} - True if the line is worth sending to the model
+ */
+function isRelevantLine(line) {
+  return isErrorLine(line) || WARNING_PATTERN.test(line) || STACK_TRACE_PATTERN.test(line);
+}
+
+/**
+ * Keeps only the lines around errors, warnings and stack traces
+ * Source headers are always kept, omitted ranges are replaced by a marker line.
+ * When nothing relevant is found the beginning and the end of the log are kept instead.
+ * @param {string[]} lines - Log lines
+ * @param {number} contextLines - Lines kept before and after each relevant line
+ * @returns {string[]} - Filtered lines
+ */
+function extractRelevantWindows(lines, contextLines = 10) {
+  const keep = new Array(lines.length).fill(false);
+  let relevantFound = false;
+
+  lines.forEach((line, index) => {
+    if (SOURCE_HEADER_PATTERN.test(line)) {
+      keep[index] = true;
+    } else if (isRelevantLine(line)) {
+      relevantFound = true;
+      const start = Math.max(0, index - contextLines);
+      const end = Math.min(lines.length - 1, index + contextLines);
+      for (let i = start; i <= end; i++) {
+        keep[i] = true;
+      }
+    }
+  });
+
+  if (!relevantFound) {
+    const edge = contextLines * 5;
+    for (let i = 0; i < lines.length; i++) {
+      if (i < edge || i >= lines.length - edge) {
+        keep[i] = true;
+      }
+    }
+  }
+
+  const result = [];
+  let omitted = 0;
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (omitted > 0) {
+        result.push(`... [${omitted} lines omitted] ...`);
+        omitted = 0;
+      }
+      result.push(line);
+    } else {
+      omitted++;
+    }
+  });
+  if (omitted > 0) {
+    result.push(`... [${omitted} lines omitted] ...`);
+  }
+
+  return result;
+}
+
+/**
+ * Splits a log into chunks that each fit within a token budget
+ * Chunks break on line boundaries; a single line longer than the budget is split on its own
+ * @param {string} text - Log content
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {string[]} - Log chunks
+ */
+function chunkLog(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+      current = [];
+      currentLength = 0;
+    }
+  };
+
+  for (const line of text.split('\n')) {
+    const pieces = [];
+    for (let offset = 0; offset < line.length || pieces.length === 0; offset += maxChars) {
+      pieces.push(line.slice(offset, offset + maxChars));
+    }
+
+    for (const piece of pieces) {
+      if (currentLength + piece.length + 1 > maxChars) {
+        flush();
+      }
+      current.push(piece);
+      currentLength += piece.length + 1;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Reduces a chunk list to the chunks with the most relevant lines, preserving their order
+ * @param {string[]} chunks - Log chunks
+ * @param {number} maxChunks - Maximum number of chunks to keep
+ * @returns {string[]} - Selected chunks
+ */
+function selectChunks(chunks, maxChunks) {
+  if (chunks.length <= maxChunks) {
+    return chunks;
+  }
+
+  return chunks
+    .map((chunk, index) => ({
+      index,
+      score: chunk.split('\n').filter(isErrorLine).length
+    }))
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .slice(0, maxChunks)
+    .sort((a, b) => a.index - b.index)
+    .map(({ index }) => chunks[index]);
+}
+
+/**
+ * Runs the whole preprocessing stage on a log
+ * ANSI codes and timestamps are always removed and repeated lines collapsed. If the log is
+ * still larger than one chunk, only the windows around relevant lines are kept and the
+ * result is split into token-budgeted chunks.
+ * @param {string} logContent - Raw log content
+ * @param {Object} options - Preprocessing options
+ * @param {number} options.maxChunkTokens - Token budget for a single model request
+ * @param {number} options.maxChunks - Maximum number of chunks to analyze
+ * @param {number} options.contextLines - Lines kept around each relevant line
+ * @returns {{chunks: string[], originalTokens: number, processedTokens: number, filtered: boolean, droppedChunks: number}} - Chunks and statistics
+ */
+function preprocessLog(logContent, { maxChunkTokens = 8000, maxChunks = 8, contextLines = 10 } = {}) {
+  const originalTokens = estimateTokens(logContent);
+  const lines = stripAnsi(logContent || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => stripTimestamp(line).trimEnd());
+
+  let processed = collapseRepeatedLines(lines);
+  let filtered = false;
+
+  if (estimateTokens(processed.join('\n')) > maxChunkTokens) {
+    processed = extractRelevantWindows(processed, contextLines);
+    filtered = true;
+  }
+
+  const text = processed.join('\n').trim();
+  const allChunks = text ? chunkLog(text, maxChunkTokens) : [];
+  const chunks = selectChunks(allChunks, maxChunks);
+
+  return {
+    chunks,
+    originalTokens,
+    processedTokens: estimateTokens(chunks.join('\n')),
+    filtered,
+    droppedChunks: allChunks.length - chunks.length
+  };
+}
+
+export {
+  CHARS_PER_TOKEN,
+  ERROR_PATTERN,
+  WARNING_PATTERN,
+  estimateTokens,
+  stripAnsi,
+  stripTimestamp,
+  collapseRepeatedLines,
+  isErrorLine,
+  isRelevantLine,
+  extractRelevantWindows,
+  chunkLog,
+  selectChunks,
+  preprocessLog
+};
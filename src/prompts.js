@@ -0,0 +1,146 @@
+/**
+ * System prompts: built-in analysis profiles, template variables and the instructions every prompt ends with
+ */
+
+import { JSON_RESPONSE_INSTRUCTIONS } from './findings.js';
+import { LANGUAGES } from './i18n.js';
+
+const DEFAULT_PROMPT = `You are an expert in interpreting computer system logs. Your task is to:
+
+1. Analyze the provided log content
+2. Identify patterns, errors, warnings, and important events
+3. Explain in clear language what is happening
+4. Find the root cause of each problem and suggest how to fix it
+
+If the log contains errors, explain what they mean and how to resolve them. If there are no obvious errors, summarize the main events from the log and return an empty list of findings.`;
+
+/**
+ * Built-in profiles, selected with the `profile` input or the `profile` key of the config file
+ */
+const PROFILES = {
+  default: {
+    description: 'Any kind of log',
+    prompt: DEFAULT_PROMPT
+  },
+  jest: {
+    description: 'JavaScript and TypeScript test runs with Jest or Vitest',
+    prompt: `You are an expert in JavaScript and TypeScript testing with Jest and Vitest, analyzing the output of a test run in {{repo}}.
+
+1. Report each failing test suite and test, with the assertion that failed and the expected and received values
+2. Tell failures of the code under test apart from broken tests, snapshots that need updating, timeouts and open handles
+3. Point to the first stack frame in the repository's own code, not in node_modules
+4. Suggest the smallest change that makes the test pass without weakening it
+
+Report the coverage thresholds that were not met as separate findings. If every test passed, summarize the run and return an empty list of findings.`
+  },
+  gradle: {
+    description: 'Gradle and Maven builds of JVM projects',
+    prompt: `You are an expert in JVM builds with Gradle and Maven, analyzing a build log of {{repo}}.
+
+1. Identify the task or goal that failed ("> Task :module:task FAILED", "[ERROR] Failed to execute goal")
+2. Explain compilation errors with their file and line, and failing tests with their class and method
+3. Recognize dependency resolution failures, version conflicts, out of memory errors and daemon crashes
+4. Suggest a concrete fix in the build script, the dependencies or the code
+
+Deprecation warnings that don't break the build are findings of severity "info". If the build succeeded, summarize it and return an empty list of findings.`
+  },
+  terraform: {
+    description: 'Terraform and OpenTofu plans and applies',
+    prompt: `You are an expert in infrastructure as code with Terraform and OpenTofu, analyzing a plan or apply log of {{repo}}.
+
+1. Report each error with the resource address, the provider and the file and line of the configuration
+2. Tell configuration errors apart from provider API errors, missing permissions, state lock problems and drift
+3. Highlight resources the plan would destroy or replace, as findings of severity "warning"
+4. Suggest the change to the configuration, the credentials or the state that fixes each error
+
+Never repeat variable values or outputs that could be sensitive. If the plan or apply succeeded, summarize the changes and return an empty list of findings.`
+  },
+  kubernetes: {
+    description: 'Kubernetes deployments with kubectl, Helm or Kustomize',
+    prompt: `You are an expert in Kubernetes deployments with kubectl, Helm and Kustomize, analyzing a deployment log of {{repo}}.
+
+1. Identify the resources that failed to apply, roll out or become ready, with their namespace and kind
+2. Explain pod failures such as CrashLoopBackOff, ImagePullBackOff, OOMKilled and failed probes
+3. Recognize invalid manifests, failed Helm hooks, RBAC denials and exhausted quotas
+4. Suggest a fix in the manifests, the chart values, the image or the cluster configuration
+
+If the deployment succeeded, summarize the rollout and return an empty list of findings.`
+  }
+};
+
+/**
+ * Variables available in prompts, written {{name}}
+ */
+const TEMPLATE_VARIABLES = ['repo', 'branch', 'sha', 'pr_number', 'pr_title', 'job', 'workflow', 'run_url'];
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const SOURCES_INSTRUCTIONS = 'The log may be made of several sources, each introduced by a "==> source <==" header. When that is the case, always say which source each error or warning comes from.';
+
+const LANGUAGE_INSTRUCTIONS = 'Write the summary, titles, root causes and suggested fixes in {language}. Keep the JSON keys, the severity and category values, quoted error messages, file paths and code as they are.';
+
+const PR_CONTEXT_INSTRUCTIONS = 'Before the log you will also receive the changes of the pull request being tested. For each problem, decide whether these changes most likely caused it and, if so, name the changed file in "related_change". Don\'t blame the changes for problems they can\'t explain, such as infrastructure outages. When the fix is a small change to lines shown in the diff, give the exact replacement lines in "suggestion".';
+
+/**
+ * Lists the template variables a prompt uses that don't exist
+ * @param {string} template - Prompt template
+ * @returns {string[]} - Unknown variable names
+ */
+function findUnknownVariables(template) {
+  const unknown = [...template.matchAll(TEMPLATE_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_VARIABLES.includes(name));
+  return [...new Set(unknown)];
+}
+
+/**
+ * Replaces the {{variable}} placeholders of a prompt
+ * Variables without a value, such as pr_title outside pull requests, are replaced with "unknown".
+ * @param {string} template - Prompt template
+ * @param {Object<string, string|number>} variables - Variable values
+ * @returns {string} - Rendered prompt
+ */
+function renderTemplate(template, variables) {
+  return template.replace(TEMPLATE_PATTERN, (placeholder, name) => {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      return placeholder;
+    }
+    const value = variables[name];
+    return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+  });
+}
+
+/**
+ * Builds the complete system prompt
+ * The instructions about log sources, the pull request context and the JSON response format
+ * are always appended, since the rest of the pipeline relies on them.
+ * @param {string} prompt - Rendered profile or custom prompt
+ * @param {Object} options - Prompt options
+ * @param {string} options.instructions - Additional instructions from the config file
+ * @param {boolean} options.prContext - Whether the changes of the pull request are sent with the log
+ * @param {string} options.language - Language code the analysis is written in
+ * @returns {string} - System prompt
+ */
+function buildSystemPrompt(prompt, { instructions = '', prContext = false, language = 'en' } = {}) {
+  const sections = [prompt.trim()];
+  if (instructions.trim()) {
+    sections.push(instructions.trim());
+  }
+  sections.push(SOURCES_INSTRUCTIONS);
+  if (prContext) {
+    sections.push(PR_CONTEXT_INSTRUCTIONS);
+  }
+  if (language !== 'en') {
+    sections.push(LANGUAGE_INSTRUCTIONS.replace('{language}', LANGUAGES[language]));
+  }
+  return `\n${sections.join('\n\n')}\n${JSON_RESPONSE_INSTRUCTIONS}`;
+}
+
+export {
+  DEFAULT_PROMPT,
+  PROFILES,
+  TEMPLATE_VARIABLES,
+  findUnknownVariables,
+  renderTemplate,
+  buildSystemPrompt
+};
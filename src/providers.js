@@ -0,0 +1,365 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { estimateTokens } from './preprocess.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const DEFAULT_TIMEOUT = 120000;
+
+/**
+ * Default endpoint and model of each supported provider
+ * `requiresApiKey` is false for self-hosted servers that don't check credentials
+ */
+const PROVIDERS = {
+  deepseek: { label: 'Deepseek', baseURL: 'https://api.deepseek.com', model: 'deepseek-chat', requiresApiKey: true },
+  openai: { label: 'OpenAI', baseURL: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresApiKey: true },
+  azure: { label: 'Azure OpenAI', baseURL: '', model: '', requiresApiKey: true },
+  anthropic: { label: 'Anthropic', baseURL: 'https://api.anthropic.com', model: 'claude-3-5-haiku-latest', requiresApiKey: true },
+  ollama: { label: 'Ollama', baseURL: 'http://localhost:11434/v1', model: 'llama3.1', requiresApiKey: false },
+  llamacpp: { label: 'llama.cpp', baseURL: 'http://localhost:8080/v1', model: 'local', requiresApiKey: false }
+};
+
+/**
+ * Creates the client for the configured LLM provider
+ * Every provider exposes the same `complete(messages, { json, stream })` function, so the rest of the
+ * action doesn't need to know which vendor is behind it. `json` asks for JSON mode where the
+ * API supports it; the prompt must still describe the expected JSON. `stream` receives the reply
+ * as it is generated, see streamObserver.
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - One of deepseek, openai, azure, anthropic, ollama, llamacpp
+ * @param {string} options.apiKey - API key for the provider
+ * @param {string} options.baseURL - Endpoint overriding the provider default
+ * @param {string} options.model - Model (or Azure deployment) overriding the provider default
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum tokens in the response
+ * @param {string} options.apiVersion - Azure OpenAI API version
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {Function} options.fetch - Fetch implementation, mainly for tests
+ * @param {Function} options.onUsage - Called after each reply with its token usage and the provider name, label and model
+ * @returns {{name: string, label: string, model: string, complete: Function}} - Provider client
+ */
+function createProvider({
+  provider = 'deepseek',
+  apiKey,
+  baseURL,
+  model,
+  temperature = 0.5,
+  maxTokens = 2000,
+  apiVersion,
+  timeout = DEFAULT_TIMEOUT,
+  fetch,
+  onUsage = () => {}
+} = {}) {
+  const name = (provider || 'deepseek').toLowerCase();
+  const defaults = PROVIDERS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown provider "${provider}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (defaults.requiresApiKey && !apiKey) {
+    throw new Error(`An API key is required to connect to ${defaults.label}`);
+  }
+
+  const resolvedBaseURL = baseURL || defaults.baseURL;
+  const resolvedModel = model || defaults.model;
+
+  if (!resolvedBaseURL) {
+    throw new Error(`base_url is required for the ${name} provider`);
+  }
+
+  if (!resolvedModel) {
+    throw new Error(`model is required for the ${name} provider`);
+  }
+
+  const info = { name, label: defaults.label, model: resolvedModel };
+  const settings = { model: resolvedModel, temperature, maxTokens, onUsage: usage => onUsage(usage, info) };
+  const complete = name === 'anthropic'
+    ? createAnthropicCompletion({ apiKey, baseURL: resolvedBaseURL, fetch, timeout, ...settings })
+    : createOpenAICompletion(createOpenAIClient(name, { apiKey, baseURL: resolvedBaseURL, apiVersion, fetch, timeout, model: resolvedModel }), { ...settings, label: defaults.label });
+
+  return { ...info, complete };
+}
+
+/**
+ * Parses the `fallback_models` input
+ * Entries are a model of the primary provider, or `provider:model` to switch provider.
+ * Model names may contain colons themselves, as Ollama tags do.
+ * @param {string} input - Raw input value, entries separated by newlines or commas
+ * @param {string} primaryProvider - Provider used for entries without a provider
+ * @returns {Array<{provider: string, model: string}>} - Fallbacks in order
+ */
+function parseFallbackModels(input, primaryProvider = 'deepseek') {
+  return (input || '')
+    .split(/[\n,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const prefix = separator === -1 ? '' : entry.slice(0, separator).toLowerCase();
+      if (PROVIDERS[prefix]) {
+        return { provider: prefix, model: entry.slice(separator + 1).trim() };
+      }
+      return { provider: primaryProvider, model: entry };
+    });
+}
+
+/**
+ * Builds the token usage of a reply, estimated from the text when the server didn't report it
+ * @param {number} promptTokens - Input tokens reported by the API
+ * @param {number} completionTokens - Output tokens reported by the API
+ * @param {Object[]} messages - Messages sent
+ * @param {string} text - Reply text
+ * @returns {{promptTokens: number, completionTokens: number, estimated: boolean}} - Token usage
+ */
+function readUsage(promptTokens, completionTokens, messages, text) {
+  if (Number.isFinite(promptTokens) && Number.isFinite(completionTokens)) {
+    return { promptTokens, completionTokens, estimated: false };
+  }
+  return {
+    promptTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+    completionTokens: estimateTokens(text),
+    estimated: true
+  };
+}
+
+/**
+ * Creates the error thrown when a streamed reply stops before the model finished it
+ * Its name makes it retryable: the request is sent again from the start.
+ * @param {string} label - Provider label
+ * @param {Error} cause - Error that ended the stream, if any
+ * @returns {Error} - Stream error
+ */
+function streamInterrupted(label, cause) {
+  const error = new Error(`The ${label} response stream was interrupted${cause ? `: ${cause.message}` : ' before the reply was complete'}`);
+  error.name = 'StreamInterruptedError';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Reads the events of a server-sent events response body
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<{event: string, data: string}>} - Events in order
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = (block) => {
+    const event = { event: 'message', data: '' };
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        event.event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    event.data = data.join('\n');
+    return event;
+  };
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let end;
+    while ((end = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end).replace(/^\r?\n\r?\n/, '');
+      if (block.trim()) {
+        yield parse(block);
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield parse(buffer);
+  }
+}
+
+/**
+ * Builds the OpenAI SDK client used for OpenAI-compatible providers
+ * The SDK's own retries are disabled: withRetry handles them the same way for every provider.
+ * @param {string} name - Provider name
+ * @param {Object} options - Client options
+ * @returns {OpenAI} - OpenAI or AzureOpenAI client
+ */
+function createOpenAIClient(name, { apiKey, baseURL, apiVersion, fetch, timeout, model }) {
+  if (name === 'azure') {
+    return new AzureOpenAI({
+      endpoint: baseURL,
+      apiKey,
+      apiVersion: apiVersion || DEFAULT_AZURE_API_VERSION,
+      deployment: model,
+      timeout,
+      maxRetries: 0,
+      fetch
+    });
+  }
+
+  return new OpenAI({
+    baseURL,
+    // Local servers ignore the key but the SDK refuses to start without one
+    apiKey: apiKey || name,
+    timeout,
+    maxRetries: 0,
+    fetch
+  });
+}
+
+/**
+ * Creates the completion function for the chat completions API
+ * A streamed reply that ends without a finish reason was cut off and is reported as interrupted.
+ * @param {OpenAI} client - OpenAI SDK client
+ * @param {Object} settings - Model, temperature, maxTokens, the provider label and the usage callback
+ * @returns {Function} - Async function resolving to the reply text
+ */
+function createOpenAICompletion(client, { model, temperature, maxTokens, label, onUsage }) {
+  return async (messages, { json = false, stream = null } = {}) => {
+    const request = {
+      messages,
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    if (!stream) {
+      const completion = await client.chat.completions.create(request);
+      const text = completion.choices[0].message.content;
+      const usage = completion.usage || {};
+      onUsage(readUsage(usage.prompt_tokens, usage.completion_tokens, messages, text));
+      return text;
+    }
+
+    // The usage comes in a last chunk without choices; servers that don't support the option ignore it
+    const chunks = await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } });
+    stream.onStart();
+    let text = '';
+    let finished = false;
+    let usage = {};
+    try {
+      for await (const chunk of chunks) {
+        usage = chunk.usage || usage;
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) {
+          continue;
+        }
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          text += delta;
+          stream.onToken(delta);
+        }
+        finished = finished || Boolean(choice.finish_reason);
+      }
+    } catch (error) {
+      throw streamInterrupted(label, error);
+    }
+
+    if (!finished) {
+      throw streamInterrupted(label);
+    }
+    onUsage(readUsage(usage.prompt_tokens, usage.completion_tokens, messages, text));
+    return text;
+  };
+}
+
+/**
+ * Creates the completion function for the Anthropic Messages API
+ * System messages are moved to the top-level `system` field the API expects. The Messages API
+ * has no JSON mode, so the `json` option is ignored and the prompt alone asks for JSON.
+ * Failed requests throw an error carrying the response `status` and `headers`, like the OpenAI SDK does.
+ * Streamed replies are complete only once the `message_stop` event arrived.
+ * @param {Object} options - API key, endpoint, fetch implementation, timeout and model settings
+ * @returns {Function} - Async function resolving to the reply text
+ */
+function createAnthropicCompletion({ apiKey, baseURL, fetch = globalThis.fetch, timeout, model, temperature, maxTokens, onUsage }) {
+  return async (messages, { stream = null } = {}) => {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const response = await fetch(`${baseURL.replace(/\/+$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        system: system || undefined,
+        messages: messages.filter(message => message.role !== 'system'),
+        temperature,
+        max_tokens: maxTokens,
+        stream: stream ? true : undefined
+      }),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (stream && response.ok) {
+      const { text, usage } = await readAnthropicStream(response, stream);
+      onUsage(readUsage(usage.input_tokens, usage.output_tokens, messages, text));
+      return text;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = data.error && data.error.message ? data.error.message : response.statusText;
+      const error = new Error(`Anthropic API request failed with status ${response.status}: ${detail}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = data.usage || {};
+    onUsage(readUsage(usage.input_tokens, usage.output_tokens, messages, text));
+    return text;
+  };
+}
+
+/**
+ * Reads a streamed reply of the Anthropic Messages API
+ * The input tokens are reported when the message starts, the output tokens in `message_delta` events.
+ * @param {Response} response - Successful streaming response
+ * @param {Object} stream - Stream observer
+ * @returns {Promise<{text: string, usage: Object}>} - Reply text and token usage
+ */
+async function readAnthropicStream(response, stream) {
+  stream.onStart();
+  let text = '';
+  let finished = false;
+  const usage = {};
+  try {
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      if (event === 'error') {
+        const payload = JSON.parse(data);
+        const error = new Error(`Anthropic API stream failed: ${payload.error ? payload.error.message : data}`);
+        // Overloaded errors sent mid-stream are as transient as a 529 response
+        error.status = payload.error && payload.error.type === 'overloaded_error' ? 529 : 500;
+        throw error;
+      }
+      if (event === 'message_start' || event === 'message_delta') {
+        const payload = JSON.parse(data);
+        Object.assign(usage, payload.message ? payload.message.usage : payload.usage);
+      }
+      if (event === 'content_block_delta') {
+        const { delta } = JSON.parse(data);
+        if (delta && delta.type === 'text_delta') {
+          text += delta.text;
+          stream.onToken(delta.text);
+        }
+      }
+      finished = finished || event === 'message_stop';
+    }
+  } catch (error) {
+    throw error.status ? error : streamInterrupted('Anthropic', error);
+  }
+
+  if (!finished) {
+    throw streamInterrupted('Anthropic');
+  }
+  return { text, usage };
+}
+
+export { createProvider, parseFallbackModels, PROVIDERS };
@@ -0,0 +1,155 @@
+/**
+ * Secret and PII redaction applied to logs before they leave the runner
+ */
+
+/**
+ * Built-in detectors, applied in order
+ * `group` limits the replacement to one capture group so the surrounding context stays readable.
+ * Values already redacted, or masked with *** by the runner, are left alone.
+ */
+const BUILT_IN_RULES = [
+  { type: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[A-Z0-9]{16}\b/g },
+  { type: 'aws-secret-key', pattern: /(aws_secret_access_key|aws_secret_key)(["']?\s*[:=]\s*["']?)([A-Za-z0-9/+=]{40})/gi, group: 3 },
+  { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\b/g },
+  { type: 'bearer-token', pattern: /(\bBearer\s+)([A-Za-z0-9._~+/-]{16,}=*)/g, group: 2 },
+  { type: 'connection-string', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)(?!\[REDACTED|\*{3,}@)([^\s@/]+)(@)/gi, group: 2 },
+  {
+    type: 'credential',
+    pattern: /(\b[\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key)["']?\s*[:=]\s*["']?)(?!\[REDACTED|\*{3,})([^\s"',;]{6,})/gi,
+    group: 2
+  }
+];
+
+const PII_RULES = [
+  { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'internal-host', pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|local|corp|lan|intranet)\b/gi }
+];
+
+// Long tokens made of base64/base62 characters are checked for randomness
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{32,}={0,2}/g;
+const MIN_ENTROPY = 4.2;
+
+/**
+ * Computes the Shannon entropy of a string in bits per character
+ * @param {string} value - String to measure
+ * @returns {number} - Entropy
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const probability = count / value.length;
+    return entropy - probability * Math.log2(probability);
+  }, 0);
+}
+
+/**
+ * Tells whether a token looks like a randomly generated secret
+ * Hex strings such as commit SHAs and paths made of words are not reported.
+ * @param {string} token - Candidate token
+ * @returns {boolean} - True if the token should be redacted
+ */
+function isHighEntropySecret(token) {
+  if (/^[0-9a-f]+$/i.test(token) || token.split('/').length > 3) {
+    return false;
+  }
+  const mixed = /[a-z]/.test(token) && /[A-Z]/.test(token) && /\d/.test(token);
+  return mixed && shannonEntropy(token) >= MIN_ENTROPY;
+}
+
+/**
+ * Parses the `redact_patterns` input into regular expressions
+ * One pattern per line; `/pattern/flags` notation is accepted.
+ * @param {string} input - Raw input value
+ * @returns {RegExp[]} - Compiled patterns, always global
+ */
+function parseRedactPatterns(input) {
+  return (input || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+      const source = literal ? literal[1] : line;
+      const flags = literal ? literal[2] : '';
+      try {
+        return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+      } catch (error) {
+        throw new Error(`Invalid pattern in redact_patterns "${line}": ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Escapes a literal value for use in a regular expression
+ * @param {string} value - Literal value
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Masks secrets and personal data in a text
+ * @param {string} text - Text to redact
+ * @param {Object} options - Redaction options
+ * @param {string[]} options.secrets - Literal values to mask, such as the values registered with core.setSecret
+ * @param {RegExp[]} options.patterns - Additional user-supplied patterns
+ * @param {boolean} options.pii - Also mask emails and internal hostnames
+ * @returns {{text: string, counts: Object<string, number>, total: number}} - Redacted text and number of redactions per type
+ */
+function redactText(text, { secrets = [], patterns = [], pii = true } = {}) {
+  const counts = {};
+  let result = text || '';
+
+  const apply = (type, pattern, group) => {
+    result = result.replace(pattern, (...args) => {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[REDACTED:${type}]`;
+      if (!group) {
+        return placeholder;
+      }
+      const groups = args.slice(1, args.findIndex(arg => typeof arg === 'number'));
+      return groups.map((value, index) => (index + 1 === group ? placeholder : value || '')).join('');
+    });
+  };
+
+  // Known values first, so they are reported as secrets rather than by the format they happen to match
+  const literals = [...new Set(secrets.filter(secret => secret && secret.length >= 4))]
+    .sort((a, b) => b.length - a.length);
+  for (const secret of literals) {
+    apply('secret', new RegExp(escapeRegExp(secret), 'g'));
+  }
+
+  for (const rule of BUILT_IN_RULES) {
+    apply(rule.type, rule.pattern, rule.group);
+  }
+
+  for (const pattern of patterns) {
+    apply('custom', pattern);
+  }
+
+  result = result.replace(HIGH_ENTROPY_CANDIDATE, token => {
+    if (!isHighEntropySecret(token)) {
+      return token;
+    }
+    counts['high-entropy'] = (counts['high-entropy'] || 0) + 1;
+    return '[REDACTED:high-entropy]';
+  });
+
+  if (pii) {
+    for (const rule of PII_RULES) {
+      apply(rule.type, rule.pattern);
+    }
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return { text: result, counts, total };
+}
+
+export { shannonEntropy, isHighEntropySecret, parseRedactPatterns, redactText };
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import * as core from '@actions/core';
+import { getTranslator } from './i18n.js';
+
+/**
+ * Builds the machine-readable report of a run
+ * @param {Object} options - Report content
+ * @param {Object} options.analysis - Analysis returned by parseAnalysis
+ * @param {Object} options.verdict - Result of evaluateVerdict
+ * @param {string} options.maxSeverity - Highest finding severity
+ * @param {Object} options.provider - Provider name and model
+ * @param {Array<{label: string, url: string}>} options.failedSteps - Failed workflow steps that were analyzed
+ * @param {Object[]} options.testReports - Parsed test reports
+ * @param {Object<string, number>} options.redactions - Number of redactions per type
+ * @param {Object} options.usage - Token usage of the run, as returned by the usage tracker
+ * @param {Object} options.run - Repository, commit and run URL
+ * @returns {Object} - JSON report
+ */
+function buildJsonReport({ analysis, verdict, maxSeverity, provider, failedSteps = [], testReports = [], redactions = {}, usage = null, run = {} }) {
+  return {
+    generated_at: new Date().toISOString(),
+    repository: run.repository,
+    sha: run.sha,
+    run_url: run.url,
+    provider: provider ? { name: provider.name, model: provider.model } : undefined,
+    verdict: verdict.verdict,
+    max_severity: maxSeverity,
+    structured: analysis.structured,
+    summary: analysis.summary,
+    findings: analysis.findings,
+    failed_steps: failedSteps.map(step => ({ label: step.label, url: step.url })),
+    test_reports: testReports.map(({ label, format, total, passed, failed, skipped, failures }) => ({
+      label,
+      format,
+      total,
+      passed,
+      failed,
+      skipped,
+      failures: failures.map(({ name, suite, file, line, message }) => ({ name, suite, file, line, message }))
+    })),
+    redactions,
+    usage: usage ? {
+      requests: usage.requests,
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.totalTokens,
+      estimated_cost: usage.cost,
+      estimated: usage.estimated
+    } : undefined
+  };
+}
+
+/**
+ * Writes the analysis to the job summary page of the workflow run
+ * @param {Object} options - Summary content
+ * @param {string|null} options.markdown - Formatted analysis, or null to only report redactions
+ * @param {Object<string, number>} options.redactions - Number of redactions per type
+ * @param {string|null} options.providerLabel - Name of the provider the log was sent to, null when it wasn't sent anywhere
+ * @param {string} options.language - Language code of the labels
+ * @param {Object} summary - Job summary writer, core.summary by default
+ * @returns {Promise<boolean>} - False when there is no job summary to write to
+ */
+async function writeJobSummary({ markdown, redactions = {}, providerLabel = null, language = 'en' }, summary = core.summary) {
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    return false;
+  }
+
+  if (markdown) {
+    summary.addRaw(markdown, true);
+  }
+
+  const t = getTranslator(language);
+  const total = Object.values(redactions).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    summary
+      .addHeading(`🔒 ${t('redaction.title')}`, 3)
+      .addRaw(providerLabel ? t('redaction.sent', { count: total, provider: providerLabel }) : t('redaction.local', { count: total }), true)
+      .addTable([
+        [{ data: t('redaction.type'), header: true }, { data: t('redaction.count'), header: true }],
+        ...Object.entries(redactions).map(([type, count]) => [type, String(count)])
+      ]);
+  }
+
+  if (!markdown && total === 0) {
+    return false;
+  }
+
+  await summary.write();
+  return true;
+}
+
+/**
+ * Writes a report file, creating its directory if needed
+ * @param {string} filePath - Destination, relative to the workspace or absolute
+ * @param {string} content - File content
+ * @param {string} workspace - Directory relative paths are resolved against
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+async function writeReportFile(filePath, content, workspace = process.cwd()) {
+  const absolutePath = path.resolve(workspace, filePath);
+  await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.promises.writeFile(absolutePath, content, 'utf8');
+  return absolutePath;
+}
+
+export { buildJsonReport, writeJobSummary, writeReportFile };
@@ -0,0 +1,147 @@
+/**
+ * Resilience for model API calls: retries with exponential backoff and fallback models
+ */
+
+// Request timeouts, conflicts, rate limits and server errors are worth another try
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Errors without a status: connection failures, timeouts and interrupted response streams
+const RETRYABLE_ERROR_NAME = /Connection|Timeout|Abort|Interrupted/;
+
+const API_ERROR_MODES = ['fail', 'warn', 'skip'];
+
+/**
+ * Tells whether a failed request may succeed if sent again
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - True for rate limits, server errors, timeouts and connection failures
+ */
+function isRetryableError(error) {
+  const status = Number(error && error.status);
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status) || status >= 500;
+  }
+  // undici reports network failures as "TypeError: fetch failed"
+  return Boolean(error) && (RETRYABLE_ERROR_NAME.test(error.name || '') || error.message === 'fetch failed');
+}
+
+/**
+ * Reads the delay requested by the server in the Retry-After headers of a failed request
+ * @param {Error} error - Error thrown by a provider, with the response headers
+ * @param {number} now - Current time, for HTTP dates
+ * @returns {number|null} - Delay in milliseconds, or null when the server didn't ask for one
+ */
+function getRetryAfter(error, now = Date.now()) {
+  const headers = error && error.headers;
+  if (!headers) {
+    return null;
+  }
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = Number.parseFloat(get('retry-after-ms'));
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+
+  const value = get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Computes the wait before the next attempt: exponential backoff with full jitter
+ * @param {number} attempt - Number of attempts already made, from 1
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay in milliseconds the backoff starts from
+ * @param {number} options.maxDelay - Longest delay in milliseconds
+ * @param {Function} options.random - Random number generator, mainly for tests
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000, random = Math.random } = {}) {
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+/**
+ * Calls an async function until it succeeds, retrying transient failures
+ * A Retry-After longer than `maxDelay` isn't waited for: the error is thrown so a fallback can be tried.
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelay - Delay in milliseconds the backoff starts from
+ * @param {number} options.maxDelay - Longest delay in milliseconds
+ * @param {Function} options.onRetry - Called with the error, the attempt number and the delay before each retry
+ * @param {Function} options.sleep - Waits for a delay, mainly for tests
+ * @param {Function} options.random - Random number generator, mainly for tests
+ * @returns {Promise<*>} - Result of the function
+ */
+async function withRetry(fn, {
+  retries = 3,
+  baseDelay = 1000,
+  maxDelay = 30000,
+  onRetry = () => {},
+  sleep = delay => new Promise(resolve => setTimeout(resolve, delay)),
+  random = Math.random
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > maxDelay) {
+        throw error;
+      }
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, { baseDelay, maxDelay, random });
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Combines providers into a single completion function
+ * Each request is retried on the current provider, then sent to the next one in the list.
+ * A provider that failed is not tried again for the following requests of the run.
+ * @param {Object[]} providers - Providers returned by createProvider, primary first
+ * @param {Object} options - Options passed to withRetry, plus `onFallback` called with the error and the next provider
+ * @returns {Function} - Completion function with the same signature as `provider.complete`;
+ *   its `provider()` method returns the provider that answered last
+ */
+function createResilientCompletion(providers, { onFallback = () => {}, ...retryOptions } = {}) {
+  let current = 0;
+
+  const complete = async (messages, requestOptions) => {
+    for (;;) {
+      const provider = providers[current];
+      try {
+        return await withRetry(() => provider.complete(messages, requestOptions), retryOptions);
+      } catch (error) {
+        if (current === providers.length - 1) {
+          throw error;
+        }
+        current++;
+        onFallback(error, providers[current]);
+      }
+    }
+  };
+  complete.provider = () => providers[current];
+
+  return complete;
+}
+
+export {
+  API_ERROR_MODES,
+  isRetryableError,
+  getRetryAfter,
+  backoffDelay,
+  withRetry,
+  createResilientCompletion
+};
@@ -0,0 +1,242 @@
+/**
+ * Pull request reviews: line comments on the changed lines the findings point to, with the code
+ * changes of the model as suggestions that can be committed from the pull request
+ */
+
+import crypto from 'crypto';
+import { toRepoPath } from './checkRun.js';
+import { SEVERITY_ICONS } from './findings.js';
+import { getTranslator } from './i18n.js';
+
+/**
+ * What to do with suggested changes to lines outside the diff, which can't be commented on
+ * `summary` lists them in the body of the review, `skip` leaves them out.
+ */
+const REVIEW_OUTSIDE_DIFF_MODES = ['summary', 'skip'];
+
+// Keeps a bad analysis from flooding the pull request
+const MAX_REVIEW_COMMENTS = 20;
+
+const REVIEW_MARKER_PATTERN = /<!-- voltaflow-review:(\w+) -->/;
+const OUTSIDE_MARKER_PATTERN = /<!-- voltaflow-outside:(\w+) -->/g;
+
+/**
+ * Lists the lines of the new version of a file that a review can comment on: the added lines and
+ * the context lines of the patch
+ * @param {string} patch - Unified diff of the file, as returned by the pull request files API
+ * @returns {Map<number, number>} - Line numbers mapped to the index of their hunk
+ */
+function parseDiffLines(patch) {
+  const lines = new Map();
+  let hunk = -1;
+  let line = 0;
+
+  for (const text of (patch || '').split('\n')) {
+    const header = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      hunk++;
+      line = Number(header[1]);
+    } else if (hunk >= 0 && (text.startsWith('+') || text.startsWith(' '))) {
+      lines.set(line++, hunk);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Finds the changed file a finding refers to
+ * Paths in logs are often relative to a package directory, so a unique suffix match is accepted.
+ * @param {Object[]} files - Changed files, from fetchPullRequestChanges
+ * @param {string} repoPath - Repository-relative path of the finding
+ * @returns {Object|null} - Changed file
+ */
+function findChangedFile(files, repoPath) {
+  const exact = files.find(file => file.filename === repoPath);
+  if (exact) {
+    return exact;
+  }
+  const suffixed = files.filter(file => file.filename.endsWith(`/${repoPath}`));
+  return suffixed.length === 1 ? suffixed[0] : null;
+}
+
+/**
+ * Wraps code in a fence longer than any run of backticks it contains
+ * @param {string} code - Code
+ * @param {string} info - Info string of the fence, such as `suggestion`
+ * @returns {string} - Fenced code block
+ */
+function fence(code, info) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const backticks = '`'.repeat(Math.max(3, longest + 1));
+  return `${backticks}${info}\n${code}\n${backticks}`;
+}
+
+/**
+ * Builds the review comments of an analysis
+ * A finding gets a line comment when its line is part of the diff. Its code change becomes a
+ * suggestion when all the replaced lines belong to the same hunk, and is shown as plain code
+ * otherwise. Code changes to files or lines outside the diff are returned separately.
+ * @param {Object[]} findings - Findings from parseAnalysis
+ * @param {Object[]} files - Changed files, from fetchPullRequestChanges
+ * @param {Object} options - Review options
+ * @param {string} options.workspace - Repository checkout directory
+ * @param {string} options.language - Language code of the labels
+ * @returns {{comments: Object[], outside: Array<{path: string, finding: Object}>}} - Line comments for the reviews API and changes outside the diff
+ */
+function buildReviewComments(findings, files, { workspace = process.cwd(), language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const comments = [];
+  const outside = [];
+
+  for (const finding of findings) {
+    const repoPath = finding.file && toRepoPath(finding.file, workspace);
+    const line = finding.suggestion ? finding.suggestion.end_line : finding.line;
+    if (!repoPath || !line) {
+      continue;
+    }
+
+    const file = findChangedFile(files, repoPath);
+    const diffLines = file ? parseDiffLines(file.patch) : new Map();
+    if (!diffLines.has(line)) {
+      if (finding.suggestion) {
+        outside.push({ path: file ? file.filename : repoPath, finding });
+      }
+      continue;
+    }
+
+    const { suggestion } = finding;
+    const suggestable = suggestion && Array.from(
+      { length: suggestion.end_line - suggestion.start_line + 1 },
+      (_, index) => diffLines.get(suggestion.start_line + index)
+    ).every(hunk => hunk === diffLines.get(line));
+
+    const body = [
+      `<!-- voltaflow-review:${reviewId(file.filename, finding)} -->`,
+      `**${SEVERITY_ICONS[finding.severity]} ${finding.title}**`
+    ];
+    if (finding.root_cause) {
+      body.push('', `**${t('finding.rootCause')}:** ${finding.root_cause}`);
+    }
+    if (finding.suggested_fix) {
+      body.push('', `**${t('finding.suggestedFix')}:** ${finding.suggested_fix}`);
+    }
+    if (suggestion) {
+      body.push('', suggestable ? fence(suggestion.code, 'suggestion') : fence(suggestion.code, ''));
+    }
+
+    const comment = { path: file.filename, line, side: 'RIGHT', body: body.join('\n') };
+    if (suggestable && suggestion.start_line < line) {
+      comment.start_line = suggestion.start_line;
+      comment.start_side = 'RIGHT';
+    }
+    comments.push(comment);
+  }
+
+  return { comments: comments.slice(0, MAX_REVIEW_COMMENTS), outside };
+}
+
+/**
+ * Identifies a line comment, so a re-run doesn't post it again
+ * @param {string} filename - File commented on
+ * @param {Object} finding - Finding
+ * @returns {string} - Short hex digest
+ */
+function reviewId(filename, finding) {
+  return crypto.createHash('sha1').update(`${filename}:${finding.line}:${finding.title}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Renders the body of the review
+ * @param {number} count - Number of line comments
+ * @param {Array<{path: string, finding: Object}>} outside - Code changes outside the diff, listed when not empty
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language code of the labels
+ * @returns {string} - Markdown body
+ */
+function renderReviewBody(count, outside, { language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const lines = [t('review.summary', { count })];
+
+  if (outside.length > 0) {
+    lines.push('', `### ${t('review.outside')}`);
+    for (const { path, finding } of outside) {
+      const { start_line: start, end_line: end } = finding.suggestion;
+      lines.push(
+        '',
+        `<!-- voltaflow-outside:${reviewId(path, finding)} -->`,
+        `**${SEVERITY_ICONS[finding.severity]} ${finding.title}** · \`${path}:${start === end ? start : `${start}-${end}`}\``,
+        '',
+        fence(finding.suggestion.code, '')
+      );
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Publishes a review of the pull request with the line comments of the analysis
+ * Comments already posted by an earlier run on the same line and changes outside the diff already
+ * listed by an earlier review are left out; nothing is published when neither has anything new.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Review options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {number} options.pullNumber - Pull request number
+ * @param {string} options.commitId - Head commit the comments refer to
+ * @param {Object[]} options.comments - Line comments from buildReviewComments
+ * @param {Array<{path: string, finding: Object}>} options.outside - Code changes outside the diff
+ * @param {string} options.language - Language code of the labels
+ * @returns {Promise<{id: number, url: string, comments: number}|null>} - Published review, or null
+ */
+async function publishReview(octokit, { owner, repo, pullNumber, commitId, comments, outside = [], language = 'en' }) {
+  const existing = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+  const posted = new Set(existing
+    .map(comment => (comment.body || '').match(REVIEW_MARKER_PATTERN))
+    .filter(Boolean)
+    .map(match => match[1]));
+  const newComments = comments.filter(comment => !posted.has(comment.body.match(REVIEW_MARKER_PATTERN)[1]));
+
+  let newOutside = outside;
+  if (outside.length > 0) {
+    const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100
+    });
+    const listed = new Set(reviews.flatMap(review => Array.from((review.body || '').matchAll(OUTSIDE_MARKER_PATTERN), match => match[1])));
+    newOutside = outside.filter(({ path, finding }) => !listed.has(reviewId(path, finding)));
+  }
+
+  if (newComments.length === 0 && newOutside.length === 0) {
+    return null;
+  }
+
+  const { data } = await octokit.rest.pulls.createReview({
+    owner,
+    repo,
+    pull_number: pullNumber,
+    commit_id: commitId,
+    event: 'COMMENT',
+    body: renderReviewBody(newComments.length, newOutside, { language }),
+    comments: newComments
+  });
+
+  return { id: data.id, url: data.html_url, comments: newComments.length };
+}
+
+export {
+  REVIEW_OUTSIDE_DIFF_MODES,
+  parseDiffLines,
+  findChangedFile,
+  buildReviewComments,
+  renderReviewBody,
+  publishReview
+};
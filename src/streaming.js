@@ -0,0 +1,49 @@
+/**
+ * Streamed model replies: logged line by line as they arrive and reported to progress listeners
+ */
+
+// Partial lines longer than this are logged without waiting for their end, as JSON replies often fit on one line
+const MAX_PENDING_LINE = 200;
+
+/**
+ * Creates the observer passed as the `stream` request option of the providers
+ * Providers call `onStart` when a reply starts, including when a request is retried after
+ * an interrupted stream, and `onToken` with each piece of text.
+ * @param {Object} options - Observer options
+ * @param {Function} options.log - Writes a line to the step output
+ * @param {Function} options.onProgress - Called with the reply received so far after each piece of text
+ * @returns {{onStart: Function, onToken: Function, flush: Function, text: Function}} - Stream observer
+ */
+function createStreamObserver({ log = console.log, onProgress = () => {} } = {}) {
+  let text = '';
+  let pending = '';
+
+  const flush = () => {
+    if (pending) {
+      log(pending);
+      pending = '';
+    }
+  };
+
+  return {
+    onStart() {
+      flush();
+      text = '';
+    },
+    onToken(token) {
+      text += token;
+      pending += token;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(line => log(line));
+      if (pending.length > MAX_PENDING_LINE) {
+        flush();
+      }
+      onProgress(text);
+    },
+    flush,
+    text: () => text
+  };
+}
+
+export { createStreamObserver };
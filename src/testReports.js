@@ -0,0 +1,458 @@
+/**
+ * Parsers for structured test reports: JUnit XML, TAP, Jest JSON and pytest JSON
+ * A report is turned into a compact summary of its failures for the model and a table for the comment.
+ */
+
+import yaml from 'js-yaml';
+import { stripAnsi } from './preprocess.js';
+import { toRepoPath } from './checkRun.js';
+import { getTranslator } from './i18n.js';
+
+const FORMAT_LABELS = {
+  junit: 'JUnit XML',
+  tap: 'TAP',
+  'jest-json': 'Jest JSON',
+  'pytest-json': 'pytest JSON'
+};
+
+// Limits keeping the summary sent to the model compact
+const MAX_SUMMARY_FAILURES = 50;
+const MAX_STACK_LINES = 15;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parses a log source as a test report when it is one
+ * @param {string} content - Content of the log source
+ * @param {string} workspace - Repository checkout directory, to make file paths relative
+ * @returns {Object|null} - Report with its format, counts and failures, or null when the content isn't a known report
+ */
+function parseTestReport(content, workspace = process.cwd()) {
+  const text = (content || '').trim();
+
+  if (/^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<testsuites?\b/.test(text)) {
+    return parseJUnit(text, workspace);
+  }
+
+  if (isTapStream(text)) {
+    return parseTap(text, workspace);
+  }
+
+  if (text.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+    if (Array.isArray(data.testResults) && 'numTotalTests' in data) {
+      return parseJestJson(data, workspace);
+    }
+    if (Array.isArray(data.tests) && data.summary && typeof data.summary === 'object') {
+      return parsePytestJson(data, workspace);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tells whether text is a TAP stream: it declares a version or a plan, or all its top-level lines are
+ * numbered results, comments or a bail out. Other output starting with `ok`, like `go test`, isn't TAP.
+ * @param {string} text - Trimmed content
+ * @returns {boolean} - True for TAP
+ */
+function isTapStream(text) {
+  if (/^TAP version \d+$/m.test(text) || /^1\.\.\d+\b/m.test(text)) {
+    return true;
+  }
+  const lines = text.split(/\r?\n/).filter(line => line && !/^\s/.test(line));
+  return /^(?:not )?ok \d+\b/.test(text) && lines.every(line => /^(?:(?:not )?ok \d+\b|#|Bail out!)/.test(line));
+}
+
+/**
+ * Decodes the entities and CDATA sections of XML text
+ * @param {string} value - Raw XML text
+ * @returns {string} - Decoded text
+ */
+function decodeXml(value) {
+  return (value || '')
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => {
+      if (part.startsWith('<![CDATA[')) {
+        return part.slice(9, -3);
+      }
+      return part.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+          return String.fromCodePoint(name[1].toLowerCase() === 'x' ? Number.parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        }
+        return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+      });
+    })
+    .join('');
+}
+
+/**
+ * Parses the attributes of an XML tag
+ * @param {string} source - Text between the tag name and the closing bracket
+ * @returns {Object<string, string>} - Decoded attributes
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of (source || '').matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Parses a JUnit XML report, as written by most test runners
+ * @param {string} xml - Report content
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object} - Parsed report
+ */
+function parseJUnit(xml, workspace) {
+  const report = createReport('junit');
+  let suite = null;
+
+  const pattern = /<testsuite\b([^>]*?)\/?>|<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  for (const match of xml.matchAll(pattern)) {
+    if (match[1] !== undefined) {
+      suite = parseAttributes(match[1]);
+      continue;
+    }
+
+    const testcase = parseAttributes(match[2]);
+    const body = match[3] || '';
+    report.total++;
+
+    const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (problem) {
+      const attributes = parseAttributes(problem[2]);
+      const details = decodeXml(problem[3]).trim();
+      report.failed++;
+      report.failures.push({
+        name: testcase.name || 'unnamed test',
+        suite: testcase.classname || (suite && suite.name) || null,
+        file: relativeFile(testcase.file || (suite && suite.file), workspace),
+        line: Number(testcase.line) || null,
+        message: attributes.message || firstLine(details) || attributes.type || problem[1],
+        stack: details
+      });
+    } else if (/<skipped\b/.test(body)) {
+      report.skipped++;
+    } else {
+      report.passed++;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Parses a TAP stream, including the YAML diagnostics of failed tests
+ * Failures of a parent test caused only by its subtests are not repeated.
+ * @param {string} tap - Report content
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object} - Parsed report
+ */
+function parseTap(tap, workspace) {
+  const report = createReport('tap');
+  const lines = tap.split(/\r?\n/);
+  const totals = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const total = lines[i].match(/^# (tests|pass|fail|skipped|todo) (\d+)$/);
+    if (total) {
+      totals[total[1]] = Number(total[2]);
+      continue;
+    }
+
+    const result = lines[i].match(/^(\s*)(not ok|ok)\b\s*\d*\s*(?:-\s*)?(.*?)\s*(?:#\s*(skip|todo)\b.*)?$/i);
+    if (!result) {
+      continue;
+    }
+
+    let diagnostics = {};
+    if (/^\s*---\s*$/.test(lines[i + 1] || '')) {
+      const end = lines.findIndex((line, index) => index > i + 1 && /^\s*\.\.\.\s*$/.test(line));
+      if (end !== -1) {
+        diagnostics = parseTapDiagnostics(lines.slice(i + 2, end));
+        i = end;
+      }
+    }
+
+    const [, indent, status, description, directive] = result;
+    const topLevel = indent.length === 0;
+    if (directive) {
+      report.skipped += topLevel ? 1 : 0;
+      continue;
+    }
+    if (status.toLowerCase() === 'ok') {
+      report.passed += topLevel ? 1 : 0;
+      continue;
+    }
+    report.failed += topLevel ? 1 : 0;
+    if (diagnostics.failureType === 'subtestsFailed') {
+      continue;
+    }
+
+    const location = parseLocation(diagnostics.location || diagnostics.at);
+    const error = diagnostics.error && typeof diagnostics.error === 'object' ? diagnostics.error.message : diagnostics.error;
+    report.failures.push({
+      name: description || 'unnamed test',
+      suite: null,
+      file: relativeFile(location.file, workspace),
+      line: location.line,
+      message: String(diagnostics.message || error || ''),
+      stack: typeof diagnostics.stack === 'string' ? diagnostics.stack.trim() : ''
+    });
+  }
+
+  report.total = report.passed + report.failed + report.skipped;
+  if (totals.tests !== undefined) {
+    report.total = totals.tests;
+    report.passed = totals.pass !== undefined ? totals.pass : report.passed;
+    report.failed = totals.fail !== undefined ? totals.fail : report.failed;
+    report.skipped = (totals.skipped || 0) + (totals.todo || 0);
+  }
+
+  return report;
+}
+
+/**
+ * Parses the YAML block following a TAP result
+ * @param {string[]} lines - Lines between `---` and `...`
+ * @returns {Object} - Diagnostics, empty when the block isn't valid YAML
+ */
+function parseTapDiagnostics(lines) {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  try {
+    const value = yaml.load(lines.map(line => line.slice(indent)).join('\n'));
+    return value && typeof value === 'object' ? value : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Parses the output of `jest --json`
+ * @param {Object} data - Parsed report
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object} - Parsed report
+ */
+function parseJestJson(data, workspace) {
+  const report = createReport('jest-json');
+  report.total = data.numTotalTests || 0;
+  report.passed = data.numPassedTests || 0;
+  report.failed = data.numFailedTests || 0;
+  report.skipped = (data.numPendingTests || 0) + (data.numTodoTests || 0);
+
+  for (const suite of data.testResults) {
+    const file = relativeFile(suite.name, workspace);
+    const failedTests = (suite.assertionResults || []).filter(test => test.status === 'failed');
+
+    for (const test of failedTests) {
+      const details = stripAnsi((test.failureMessages || []).join('\n')).trim();
+      report.failures.push({
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(' › '),
+        suite: (test.ancestorTitles || []).join(' › ') || null,
+        file,
+        line: test.location ? test.location.line : null,
+        message: firstLine(details),
+        stack: details
+      });
+    }
+
+    // A suite that failed to run, for instance on a syntax error, has no failed tests
+    if (failedTests.length === 0 && suite.status === 'failed' && suite.message) {
+      const details = stripAnsi(suite.message).trim();
+      report.failures.push({
+        name: 'Test suite failed to run',
+        suite: null,
+        file,
+        line: null,
+        message: firstLine(details.replace(/^[●\s]*Test suite failed to run\s*/, '')),
+        stack: details
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Parses a report written by pytest-json-report (`pytest --json-report`)
+ * @param {Object} data - Parsed report
+ * @param {string} workspace - Repository checkout directory
+ * @returns {Object} - Parsed report
+ */
+function parsePytestJson(data, workspace) {
+  const report = createReport('pytest-json');
+  const summary = data.summary;
+  report.total = summary.total || data.tests.length;
+  report.passed = summary.passed || 0;
+  report.failed = (summary.failed || 0) + (summary.error || 0);
+  report.skipped = (summary.skipped || 0) + (summary.xfailed || 0);
+
+  for (const test of data.tests.filter(test => test.outcome === 'failed' || test.outcome === 'error')) {
+    const phase = ['setup', 'call', 'teardown'].map(name => test[name]).find(stage => stage && stage.outcome === 'failed') || {};
+    const crash = phase.crash || {};
+    const [file, ...names] = (test.nodeid || '').split('::');
+    const stack = typeof phase.longrepr === 'string' ? phase.longrepr.trim() : '';
+    report.failures.push({
+      name: names.join('::') || test.nodeid,
+      suite: names.length > 1 ? names.slice(0, -1).join('::') : null,
+      file: relativeFile(crash.path || file, workspace),
+      line: crash.lineno || test.lineno || null,
+      message: crash.message || firstLine(stack),
+      stack
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Creates an empty report
+ * @param {string} format - Report format
+ * @returns {Object} - Report without tests
+ */
+function createReport(format) {
+  return { format, total: 0, passed: 0, failed: 0, skipped: 0, failures: [] };
+}
+
+/**
+ * Reads a `file:line:column` location, or a `{ file, line }` object
+ * @param {string|Object} location - Location from the TAP diagnostics
+ * @returns {{file: string|null, line: number|null}} - File and line
+ */
+function parseLocation(location) {
+  if (location && typeof location === 'object') {
+    return { file: location.file || null, line: Number(location.line) || null };
+  }
+  const match = String(location || '').match(/^(?:file:\/\/)?(.+?):(\d+)(?::\d+)?$/);
+  return match ? { file: match[1], line: Number(match[2]) } : { file: null, line: null };
+}
+
+/**
+ * Makes a file path relative to the repository when possible
+ * @param {string} file - Path found in the report
+ * @param {string} workspace - Repository checkout directory
+ * @returns {string|null} - Relative path, the path as written when outside the repository, or null
+ */
+function relativeFile(file, workspace) {
+  if (!file) {
+    return null;
+  }
+  return toRepoPath(file, workspace) || file;
+}
+
+/**
+ * Returns the first non-empty line of a text
+ * @param {string} text - Text
+ * @returns {string} - First line, trimmed
+ */
+function firstLine(text) {
+  return ((text || '').split('\n').find(line => line.trim()) || '').trim();
+}
+
+/**
+ * Describes the counts of a report in one line
+ * @param {Object} report - Parsed report
+ * @param {Function} t - Translator returned by getTranslator, English by default
+ * @returns {string} - For example "42 tests, 3 failed, 1 skipped"
+ */
+function describeCounts(report, t = getTranslator()) {
+  const parts = [t('tests.counts', { total: report.total, failed: report.failed })];
+  if (report.skipped > 0) {
+    parts.push(t('tests.skipped', { skipped: report.skipped }));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Describes where a failed test is
+ * @param {Object} failure - Failed test
+ * @returns {string} - `file:line`, or an empty string when unknown
+ */
+function formatTestLocation(failure) {
+  return failure.file ? `${failure.file}${failure.line ? `:${failure.line}` : ''}` : '';
+}
+
+/**
+ * Builds the compact text sent to the model instead of the raw report
+ * @param {Object} report - Parsed report
+ * @returns {string} - Counts, then each failure with its message and the top of its stack trace
+ */
+function summarizeTestReport(report) {
+  const lines = [`Test report (${FORMAT_LABELS[report.format]}): ${describeCounts(report)}`];
+
+  for (const failure of report.failures.slice(0, MAX_SUMMARY_FAILURES)) {
+    const location = formatTestLocation(failure);
+    lines.push('', `FAILED ${failure.name}${failure.suite && !failure.name.includes(failure.suite) ? ` [${failure.suite}]` : ''}${location ? ` (${location})` : ''}`);
+    if (failure.message) {
+      lines.push(`  ${failure.message}`);
+    }
+    const stack = failure.stack.split('\n').filter(line => line.trim() && line.trim() !== failure.message.trim());
+    lines.push(...stack.slice(0, MAX_STACK_LINES).map(line => `  ${line.trimEnd()}`));
+    if (stack.length > MAX_STACK_LINES) {
+      lines.push(`  ... (${stack.length - MAX_STACK_LINES} more lines)`);
+    }
+  }
+
+  if (report.failures.length > MAX_SUMMARY_FAILURES) {
+    lines.push('', `... ${report.failures.length - MAX_SUMMARY_FAILURES} more failed tests`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes a value for a markdown table cell
+ * @param {string} value - Cell content
+ * @param {number} maxLength - Longest content kept
+ * @returns {string} - Single-line, escaped content
+ */
+function tableCell(value, maxLength = 150) {
+  const text = (value || '').replace(/\s+/g, ' ').trim();
+  const truncated = text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  return truncated.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/</g, '&lt;');
+}
+
+/**
+ * Renders the failed tests of the parsed reports as a markdown table
+ * @param {Array<Object>} reports - Parsed reports, each with the `label` of its source
+ * @param {number} limit - Maximum number of rows
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language code of the labels
+ * @returns {string} - Markdown section, empty when no test failed
+ */
+function renderFailedTests(reports, limit = 20, { language = 'en' } = {}) {
+  const failures = reports.flatMap(report => report.failures);
+  if (failures.length === 0) {
+    return '';
+  }
+
+  const t = getTranslator(language);
+  const lines = [
+    `### ${t('tests.title')}`,
+    '',
+    ...reports.map(report => `- ${report.label ? `\`${report.label}\` ` : ''}(${FORMAT_LABELS[report.format]}): ${describeCounts(report, t)}`),
+    '',
+    t('tests.header'),
+    '| --- | --- | --- |',
+    ...failures.slice(0, limit).map(failure => {
+      const location = formatTestLocation(failure);
+      return `| ${tableCell(failure.name)} | ${location ? `\`${tableCell(location)}\`` : ''} | ${tableCell(failure.message)} |`;
+    })
+  ];
+
+  if (failures.length > limit) {
+    lines.push('', t('tests.more', { count: failures.length - limit }));
+  }
+
+  return lines.join('\n');
+}
+
+export { FORMAT_LABELS, parseTestReport, summarizeTestReport, renderFailedTests };
@@ -0,0 +1,186 @@
+/**
+ * Token usage and estimated cost of the model requests
+ */
+
+import yaml from 'js-yaml';
+import { getTranslator } from './i18n.js';
+
+/**
+ * Price of the models in USD per million tokens
+ * Keys match the model name or its beginning, so dated versions such as `gpt-4o-mini-2024-07-18`
+ * use the price of `gpt-4o-mini`. The longest matching key wins.
+ */
+const DEFAULT_PRICES = {
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 }
+};
+
+// Self-hosted models cost nothing per token unless a price is configured
+const LOCAL_PROVIDERS = ['ollama', 'llamacpp'];
+
+/**
+ * Checks a price table
+ * @param {*} prices - Parsed price table
+ * @param {string} where - Name of the table in error messages
+ * @returns {string[]} - Problems found, empty when the table is valid
+ */
+function validatePrices(prices, where = 'prices') {
+  if (typeof prices !== 'object' || prices === null || Array.isArray(prices)) {
+    return [`${where} must be a mapping of model names to prices`];
+  }
+
+  const errors = [];
+  for (const [model, price] of Object.entries(prices)) {
+    if (typeof price !== 'object' || price === null || Array.isArray(price)) {
+      errors.push(`${where}.${model} must be a mapping with input and output prices`);
+      continue;
+    }
+    for (const key of Object.keys(price)) {
+      if (key !== 'input' && key !== 'output') {
+        errors.push(`unknown key "${key}" in ${where}.${model}, expected one of: input, output`);
+      }
+    }
+    for (const key of ['input', 'output']) {
+      if (typeof price[key] !== 'number' || !Number.isFinite(price[key]) || price[key] < 0) {
+        errors.push(`${where}.${model}.${key} must be a non-negative number of USD per million tokens`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parses the `model_prices` input
+ * @param {string} input - YAML or JSON mapping of model names to `{ input, output }` prices
+ * @returns {Object<string, {input: number, output: number}>} - Price table, empty when the input is empty
+ */
+function parsePrices(input) {
+  if (!input || !input.trim()) {
+    return {};
+  }
+
+  let prices;
+  try {
+    prices = yaml.load(input);
+  } catch (error) {
+    throw new Error(`Invalid model_prices: ${error.message}`);
+  }
+
+  const errors = validatePrices(prices, 'model_prices');
+  if (errors.length > 0) {
+    throw new Error(`Invalid model_prices:\n- ${errors.join('\n- ')}`);
+  }
+  return prices;
+}
+
+/**
+ * Finds the price of a model
+ * @param {Object} prices - Price table, merged over DEFAULT_PRICES
+ * @param {{name: string, model: string}} provider - Provider name and model
+ * @returns {{input: number, output: number}|null} - Price in USD per million tokens, or null when unknown
+ */
+function findPrice(prices, { name, model }) {
+  const table = { ...DEFAULT_PRICES, ...prices };
+  if (table[model]) {
+    return table[model];
+  }
+
+  const prefix = Object.keys(table)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) {
+    return table[prefix];
+  }
+
+  return LOCAL_PROVIDERS.includes(name) ? { input: 0, output: 0 } : null;
+}
+
+/**
+ * Computes the cost of a number of tokens
+ * @param {{promptTokens: number, completionTokens: number}} usage - Token counts
+ * @param {{input: number, output: number}} price - Price in USD per million tokens
+ * @returns {number} - Cost in USD
+ */
+function estimateCost({ promptTokens, completionTokens }, price) {
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Adds up the token usage reported by every model request of a run
+ * `record(usage, provider)` is called after each request with its token counts. `summary()` returns
+ * the totals; the cost is null when one of the models has no price.
+ * @param {Object} prices - Configured price table, merged over DEFAULT_PRICES
+ * @returns {{record: Function, summary: Function}} - Usage tracker
+ */
+function createUsageTracker(prices = {}) {
+  const requests = [];
+
+  return {
+    record(usage, provider) {
+      requests.push({ ...usage, price: findPrice(prices, provider), model: provider.model });
+    },
+    summary() {
+      const promptTokens = requests.reduce((sum, request) => sum + request.promptTokens, 0);
+      const completionTokens = requests.reduce((sum, request) => sum + request.completionTokens, 0);
+      const unpricedModels = [...new Set(requests.filter(request => !request.price).map(request => request.model))];
+      return {
+        requests: requests.length,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        cost: unpricedModels.length > 0
+          ? null
+          : requests.reduce((sum, request) => sum + estimateCost(request, request.price), 0),
+        estimated: requests.some(request => request.estimated),
+        unpricedModels
+      };
+    }
+  };
+}
+
+/**
+ * Formats a cost in USD, with more decimals for small amounts
+ * @param {number} cost - Cost in USD
+ * @returns {string} - Formatted cost, such as `$0.0042`
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Describes the usage of a run in one line, for the comment footer
+ * @param {Object} usage - Summary returned by the usage tracker
+ * @param {Object} options - Formatting options
+ * @param {string} options.language - Language code of the text
+ * @returns {string} - Token counts and estimated cost
+ */
+function formatUsage(usage, { language = 'en' } = {}) {
+  const t = getTranslator(language);
+  const approximate = usage.estimated ? '~' : '';
+  const tokens = t('usage.tokens', {
+    input: `${approximate}${usage.promptTokens.toLocaleString('en-US')}`,
+    output: `${approximate}${usage.completionTokens.toLocaleString('en-US')}`
+  });
+  const cost = usage.cost === null ? t('usage.costUnknown') : `~${formatCost(usage.cost)}`;
+  return `${tokens} (${cost})`;
+}
+
+export {
+  DEFAULT_PRICES,
+  validatePrices,
+  parsePrices,
+  findPrice,
+  estimateCost,
+  createUsageTracker,
+  formatCost,
+  formatUsage
+};
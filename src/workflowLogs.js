@@ -0,0 +1,130 @@
+/**
+ * Retrieval of failed job logs from a GitHub Actions workflow run
+ */
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out'];
+
+// Job logs prefix every line with a timestamp such as 2025-03-15T10:23:45.1234567Z
+const LOG_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?(.*)$/;
+
+// Lines kept from the end of the job log when a failed step can't be located in it
+const FALLBACK_TAIL_LINES = 200;
+
+/**
+ * Extracts the part of a job log written while a step was running
+ * The API reports step times to the second, so the range is widened to whole seconds.
+ * @param {string} jobLog - Full job log as returned by the API
+ * @param {Object} step - Step from the jobs API with started_at and completed_at
+ * @returns {string} - Log lines of the step, without their timestamps
+ */
+function sliceStepLog(jobLog, step) {
+  if (!step.started_at) {
+    return '';
+  }
+
+  const start = Math.floor(Date.parse(step.started_at) / 1000) * 1000;
+  const end = step.completed_at
+    ? Math.floor(Date.parse(step.completed_at) / 1000) * 1000 + 1000
+    : Infinity;
+
+  const lines = [];
+  let inRange = false;
+
+  for (const line of jobLog.split(/\r?\n/)) {
+    const match = line.match(LOG_LINE_PATTERN);
+    if (match) {
+      const time = Date.parse(match[1]);
+      inRange = time >= start && time < end;
+      if (inRange) {
+        lines.push(match[2]);
+      }
+    } else if (inRange) {
+      // Continuation of a multiline entry
+      lines.push(line);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns the last lines of a job log without their timestamps
+ * @param {string} jobLog - Full job log
+ * @param {number} count - Number of lines to keep
+ * @returns {string} - Tail of the log
+ */
+function tailJobLog(jobLog, count = FALLBACK_TAIL_LINES) {
+  return jobLog
+    .split(/\r?\n/)
+    .slice(-count)
+    .map(line => {
+      const match = line.match(LOG_LINE_PATTERN);
+      return match ? match[2] : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Downloads the logs of the failed jobs of a workflow run and keeps only the failing steps
+ * A job whose log can't be downloaded, such as an expired one, is skipped so the others are still analyzed.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - Workflow run to inspect
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {number} options.runId - Workflow run ID
+ * @param {Function} options.onError - Called with the job and the error when a job log can't be downloaded
+ * @returns {Promise<Array<{label: string, content: string, job: string, step: string, url: string}>>} - One source per failed step
+ */
+async function fetchFailedStepLogs(octokit, { owner, repo, runId, onError = () => {} }) {
+  const jobs = await octokit.paginate(octokit.rest.actions.listJobsForWorkflowRun, {
+    owner,
+    repo,
+    run_id: runId,
+    filter: 'latest',
+    per_page: 100
+  });
+
+  const failedJobs = jobs.filter(job => FAILED_CONCLUSIONS.includes(job.conclusion));
+  const sources = [];
+
+  for (const job of failedJobs) {
+    let data;
+    try {
+      ({ data } = await octokit.rest.actions.downloadJobLogsForWorkflowRun({
+        owner,
+        repo,
+        job_id: job.id
+      }));
+    } catch (error) {
+      onError(job, error);
+      continue;
+    }
+    const jobLog = typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+    const failedSteps = (job.steps || []).filter(step => FAILED_CONCLUSIONS.includes(step.conclusion));
+
+    for (const step of failedSteps) {
+      const content = sliceStepLog(jobLog, step);
+      sources.push({
+        label: `${job.name} / ${step.name}`,
+        content: content || tailJobLog(jobLog),
+        job: job.name,
+        step: step.name,
+        url: step.number ? `${job.html_url}#step:${step.number}:1` : job.html_url
+      });
+    }
+
+    if (failedSteps.length === 0) {
+      sources.push({
+        label: job.name,
+        content: tailJobLog(jobLog),
+        job: job.name,
+        step: '',
+        url: job.html_url
+      });
+    }
+  }
+
+  return sources;
+}
+
+export { sliceStepLog, tailJobLog, fetchFailedStepLogs };
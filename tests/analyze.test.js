@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { analyzeChunks, estimateAnalysisTokens, CHUNK_PROMPT } from '../src/analyze.js';
+
+describe('analyzeChunks', () => {
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+  });
+
+  test('sends a single chunk directly with the system prompt', async () => {
+    const complete = jest.fn().mockResolvedValue('interpretation');
+
+    await expect(analyzeChunks(complete, 'system', ['log'])).resolves.toBe('interpretation');
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(complete).toHaveBeenCalledWith([
+      { role: 'system', content: 'system' },
+      { role: 'user', content: 'log' }
+    ], {});
+  });
+
+  test('sends the context before the log in the final request only', async () => {
+    const complete = jest.fn().mockResolvedValue('answer');
+
+    await analyzeChunks(complete, 'system', ['log'], { context: '## Pull request changes' });
+    expect(complete.mock.calls[0][0][1].content).toBe('## Pull request changes\n\n## Log\n\nlog');
+
+    complete.mockClear();
+    await analyzeChunks(complete, 'system', ['part a', 'part b'], { context: '## Pull request changes' });
+    expect(complete.mock.calls[0][0][1].content).not.toContain('Pull request changes');
+    expect(complete.mock.calls[2][0][1].content).toMatch(/^## Pull request changes\n\n## Log\n\n### Part 1 of 2/);
+  });
+
+  test('sends a placeholder when there is no log', async () => {
+    const complete = jest.fn().mockResolvedValue('nothing');
+
+    await analyzeChunks(complete, 'system', []);
+    expect(complete.mock.calls[0][0][1].content).toBe('No log content was provided for analysis.');
+  });
+
+  test('summarizes each chunk and merges the summaries', async () => {
+    const complete = jest.fn()
+      .mockResolvedValueOnce('summary one')
+      .mockResolvedValueOnce('summary two')
+      .mockResolvedValueOnce('final');
+
+    await expect(analyzeChunks(complete, 'system', ['part a', 'part b'], { requestOptions: { json: true } })).resolves.toBe('final');
+    expect(complete).toHaveBeenCalledTimes(3);
+    expect(complete.mock.calls[0][1]).toBeUndefined();
+    expect(complete.mock.calls[2][1]).toEqual({ json: true });
+    expect(complete.mock.calls[0][0][0].content).toBe(CHUNK_PROMPT);
+    expect(complete.mock.calls[1][0][1].content).toBe('Log part 2 of 2:\n\npart b');
+
+    const [mergeSystem, mergeUser] = complete.mock.calls[2][0];
+    expect(mergeSystem.content).toMatch(/^system\n/);
+    expect(mergeUser.content).toContain('summary one');
+    expect(mergeUser.content).toContain('summary two');
+  });
+
+  test('passes the stream observer to every request', async () => {
+    const complete = jest.fn().mockResolvedValue('summary');
+    const stream = { onStart: jest.fn(), onToken: jest.fn() };
+
+    await analyzeChunks(complete, 'system', ['part a', 'part b'], { requestOptions: { json: true }, stream });
+
+    expect(complete.mock.calls.map(([, options]) => options)).toEqual([{ stream }, { stream }, { json: true, stream }]);
+  });
+
+  test('estimates the tokens of an analysis before sending it', () => {
+    expect(estimateAnalysisTokens('s'.repeat(400), ['l'.repeat(4000)], { context: 'c'.repeat(40), maxTokens: 500 })).toEqual({
+      requests: 1,
+      promptTokens: 100 + 10 + 1000,
+      completionTokens: 500
+    });
+
+    const split = estimateAnalysisTokens('s'.repeat(400), ['a'.repeat(4000), 'b'.repeat(4000)], { maxTokens: 500 });
+    expect(split.requests).toBe(3);
+    expect(split.completionTokens).toBe(1500);
+    // Both parts with the chunk prompt, the final prompt and the two summaries
+    expect(split.promptTokens).toBeGreaterThan(100 + 2000 + 2 * 500);
+  });
+});
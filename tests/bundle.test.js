@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { startModelServer, startGitHubServer } from './support/mockServers.js';
+import { root, runNode, runAction } from './support/runAction.js';
+
+const bundle = path.join(root, 'dist', 'index.js');
+
+
+const analysis = {
+  summary: 'The build failed because a module is missing.',
+  findings: [{
+    title: 'Cannot find module express',
+    severity: 'error',
+    category: 'dependency',
+    file: 'src/server.js',
+    line: 1,
+    root_cause: '`express` is not listed in package.json.',
+    suggested_fix: 'Run `npm install express`.',
+    confidence: 0.9
+  }]
+};
+
+const pullRequest = {
+  number: 1,
+  title: 'Add the server',
+  files: [{ filename: 'src/server.js', status: 'added', additions: 3, deletions: 0, patch: '@@ -0,0 +1,3 @@\n+import express from "express";' }]
+};
+
+describe('bundled action', () => {
+  let model;
+  let github;
+
+  // Built from the current sources, so the tests never run a stale or missing bundle
+  beforeAll(() => {
+    execFileSync('npm', ['run', 'build', '--silent'], { cwd: root, stdio: 'ignore' });
+    expect(fs.existsSync(bundle)).toBe(true);
+  }, 180000);
+
+  /**
+   * Starts the model and GitHub servers the bundle talks to
+   * @param {Object[]} replies - Scripted model replies
+   */
+  async function startServers(replies = [{ content: analysis }]) {
+    model = await startModelServer({ replies });
+    github = await startGitHubServer({ pullRequest });
+  }
+
+  afterEach(async () => {
+    await Promise.all([model, github].filter(Boolean).map(server => server.close()));
+    model = null;
+    github = null;
+  });
+
+  const run = inputs => runAction({ entry: 'dist/index.js', github, model, inputs });
+
+  test('analyzes the log and comments on the pull request', async () => {
+    await startServers();
+
+    const { code, outputs, summary } = await run({ log_content: "Error: Cannot find module 'express'", fail_on: 'error' });
+
+    expect(code).toBe(1);
+    const [modelRequest] = model.completions;
+    expect(modelRequest.body).toMatchObject({ model: 'deepseek-chat', stream: true });
+    expect(modelRequest.body.messages.at(-1).content).toContain("Cannot find module 'express'");
+    expect(modelRequest.body.messages.at(-1).content).toContain('## Pull request changes: Add the server');
+
+    const comment = github.comments[0].body;
+    expect(comment).toContain('<!-- voltaflow-pr-check -->');
+    expect(comment).toContain('### 🔴 1. Cannot find module express');
+    expect(comment).toContain('Model usage: 500 input and 80 output tokens');
+
+    expect(outputs).toMatchObject({ max_severity: 'error', error_count: '1', verdict: 'fail', total_tokens: '580' });
+    expect(JSON.parse(outputs.findings_json)[0].file).toBe('src/server.js');
+    expect(summary).toContain('Cannot find module express');
+  });
+
+  test('falls back to the built-in rules when the model fails', async () => {
+    await startServers([{ status: 400, message: 'The model is overloaded' }]);
+
+    const { code, stdout, outputs } = await run({ log_content: 'FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory', stream: 'false' });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('::warning::The model API failed');
+    const comment = github.comments[0].body;
+    expect(comment).toContain('so the log was analyzed offline with the built-in rules');
+    expect(comment).toContain('### 🔴 1. Node.js ran out of heap memory');
+    expect(outputs).toMatchObject({ max_severity: 'error', heuristic: 'true' });
+  });
+
+  test('analyzes offline without an API key in heuristic mode', async () => {
+    await startServers();
+
+    const { code, outputs } = await run({ log_content: "ModuleNotFoundError: No module named 'requests'", api_key: '', mode: 'heuristic' });
+
+    expect(code).toBe(0);
+    expect(model.requests).toEqual([]);
+    expect(github.comments[0].body).toContain('Analyzed offline with the built-in rules for common errors, without a model.');
+    expect(outputs).toMatchObject({ max_severity: 'error', heuristic: 'true', verdict: 'pass' });
+  });
+
+  test('leaves the step green when the model fails and on_api_error is warn', async () => {
+    await startServers([{ status: 400, message: 'The model is overloaded' }]);
+
+    const { code, stdout, outputs } = await run({ log_content: 'npm ERR! code E404', on_api_error: 'warn', heuristic_fallback: 'false', stream: 'false' });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('::warning::The log could not be analyzed, the model API failed');
+    expect(outputs).toMatchObject({ max_severity: 'unknown', verdict: 'neutral' });
+    expect(github.comments).toEqual([]);
+  });
+
+  test('fails the step on invalid inputs', async () => {
+    await startServers();
+
+    const { code, stdout } = await run({ github_token: '', log_content: 'x' });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('::error::GitHub token is required to comment on the PR');
+    expect([...model.requests, ...github.requests]).toEqual([]);
+  });
+});
+
+describe('entry point', () => {
+  test('importing index.js does not run the action', async () => {
+    const { code, stdout, stderr } = await runNode(
+      ['--input-type=module', '-e', "const action = await import('./index.js'); console.log(typeof action.main);"],
+      { PATH: process.env.PATH }
+    );
+
+    expect(code).toBe(0);
+    expect(stdout.trim()).toBe('function');
+    expect(stderr).toBe('');
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCacheKey, readCachedAnalysis, writeCachedAnalysis } from '../src/cache.js';
+
+const fingerprint = 'a'.repeat(64);
+const entry = {
+  fingerprint,
+  response: '{"summary":"Cached","findings":[]}',
+  provider: { name: 'deepseek', label: 'Deepseek', model: 'deepseek-chat' },
+  run: { id: 42, attempt: 1, url: 'https://github.com/o/r/actions/runs/42' }
+};
+
+describe('cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores and reads analyses in a local directory', async () => {
+    await expect(readCachedAnalysis(fingerprint, { mode: 'local', dir })).resolves.toBeNull();
+
+    await expect(writeCachedAnalysis(entry, { mode: 'local', dir })).resolves.toBe(true);
+
+    const cached = await readCachedAnalysis(fingerprint, { mode: 'local', dir });
+    expect(cached).toMatchObject({ version: 1, ...entry });
+    await expect(readCachedAnalysis('b'.repeat(64), { mode: 'local', dir })).resolves.toBeNull();
+  });
+
+  test('ignores corrupted entries and entries of another version', async () => {
+    fs.mkdirSync(path.join(dir, fingerprint));
+    fs.writeFileSync(path.join(dir, fingerprint, 'analysis.json'), '{"version":0,');
+    await expect(readCachedAnalysis(fingerprint, { mode: 'local', dir })).resolves.toBeNull();
+
+    fs.writeFileSync(path.join(dir, fingerprint, 'analysis.json'), JSON.stringify({ ...entry, version: 0 }));
+    await expect(readCachedAnalysis(fingerprint, { mode: 'local', dir })).resolves.toBeNull();
+  });
+
+  test('restores and saves entries with the Actions cache', async () => {
+    const entryDir = path.join(dir, fingerprint);
+    const cache = {
+      isFeatureAvailable: () => true,
+      restoreCache: jest.fn().mockResolvedValue(undefined),
+      saveCache: jest.fn().mockResolvedValue(1)
+    };
+
+    await expect(readCachedAnalysis(fingerprint, { mode: 'actions', dir, cache })).resolves.toBeNull();
+    expect(cache.restoreCache).toHaveBeenCalledWith([entryDir], getCacheKey(fingerprint));
+
+    await writeCachedAnalysis(entry, { mode: 'actions', dir, cache });
+    expect(cache.saveCache).toHaveBeenCalledWith([entryDir], `voltaflow-analysis-v1-${fingerprint}`);
+
+    cache.restoreCache.mockResolvedValue(getCacheKey(fingerprint));
+    await expect(readCachedAnalysis(fingerprint, { mode: 'actions', dir, cache })).resolves.toMatchObject({ response: entry.response });
+  });
+
+  test('reports an unavailable Actions cache and keeps existing entries', async () => {
+    const unavailable = { isFeatureAvailable: () => false };
+    await expect(readCachedAnalysis(fingerprint, { mode: 'actions', dir, cache: unavailable }))
+      .rejects.toThrow('the GitHub Actions cache is not available on this runner');
+
+    const reserveError = Object.assign(new Error('Unable to reserve cache'), { name: 'ReserveCacheError' });
+    const cache = { saveCache: jest.fn().mockRejectedValue(reserveError) };
+    await expect(writeCachedAnalysis(entry, { mode: 'actions', dir, cache })).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  toRepoPath,
+  extractLogAnnotations,
+  findingAnnotations,
+  prepareAnnotations,
+  publishCheckRun
+} from '../src/checkRun.js';
+
+const workspace = '/home/runner/work/app/app';
+
+describe('checkRun', () => {
+  test('toRepoPath maps log paths to repository-relative paths', () => {
+    expect(toRepoPath(`${workspace}/src/index.js`, workspace)).toBe('src/index.js');
+    expect(toRepoPath('/home/runner/work/other/other/lib/a.py', workspace)).toBe('lib/a.py');
+    expect(toRepoPath('./src/../src/app.ts', workspace)).toBe('src/app.ts');
+    expect(toRepoPath('/usr/lib/node/internal.js', workspace)).toBeNull();
+    expect(toRepoPath('node_modules/jest/index.js', workspace)).toBeNull();
+  });
+
+  test('extractLogAnnotations finds compiler, lint, test and stack trace locations', () => {
+    const log = [
+      'src/app.ts(12,5): error TS2322: Type string is not assignable to type number.',
+      'src/util.ts:3:1 - warning: unused variable',
+      `${workspace}/src/lint.js`,
+      '   7:10  error  Unexpected console statement  no-console',
+      '',
+      'FAIL tests/app.test.js',
+      'TypeError: Cannot read properties of undefined',
+      '    at Object.<anonymous> (node_modules/lib/index.js:1:1)',
+      `    at run (${workspace}/src/run.js:42:7)`,
+      '    at next (src/next.js:1:1)',
+      'Connected to db.example.com:5432'
+    ].join('\n');
+
+    const annotations = extractLogAnnotations(log, workspace);
+
+    expect(annotations.map(a => [a.path, a.start_line, a.annotation_level])).toEqual([
+      ['src/app.ts', 12, 'failure'],
+      ['src/util.ts', 3, 'warning'],
+      ['src/lint.js', 7, 'failure'],
+      ['tests/app.test.js', 1, 'failure'],
+      ['src/run.js', 42, 'failure']
+    ]);
+    expect(annotations[4].message).toBe('TypeError: Cannot read properties of undefined');
+  });
+
+  test('extractLogAnnotations follows Python tracebacks', () => {
+    const log = [
+      'Traceback (most recent call last):',
+      'ValueError: invalid literal',
+      `  File "${workspace}/app/main.py", line 10, in <module>`
+    ].join('\n');
+
+    expect(extractLogAnnotations(log, workspace)).toEqual([
+      expect.objectContaining({ path: 'app/main.py', start_line: 10, message: 'ValueError: invalid literal' })
+    ]);
+  });
+
+  test('findingAnnotations maps findings with a file to annotations', () => {
+    const annotations = findingAnnotations([
+      { title: 'Bad type', severity: 'error', file: 'src/app.ts', line: 12, root_cause: 'Wrong type', suggested_fix: 'Cast it' },
+      { title: 'No file', severity: 'warning', file: null, line: null, root_cause: '', suggested_fix: '' }
+    ], workspace);
+
+    expect(annotations).toEqual([{
+      path: 'src/app.ts',
+      start_line: 12,
+      end_line: 12,
+      annotation_level: 'failure',
+      title: 'Bad type',
+      message: 'Wrong type\n\nSuggested fix: Cast it'
+    }]);
+  });
+
+  test('findingAnnotations keeps titles within the Checks API limit', () => {
+    const [annotation] = findingAnnotations([
+      { title: 'x'.repeat(300), severity: 'error', file: 'src/app.ts', line: 1, root_cause: 'Wrong type', suggested_fix: '' }
+    ], workspace);
+
+    expect(annotation.title).toHaveLength(255);
+  });
+
+  test('extractLogAnnotations recognizes the same error lines as the log preprocessing', () => {
+    const annotations = extractLogAnnotations([
+      'panic: runtime error at src/main.go:42',
+      'npm ERR! code ELIFECYCLE in src/package.json:1',
+      '✗ src/app.test.js:7 renders the header',
+      'Process killed while compiling src/big.ts:3'
+    ].join('\n'), workspace);
+
+    expect(annotations.map(annotation => [annotation.path, annotation.annotation_level])).toEqual([
+      ['src/main.go', 'failure'],
+      ['src/package.json', 'failure'],
+      ['src/app.test.js', 'failure'],
+      ['src/big.ts', 'failure']
+    ]);
+  });
+
+  test('prepareAnnotations deduplicates and drops missing files in a checkout', () => {
+    const checkout = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-checkout-'));
+    fs.mkdirSync(path.join(checkout, '.git'));
+    fs.mkdirSync(path.join(checkout, 'src'));
+    fs.writeFileSync(path.join(checkout, 'src', 'app.ts'), '');
+
+    try {
+      const annotations = prepareAnnotations([
+        { path: 'src/app.ts', start_line: 1, title: 'first' },
+        { path: 'src/app.ts', start_line: 1, title: 'duplicate' },
+        { path: 'src/missing.ts', start_line: 2 }
+      ], checkout);
+
+      expect(annotations).toEqual([{ path: 'src/app.ts', start_line: 1, title: 'first' }]);
+    } finally {
+      fs.rmSync(checkout, { recursive: true, force: true });
+    }
+  });
+
+  test('publishCheckRun sends annotations in batches of 50', async () => {
+    const octokit = {
+      rest: {
+        checks: {
+          create: jest.fn().mockResolvedValue({ data: { id: 7, html_url: 'https://github.com/o/r/runs/7' } }),
+          update: jest.fn().mockResolvedValue({})
+        }
+      }
+    };
+    const annotations = Array.from({ length: 120 }, (_, i) => ({
+      path: 'src/app.ts',
+      start_line: i + 1,
+      end_line: i + 1,
+      annotation_level: 'warning',
+      message: `warning ${i}`
+    }));
+
+    const result = await publishCheckRun(octokit, {
+      owner: 'o',
+      repo: 'r',
+      sha: 'abc',
+      name: 'Voltaflow Log Analysis',
+      title: 'Found error findings',
+      summary: 'Summary',
+      verdict: 'fail',
+      annotations,
+      detailsUrl: 'https://github.com/o/r/actions/runs/1'
+    });
+
+    expect(result).toEqual({ id: 7, url: 'https://github.com/o/r/runs/7' });
+    const created = octokit.rest.checks.create.mock.calls[0][0];
+    expect(created).toEqual(expect.objectContaining({ head_sha: 'abc', status: 'completed', conclusion: 'failure' }));
+    expect(created.output.annotations).toHaveLength(50);
+    expect(octokit.rest.checks.update.mock.calls.map(([args]) => args.output.annotations.length)).toEqual([50, 20]);
+    expect(octokit.rest.checks.update.mock.calls[0][0]).toEqual(expect.objectContaining({
+      check_run_id: 7,
+      output: expect.objectContaining({ title: 'Found error findings', summary: 'Summary' })
+    }));
+  });
+});
@@ -0,0 +1,240 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { parseCliArgs, getCiEnvironment, runCli } from '../src/cli.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const analysis = {
+  summary: 'The build failed because a module is missing.',
+  findings: [{
+    title: 'Cannot find module lodash',
+    severity: 'error',
+    category: 'dependency',
+    source: null,
+    file: 'src/app.js',
+    line: 3,
+    root_cause: '`lodash` is not installed.',
+    suggested_fix: 'Run `npm install lodash`.',
+    confidence: 0.9
+  }]
+};
+
+/**
+ * Creates a fetch mock answering chat completion requests with the given analysis
+ */
+function mockFetch(content = analysis) {
+  return jest.fn().mockImplementation(async () => new Response(JSON.stringify({
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(content) }, finish_reason: 'stop' }]
+  }), { status: 200, headers: { 'content-type': 'application/json' } }));
+}
+
+/**
+ * Creates a writable stand-in collecting what is written to it
+ */
+function createOutput() {
+  const output = { text: '', write: chunk => { output.text += chunk; return true; } };
+  return output;
+}
+
+describe('cli', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('parseCliArgs reads the command, files and options', () => {
+    expect(parseCliArgs(['analyze', 'build.log', '-', '--format', 'json', '--max-chunks', '4'])).toMatchObject({
+      command: 'analyze',
+      files: ['build.log', '-'],
+      format: 'json',
+      provider: 'deepseek',
+      maxChunks: 4,
+      maxChunkTokens: 8000,
+      'fail-on': 'never'
+    });
+    expect(() => parseCliArgs(['analyse'])).toThrow('Unknown command "analyse"');
+    expect(() => parseCliArgs(['analyze', '--format', 'html'])).toThrow('Invalid --format "html"');
+    expect(() => parseCliArgs(['analyze', '--timeout', '0'])).toThrow('--timeout must be a positive number');
+    expect(() => parseCliArgs(['analyze', '--unknown'])).toThrow();
+  });
+
+  test('getCiEnvironment describes GitLab and Jenkins jobs', () => {
+    expect(getCiEnvironment({ GITLAB_CI: 'true', CI_PROJECT_PATH: 'group/app', CI_COMMIT_REF_NAME: 'main', CI_JOB_URL: 'https://gitlab.com/job/1' }))
+      .toMatchObject({ repo: 'group/app', branch: 'main', run_url: 'https://gitlab.com/job/1' });
+    expect(getCiEnvironment({ JENKINS_URL: 'https://ci', JOB_NAME: 'app/main', BUILD_URL: 'https://ci/job/app/1/' }))
+      .toMatchObject({ job: 'app/main', run_url: 'https://ci/job/app/1/' });
+    expect(getCiEnvironment({})).toEqual({});
+  });
+
+  test('analyzes standard input and prints markdown', async () => {
+    const fetch = mockFetch();
+    const stdout = createOutput();
+    const stderr = createOutput();
+
+    const code = await runCli(['analyze'], {
+      stdin: Readable.from(['Error: Cannot find module \'lodash\'\n    at src/app.js:3:1\n']),
+      stdout,
+      stderr,
+      env: { VOLTAFLOW_API_KEY: 'sk-test' },
+      cwd,
+      fetch
+    });
+
+    expect(code).toBe(0);
+    expect(stdout.text).toMatch(/^The build failed because a module is missing\./);
+    expect(stdout.text).toContain('### 🔴 1. Cannot find module lodash');
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain("Error: Cannot find module 'lodash'");
+    expect(body.response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('prints a JSON report for files, with parsed test reports', async () => {
+    fs.mkdirSync(path.join(cwd, 'reports'));
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'junit_report.xml'), path.join(cwd, 'reports', 'junit.xml'));
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'npm ERR! missing script: lint\n');
+    const stdout = createOutput();
+
+    const code = await runCli(['analyze', 'build.log', 'reports', '--format', 'json', '--provider', 'ollama'], {
+      stdin: Readable.from([]),
+      stdout,
+      stderr: createOutput(),
+      env: {},
+      cwd,
+      fetch: mockFetch()
+    });
+
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout.text);
+    expect(report).toMatchObject({
+      verdict: 'pass',
+      max_severity: 'error',
+      provider: { name: 'ollama', model: 'llama3.1' },
+      test_reports: [{ label: path.join('reports', 'junit.xml'), format: 'junit', failed: 2 }]
+    });
+    expect(report.findings).toHaveLength(1);
+  });
+
+  test('exits with 1 when --fail-on is reached and 2 on invalid usage', async () => {
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'ERROR boom\n');
+    const stderr = createOutput();
+
+    const failed = await runCli(['analyze', 'build.log', '--fail-on', 'error', '--provider', 'ollama'], {
+      stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch: mockFetch()
+    });
+    expect(failed).toBe(1);
+    expect(stderr.text).toContain('voltaflow: Found error findings (fail_on: error)');
+
+    const usage = createOutput();
+    await expect(runCli(['analyze', '--fail-on', 'fatal'], { stdout: createOutput(), stderr: usage })).resolves.toBe(2);
+    expect(usage.text).toContain('Usage: voltaflow analyze');
+  });
+
+  test('analyzes offline with --mode heuristic', async () => {
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'npm ERR! Missing script: "lint"\n');
+    const fetch = mockFetch();
+    const stdout = createOutput();
+
+    const code = await runCli(['analyze', 'build.log', '--mode', 'heuristic', '--format', 'json'], {
+      stdin: Readable.from([]), stdout, stderr: createOutput(), env: {}, cwd, fetch
+    });
+
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout.text);
+    expect(report).toMatchObject({ max_severity: 'error', provider: { name: 'heuristic', model: 'built-in' } });
+    expect(report.findings[0].title).toBe('npm script "lint" does not exist');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(() => parseCliArgs(['analyze', '--mode', 'rules'])).toThrow('Invalid --mode "rules"');
+  });
+
+  test('reports missing files and keys without calling the model', async () => {
+    const fetch = mockFetch();
+    const stderr = createOutput();
+
+    await expect(runCli(['analyze', 'missing.log', '--provider', 'ollama'], {
+      stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch
+    })).resolves.toBe(1);
+    expect(stderr.text).toContain('voltaflow: No such log file: missing.log');
+
+    await expect(runCli(['analyze', 'missing.log', '--no-heuristic-fallback'], {
+      stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch
+    })).resolves.toBe(1);
+    expect(stderr.text).toContain('An API key is required to connect to Deepseek');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('passes the model, redaction and budget options to the pipeline', async () => {
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'Error: Cannot find module lodash\nticket JIRA-1234 deploy failed\n');
+    const fetch = mockFetch();
+    const stderr = createOutput();
+    const log = console.log;
+
+    const code = await runCli([
+      'analyze', 'build.log', '--provider', 'ollama', '--temperature', '0', '--max-tokens', '800',
+      '--redact-pattern', 'JIRA-\\d+', '--max-input-tokens', '100000'
+    ], { stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch });
+
+    expect(code).toBe(0);
+    expect(console.log).toBe(log);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body).toMatchObject({ temperature: 0, max_tokens: 800 });
+    expect(body.messages[1].content).not.toContain('JIRA-1234');
+    expect(stderr.text).toContain('Estimated usage: up to ~');
+    expect(() => parseCliArgs(['analyze', '--max-cost', 'cheap'])).toThrow('--max-cost must be a non-negative number');
+    expect(() => parseCliArgs(['analyze', '--redact-pattern', '('])).toThrow('Invalid pattern');
+  });
+
+  test('analyzes with the built-in rules when the log does not fit in the budget', async () => {
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'npm ERR! Missing script: "lint"\n');
+    const fetch = mockFetch();
+    const stderr = createOutput();
+    const stdout = createOutput();
+
+    await expect(runCli(['analyze', 'build.log', '--provider', 'ollama', '--max-input-tokens', '10', '--format', 'json'], {
+      stdin: Readable.from([]), stdout, stderr, env: {}, cwd, fetch
+    })).resolves.toBe(0);
+    expect(stderr.text).toContain("The log doesn't fit in the budget (--max-input-tokens: 10, --max-cost: none), analyzing the log with the built-in rules instead");
+    expect(JSON.parse(stdout.text)).toMatchObject({ provider: { name: 'heuristic' } });
+
+    await expect(runCli(['analyze', 'build.log', '--provider', 'ollama', '--max-input-tokens', '10', '--no-heuristic-fallback'], {
+      stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch
+    })).resolves.toBe(1);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the built-in rules without an API key or when the model fails', async () => {
+    fs.writeFileSync(path.join(cwd, 'build.log'), 'npm ERR! Missing script: "lint"\n');
+    const stderr = createOutput();
+    const stdout = createOutput();
+
+    await expect(runCli(['analyze', 'build.log', '--format', 'json'], {
+      stdin: Readable.from([]), stdout, stderr, env: {}, cwd, fetch: mockFetch()
+    })).resolves.toBe(0);
+    expect(stderr.text).toContain('An API key is required to connect to Deepseek');
+    expect(stderr.text).toContain('analyzing the log with the built-in rules instead');
+    expect(JSON.parse(stdout.text)).toMatchObject({ provider: { name: 'heuristic' }, findings: [{ title: 'npm script "lint" does not exist' }] });
+
+    const failing = jest.fn(async () => new Response(JSON.stringify({ error: { message: 'Invalid API key' } }), { status: 401 }));
+    const output = createOutput();
+    await expect(runCli(['analyze', 'build.log', '--provider', 'ollama'], {
+      stdin: Readable.from([]), stdout: output, stderr, env: {}, cwd, fetch: failing
+    })).resolves.toBe(0);
+    expect(stderr.text).toContain('The model API failed (401 Invalid API key), analyzing the log with the built-in rules instead');
+    expect(output.text).toContain('npm script "lint" does not exist');
+
+    await expect(runCli(['analyze', 'build.log', '--provider', 'ollama', '--no-heuristic-fallback'], {
+      stdin: Readable.from([]), stdout: createOutput(), stderr, env: {}, cwd, fetch: failing
+    })).resolves.toBe(1);
+    expect(stderr.text).toContain('voltaflow: 401 Invalid API key');
+  });
+});
@@ -0,0 +1,231 @@
+import { jest } from '@jest/globals';
+import {
+  COMMENT_MARKER,
+  isVoltaflowComment,
+  parseComment,
+  buildCommentWithHistory,
+  publishComment,
+  createProgressComment
+} from '../src/comments.js';
+
+const body = `${COMMENT_MARKER}\n## 🤖 Log Analysis by Voltaflow\n\nNew analysis\n`;
+
+/**
+ * Creates an Octokit stand-in whose issue has the given comments
+ */
+function createOctokit(comments = [], { login = null } = {}) {
+  const listComments = jest.fn();
+  return {
+    paginate: jest.fn().mockResolvedValue(comments),
+    graphql: jest.fn().mockResolvedValue({}),
+    rest: {
+      users: {
+        // Installation tokens can't read their user
+        getAuthenticated: login
+          ? jest.fn().mockResolvedValue({ data: { login } })
+          : jest.fn().mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }))
+      },
+      issues: {
+        listComments,
+        createComment: jest.fn().mockResolvedValue({ data: { id: 100, html_url: 'https://github.com/c/100' } }),
+        updateComment: jest.fn().mockImplementation(async ({ comment_id }) => ({
+          data: { id: comment_id, html_url: `https://github.com/c/${comment_id}` }
+        })),
+        deleteComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+const bot = { login: 'github-actions[bot]', type: 'Bot' };
+const reviewer = { login: 'octocat', type: 'User' };
+
+const previousComments = [
+  { id: 1, node_id: 'IC_1', body: 'Thanks for the PR!', user: reviewer },
+  { id: 2, node_id: 'IC_2', body: `${COMMENT_MARKER}\n## 🤖 Log Analysis by Voltaflow\n\nOld analysis`, updated_at: '2026-01-01T00:00:00Z', user: bot },
+  { id: 3, node_id: 'IC_3', body: `${COMMENT_MARKER}\n## 🤖 Log Analysis by Voltaflow\n\nOlder analysis`, updated_at: '2026-01-02T00:00:00Z', user: bot }
+];
+
+// A reviewer replying to the analysis with a quote of it copies the marker
+const quotingComment = { id: 4, node_id: 'IC_4', body: `> ${COMMENT_MARKER}\n> Old analysis\n\nIs this really the cause?`, user: reviewer };
+
+const target = { owner: 'test-owner', repo: 'test-repo', issueNumber: 123, body };
+
+describe('comments', () => {
+  test('isVoltaflowComment detects the hidden marker in comments of the action', () => {
+    expect(isVoltaflowComment(previousComments[0])).toBe(false);
+    expect(isVoltaflowComment(previousComments[1])).toBe(true);
+    expect(isVoltaflowComment(quotingComment)).toBe(false);
+    expect(isVoltaflowComment({ ...quotingComment, user: { login: 'voltaflow-ci', type: 'User' } }, 'voltaflow-ci')).toBe(true);
+    expect(isVoltaflowComment(previousComments[1], 'voltaflow-ci')).toBe(false);
+    expect(isVoltaflowComment({ ...previousComments[1], user: { login: 'dependabot[bot]', type: 'Bot' } })).toBe(false);
+  });
+
+  test('never changes comments of other users that quote an analysis', async () => {
+    for (const mode of ['update', 'replace', 'hide-previous']) {
+      const octokit = createOctokit([previousComments[0], quotingComment]);
+
+      const result = await publishComment(octokit, { ...target, mode });
+
+      expect(result.action).toBe('created');
+      expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+      expect(octokit.graphql).not.toHaveBeenCalled();
+    }
+  });
+
+  test('matches the comments of a personal token by its login', async () => {
+    const own = { ...quotingComment, id: 5, body: `${COMMENT_MARKER}\nOld analysis`, user: { login: 'voltaflow-ci', type: 'User' } };
+    const octokit = createOctokit([quotingComment, own], { login: 'voltaflow-ci' });
+
+    await publishComment(octokit, { ...target, mode: 'replace' });
+
+    expect(octokit.rest.issues.deleteComment).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.deleteComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 5 }));
+  });
+
+  test('create mode always posts a new comment', async () => {
+    const octokit = createOctokit(previousComments);
+    const result = await publishComment(octokit, { ...target, mode: 'create' });
+
+    expect(result).toEqual({ action: 'created', id: 100, url: 'https://github.com/c/100', body });
+    expect(octokit.paginate).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issue_number: 123,
+      body
+    });
+  });
+
+  test('update mode edits the most recent Voltaflow comment', async () => {
+    const octokit = createOctokit(previousComments);
+    const result = await publishComment(octokit, { ...target, mode: 'update' });
+
+    expect(result.action).toBe('updated');
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      comment_id: 3,
+      body
+    });
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('update mode creates a comment when there is none yet', async () => {
+    const octokit = createOctokit([previousComments[0]]);
+    const result = await publishComment(octokit, { ...target, mode: 'update' });
+
+    expect(result.action).toBe('created');
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+  });
+
+  test('replace mode deletes previous Voltaflow comments', async () => {
+    const octokit = createOctokit(previousComments);
+    await publishComment(octokit, { ...target, mode: 'replace' });
+
+    expect(octokit.rest.issues.deleteComment.mock.calls.map(([args]) => args.comment_id)).toEqual([2, 3]);
+    expect(octokit.rest.issues.createComment).toHaveBeenCalled();
+  });
+
+  test('hide-previous mode minimizes previous Voltaflow comments', async () => {
+    const octokit = createOctokit(previousComments);
+    await publishComment(octokit, { ...target, mode: 'hide-previous' });
+
+    expect(octokit.graphql.mock.calls.map(([, variables]) => variables.id)).toEqual(['IC_2', 'IC_3']);
+    expect(octokit.rest.issues.createComment).toHaveBeenCalled();
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(publishComment(createOctokit(), { ...target, mode: 'sticky' })).rejects.toThrow('Invalid comment_mode "sticky"');
+  });
+
+  test('update mode keeps a collapsible history of previous runs', async () => {
+    const octokit = createOctokit(previousComments);
+    await publishComment(octokit, { ...target, mode: 'update', keepHistory: true });
+
+    const updatedBody = octokit.rest.issues.updateComment.mock.calls[0][0].body;
+    expect(updatedBody).toContain('New analysis');
+    expect(updatedBody).toContain('<summary>Previous runs (1)</summary>');
+    expect(updatedBody).toContain('#### Run updated 2026-01-02T00:00:00Z\n\nOlder analysis');
+  });
+
+  test('history accumulates across runs and parses back', () => {
+    const first = buildCommentWithHistory(body.replace('New', 'Second'), `${body.replace('New', 'First')}`, 'day 1');
+    const second = buildCommentWithHistory(body.replace('New', 'Third'), first, 'day 2');
+    const parsed = parseComment(second);
+
+    expect(parsed.analysis).toContain('Third analysis');
+    expect(parsed.analysis).not.toContain('<details>');
+    expect(parsed.history).toHaveLength(2);
+    expect(parsed.history[0]).toContain('Second analysis');
+    expect(parsed.history[1]).toContain('First analysis');
+  });
+});
+
+describe('createProgressComment', () => {
+  const placeholder = `${COMMENT_MARKER}\nAnalysis in progress`;
+
+  test('posts a placeholder and finalizes it with the analysis', async () => {
+    const octokit = createOctokit([previousComments[0]]);
+    const progress = createProgressComment(octokit, { ...target, mode: 'update' });
+
+    await progress.start(placeholder);
+    expect(progress.isOpen()).toBe(true);
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ body: placeholder }));
+
+    const result = await progress.finish(body);
+    expect(result).toEqual({ action: 'created', id: 100, url: 'https://github.com/c/100' });
+    expect(progress.isOpen()).toBe(false);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      comment_id: 100,
+      body
+    });
+  });
+
+  test('throttles intermediate updates', async () => {
+    let time = 0;
+    const octokit = createOctokit([]);
+    const progress = createProgressComment(octokit, { ...target, interval: 1000, now: () => time });
+    await progress.start(placeholder);
+
+    progress.update('too early');
+    time = 1500;
+    progress.update('first update');
+    progress.update('while in flight');
+    await progress.finish(body);
+
+    expect(octokit.rest.issues.updateComment.mock.calls.map(([args]) => args.body)).toEqual(['first update', body]);
+  });
+
+  test('intermediate update failures are reported without failing the analysis', async () => {
+    let time = 0;
+    const onError = jest.fn();
+    const octokit = createOctokit([]);
+    octokit.rest.issues.updateComment.mockRejectedValueOnce(new Error('Secondary rate limit'));
+    const progress = createProgressComment(octokit, { ...target, interval: 1000, onError, now: () => time });
+    await progress.start(placeholder);
+
+    time = 2000;
+    progress.update('partial');
+    await progress.finish(body);
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Secondary rate limit' }));
+    expect(octokit.rest.issues.updateComment).toHaveBeenLastCalledWith(expect.objectContaining({ body }));
+  });
+
+  test('keeps the history of the comment it replaced', async () => {
+    const octokit = createOctokit(previousComments);
+    const progress = createProgressComment(octokit, { ...target, mode: 'update', keepHistory: true });
+
+    await progress.start(placeholder);
+    await progress.finish(body);
+
+    const finalBody = octokit.rest.issues.updateComment.mock.calls[1][0].body;
+    expect(finalBody).toContain('New analysis');
+    expect(finalBody).not.toContain('Analysis in progress');
+    expect(finalBody).toContain('#### Run updated 2026-01-02T00:00:00Z\n\nOlder analysis');
+  });
+});
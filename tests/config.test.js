@@ -0,0 +1,102 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, validateConfig, resolvePrompt } from '../src/config.js';
+import { PROFILES } from '../src/prompts.js';
+
+describe('config', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-config-'));
+    fs.mkdirSync(path.join(workspace, '.github', 'prompts'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('loadConfig reads .github/voltaflow.yml and tolerates its absence', async () => {
+    expect(await loadConfig('', workspace)).toEqual({ path: null, config: {} });
+
+    fs.writeFileSync(path.join(workspace, '.github', 'voltaflow.yml'), 'profile: jest\ninstructions: Be brief.\n');
+    expect(await loadConfig('', workspace)).toEqual({
+      path: '.github/voltaflow.yml',
+      config: { profile: 'jest', instructions: 'Be brief.' }
+    });
+  });
+
+  test('loadConfig reports missing explicit files and invalid YAML', async () => {
+    await expect(loadConfig('ci/voltaflow.yml', workspace)).rejects.toThrow('Could not read config file ci/voltaflow.yml');
+
+    fs.writeFileSync(path.join(workspace, '.github', 'voltaflow.yml'), 'profile: [jest\n');
+    await expect(loadConfig('', workspace)).rejects.toThrow('Invalid YAML in config file .github/voltaflow.yml');
+  });
+
+  test('validateConfig lists every problem', () => {
+    const errors = validateConfig({
+      profile: 3,
+      prompt: 'typo',
+      instructions: 'Deploys of {{environment}}',
+      profiles: {
+        deploy: { extends: 'helm' },
+        empty: {}
+      },
+      prices: { 'my-model': { input: 1, output: 'free' } },
+      language: 'klingon'
+    });
+
+    expect(errors).toEqual([
+      'unknown key "prompt", expected one of: profile, system_prompt, prompt_file, instructions, profiles, prices, language',
+      'profile must be a string',
+      'instructions uses unknown template variable(s): environment',
+      `profiles.deploy.extends must be a built-in profile: ${Object.keys(PROFILES).join(', ')}`,
+      'profiles.empty needs one of extends, system_prompt or prompt_file',
+      'prices.my-model.output must be a non-negative number of USD per million tokens',
+      'language: Unsupported language "klingon". Supported languages: en, es, pt'
+    ]);
+    expect(validateConfig({})).toEqual([]);
+  });
+
+  test('resolvePrompt uses the default profile without configuration', async () => {
+    const prompt = await resolvePrompt({ workspace });
+
+    expect(prompt).toEqual({ source: 'profile default', template: PROFILES.default.prompt, instructions: '' });
+  });
+
+  test('resolvePrompt gives inputs precedence over the config file', async () => {
+    fs.writeFileSync(path.join(workspace, '.github', 'prompts', 'e2e.md'), 'Analyze the e2e run of {{repo}}.');
+    const config = { profile: 'gradle', system_prompt: 'From the config file', instructions: 'Shared notes' };
+
+    expect(await resolvePrompt({ config, systemPrompt: 'From the input', workspace }))
+      .toMatchObject({ source: 'system_prompt input', template: 'From the input', instructions: 'Shared notes' });
+    expect(await resolvePrompt({ config, promptFile: '.github/prompts/e2e.md', workspace }))
+      .toMatchObject({ template: 'Analyze the e2e run of {{repo}}.' });
+    expect(await resolvePrompt({ config, profile: 'terraform', workspace }))
+      .toMatchObject({ source: 'profile terraform', template: PROFILES.terraform.prompt });
+    expect(await resolvePrompt({ config, workspace }))
+      .toMatchObject({ source: 'system_prompt in the config file', template: 'From the config file' });
+  });
+
+  test('resolvePrompt applies custom profiles', async () => {
+    const config = {
+      instructions: 'Shared notes',
+      profiles: { deploy: { extends: 'kubernetes', instructions: 'Deploys go to staging.' } }
+    };
+
+    expect(await resolvePrompt({ config, profile: 'deploy', workspace })).toEqual({
+      source: 'profile deploy',
+      template: PROFILES.kubernetes.prompt,
+      instructions: 'Shared notes\n\nDeploys go to staging.'
+    });
+  });
+
+  test('resolvePrompt reports unknown profiles, unreadable files and unknown variables', async () => {
+    await expect(resolvePrompt({ config: { profiles: { deploy: { extends: 'kubernetes' } } }, profile: 'maven', workspace }))
+      .rejects.toThrow('unknown profile "maven", available profiles: default, jest, gradle, terraform, kubernetes, deploy');
+    await expect(resolvePrompt({ promptFile: 'missing.md', workspace }))
+      .rejects.toThrow('prompt_file input missing.md could not be read');
+    await expect(resolvePrompt({ systemPrompt: 'Logs of {{repository}}', workspace }))
+      .rejects.toThrow('the prompt from system_prompt input uses unknown template variable(s): repository');
+  });
+});
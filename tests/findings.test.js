@@ -0,0 +1,124 @@
+import {
+  SEVERITIES,
+  SEVERITY_ICONS,
+  extractJson,
+  validateAnalysis,
+  parseAnalysis,
+  getMaxSeverity,
+  countFindings,
+  renderAnalysis
+} from '../src/findings.js';
+
+const response = {
+  summary: 'The server could not reach the database.',
+  findings: [
+    {
+      title: 'Deprecated configuration option',
+      severity: 'WARNING',
+      category: 'configuration',
+      source: 'logs/server.log',
+      file: 'config/app.json',
+      line: '12',
+      root_cause: '`oldCacheMethod` is deprecated.',
+      suggested_fix: 'Remove the option.',
+      confidence: 0.7,
+      related_change: 'config/app.json'
+    },
+    {
+      title: 'Database connection refused',
+      severity: 'error',
+      category: 'database',
+      source: null,
+      file: null,
+      line: null,
+      root_cause: 'PostgreSQL is not running.',
+      suggested_fix: 'Start the database service before the tests.',
+      confidence: 1.5
+    }
+  ]
+};
+
+describe('findings', () => {
+  test('extractJson handles plain, fenced and wrapped JSON', () => {
+    expect(extractJson('{"a":1}')).toEqual({ a: 1 });
+    expect(extractJson('```json\n{"a":2}\n```')).toEqual({ a: 2 });
+    expect(extractJson('Here is the analysis: {"a":3} Hope it helps')).toEqual({ a: 3 });
+    expect(extractJson('## Not JSON at all')).toBeUndefined();
+  });
+
+  test('validateAnalysis normalizes fields and sorts by severity', () => {
+    const { analysis, errors } = validateAnalysis(response);
+
+    expect(errors).toEqual([]);
+    expect(analysis.findings.map(finding => finding.severity)).toEqual(['error', 'warning']);
+    expect(analysis.findings[0]).toEqual(expect.objectContaining({ category: 'other', confidence: 1 }));
+    expect(analysis.findings[1]).toEqual(expect.objectContaining({ line: 12, file: 'config/app.json' }));
+  });
+
+  test('validateAnalysis normalizes suggested code changes and drops invalid ones', () => {
+    const finding = { title: 'Typo', severity: 'error', file: 'a.js', line: 4 };
+    const suggestionOf = suggestion => validateAnalysis({ summary: 'x', findings: [{ ...finding, suggestion }] }).analysis.findings[0].suggestion;
+
+    expect(suggestionOf({ code: 'const a = 1;\n' })).toEqual({ start_line: 4, end_line: 4, code: 'const a = 1;' });
+    expect(suggestionOf({ start_line: '2', end_line: 3, code: 'x\ny' })).toEqual({ start_line: 2, end_line: 3, code: 'x\ny' });
+    expect(suggestionOf({ start_line: 5, end_line: 3, code: 'x' })).toBeNull();
+    expect(suggestionOf({ start_line: 5 })).toBeNull();
+    expect(suggestionOf('use x')).toBeNull();
+    expect(validateAnalysis(response).analysis.findings[0].suggestion).toBeNull();
+  });
+
+  test('validateAnalysis reports schema violations', () => {
+    expect(validateAnalysis([]).errors).toEqual(['response is not a JSON object']);
+    expect(validateAnalysis({ summary: 'x', findings: [{ title: '', severity: 'critical' }] }).errors).toEqual([
+      'findings[0].severity must be one of error, warning, info',
+      'findings[0].title must be a non-empty string'
+    ]);
+  });
+
+  test('parseAnalysis falls back to plain text when the response is not valid JSON', () => {
+    const analysis = parseAnalysis('## Analysis\n\nEverything looks fine.');
+
+    expect(analysis.structured).toBe(false);
+    expect(analysis.summary).toBe('## Analysis\n\nEverything looks fine.');
+    expect(analysis.findings).toEqual([]);
+    expect(getMaxSeverity(analysis)).toBe('unknown');
+    expect(renderAnalysis(analysis)).toBe('## Analysis\n\nEverything looks fine.');
+  });
+
+  test('severity helpers summarize the findings', () => {
+    const analysis = parseAnalysis(JSON.stringify(response));
+
+    expect(analysis.structured).toBe(true);
+    expect(getMaxSeverity(analysis)).toBe('error');
+    expect(countFindings(analysis, 'error')).toBe(1);
+    expect(countFindings(analysis, 'warning')).toBe(1);
+    expect(getMaxSeverity(parseAnalysis('{"summary":"ok","findings":[]}'))).toBe('none');
+  });
+
+  test('every severity and overall result has an icon', () => {
+    expect(Object.keys(SEVERITY_ICONS)).toEqual([...SEVERITIES, 'none', 'unknown']);
+  });
+
+  test('renderAnalysis renders each finding with its location and fix', () => {
+    const markdown = renderAnalysis(parseAnalysis(JSON.stringify(response)));
+
+    expect(markdown).toMatch(/^The server could not reach the database\./);
+    expect(markdown).toContain('### 🔴 1. Database connection refused');
+    expect(markdown).toContain('**error** · other · confidence 100%');
+    expect(markdown).toContain('### 🟡 2. Deprecated configuration option');
+    expect(markdown).toContain('`config/app.json:12` in logs/server.log');
+    expect(markdown).toContain('**Suggested fix:** Start the database service before the tests.');
+    expect(markdown).toContain('**Likely caused by:** changes to `config/app.json` in this pull request');
+    expect(markdown.match(/Likely caused by/g)).toHaveLength(1);
+  });
+
+  test('renderAnalysis translates its labels', () => {
+    const markdown = renderAnalysis(parseAnalysis(JSON.stringify(response)), { language: 'es' });
+
+    expect(markdown).toMatch(/^The server could not reach the database\./);
+    expect(markdown).toContain('**error** · otro · confianza 100%');
+    expect(markdown).toContain('`config/app.json:12` en logs/server.log');
+    expect(markdown).toContain('**Solución sugerida:** Start the database service before the tests.');
+    expect(markdown).toContain('**Causa probable:** los cambios en `config/app.json` de este pull request');
+  });
+});
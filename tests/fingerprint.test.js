@@ -0,0 +1,37 @@
+import { normalizeLog, fingerprintLog } from '../src/fingerprint.js';
+
+const firstRun = `2024-05-01T12:00:00.1234567Z Run npm test
+2024-05-01T12:00:03.0000000Z FAIL src/cart.test.js (2.31 s)
+2024-05-01T12:00:03.0000000Z   ● cart › applies the discount (45 ms)
+Error: connect ECONNREFUSED at 12:00:02.118, request 3f2b8c1e-9a4d-4e1f-b2c3-123456789abc
+Logs: https://github.com/acme/shop/actions/runs/9876543/job/1234
+Server process pid=4312 listening on /tmp/jest_ab12
+`;
+
+const secondRun = `2024-05-02T08:30:10.7654321Z Run npm test
+2024-05-02T08:30:14.0000000Z FAIL src/cart.test.js (3.02 s)
+2024-05-02T08:30:14.0000000Z   ● cart › applies the discount (51 ms)
+Error: connect ECONNREFUSED at 08:30:13.540, request 0c1d2e3f-1111-2222-3333-444455556666
+Logs: https://github.com/acme/shop/actions/runs/9880001/job/5678
+Server process pid=977 listening on /tmp/jest_zz99
+`;
+
+describe('fingerprint', () => {
+  test('normalizeLog removes timestamps, IDs and durations', () => {
+    expect(normalizeLog(firstRun)).toBe([
+      'Run npm test',
+      'FAIL src/cart.test.js (<duration>)',
+      '● cart › applies the discount (<duration>)',
+      'Error: connect ECONNREFUSED at <time>, request <uuid>',
+      'Logs: https://github.com/acme/shop/actions/runs/<id>/job/<id>',
+      'Server process pid=<pid> listening on /tmp/<tmp>'
+    ].join('\n'));
+  });
+
+  test('fingerprintLog matches reruns of the same failure only', () => {
+    expect(fingerprintLog(firstRun)).toBe(fingerprintLog(secondRun));
+    expect(fingerprintLog(firstRun)).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprintLog(firstRun)).not.toBe(fingerprintLog(firstRun.replace('ECONNREFUSED', 'ETIMEDOUT')));
+    expect(fingerprintLog(firstRun, { model: 'a' })).not.toBe(fingerprintLog(firstRun, { model: 'b' }));
+  });
+});
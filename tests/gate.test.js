@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { evaluateVerdict, publishCommitStatus } from '../src/gate.js';
+
+describe('gate', () => {
+  test.each([
+    ['error', 'error', 'fail'],
+    ['warning', 'error', 'pass'],
+    ['warning', 'warning', 'fail'],
+    ['error', 'warning', 'fail'],
+    ['info', 'info', 'fail'],
+    ['none', 'info', 'pass'],
+    ['error', 'never', 'pass'],
+    ['unknown', 'error', 'neutral']
+  ])('max severity %s with fail_on %s gives %s', (maxSeverity, failOn, expected) => {
+    const result = evaluateVerdict(maxSeverity, failOn);
+    expect(result.verdict).toBe(expected);
+    expect(result.failed).toBe(expected === 'fail');
+  });
+
+  test('rejects unknown fail_on values', () => {
+    expect(() => evaluateVerdict('error', 'critical')).toThrow('Invalid fail_on "critical"');
+  });
+
+  test('publishCommitStatus maps the verdict to a commit status', async () => {
+    const createCommitStatus = jest.fn().mockResolvedValue({});
+    const octokit = { rest: { repos: { createCommitStatus } } };
+
+    await publishCommitStatus(octokit, {
+      owner: 'o',
+      repo: 'r',
+      sha: 'abc123',
+      verdict: evaluateVerdict('error', 'error'),
+      targetUrl: 'https://github.com/o/r/actions/runs/1'
+    });
+
+    expect(createCommitStatus).toHaveBeenCalledWith({
+      owner: 'o',
+      repo: 'r',
+      sha: 'abc123',
+      state: 'failure',
+      context: 'Voltaflow',
+      description: 'Found error findings (fail_on: error)',
+      target_url: 'https://github.com/o/r/actions/runs/1'
+    });
+  });
+});
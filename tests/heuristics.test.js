@@ -0,0 +1,66 @@
+import { ANALYSIS_MODES, HEURISTIC_ANALYZER, RULES, analyzeHeuristically } from '../src/heuristics.js';
+import { getMaxSeverity } from '../src/findings.js';
+
+describe('heuristics', () => {
+  test('rules have unique ids and valid severities', () => {
+    expect(ANALYSIS_MODES).toEqual(['model', 'heuristic']);
+    expect(HEURISTIC_ANALYZER).toMatchObject({ name: 'heuristic', model: 'built-in' });
+    expect(new Set(RULES.map(rule => rule.id)).size).toBe(RULES.length);
+    for (const rule of RULES) {
+      expect(['error', 'warning', 'info']).toContain(rule.severity);
+    }
+  });
+
+  test.each([
+    ['npm ERR! 404 Not Found - GET https://registry.npmjs.org/left-padd - Not found', 'Package left-padd was not found in the registry', 'dependency'],
+    ["ModuleNotFoundError: No module named 'requests'", 'Python module requests is not installed', 'dependency'],
+    ['FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory', 'Node.js ran out of heap memory', 'runtime'],
+    ['Error: Error acquiring the state lock', 'The Terraform state is locked', 'infrastructure'],
+    ['ERROR: failed to solve: process "/bin/sh -c npm ci" did not complete successfully: exit code: 1', 'The Docker build failed', 'build'],
+    ['Exception in thread "main" java.lang.NullPointerException', 'java.lang.NullPointerException was thrown', 'runtime']
+  ])('recognizes %s', (log, title, category) => {
+    const analysis = analyzeHeuristically(log);
+
+    expect(analysis.structured).toBe(true);
+    expect(analysis.findings).toHaveLength(1);
+    expect(analysis.findings[0]).toMatchObject({ title, category, severity: 'error', related_change: null, suggestion: null });
+    expect(analysis.findings[0].root_cause).toContain(`\`\`\`text\n${log}\n\`\`\``);
+  });
+
+  test('merges repeated errors and counts their occurrences', () => {
+    const line = 'FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory';
+    const analysis = analyzeHeuristically(`${line}\nnpm ERR! code E404\n${line}`);
+
+    expect(analysis.findings).toHaveLength(1);
+    expect(analysis.summary).toBe('The log matches 1 known error signatures:\n\n- Node.js ran out of heap memory (2 occurrences)');
+    expect(getMaxSeverity(analysis)).toBe('error');
+  });
+
+  test('takes the location from the lines after the error and the source from the log headers', () => {
+    const analysis = analyzeHeuristically([
+      '==> logs/app.log <==',
+      'Exception in thread "main" java.lang.NullPointerException',
+      '\tat com.acme.App.main(App.java:12)'
+    ].join('\n'));
+
+    expect(analysis.findings[0]).toMatchObject({ source: 'logs/app.log', file: 'App.java', line: 12 });
+  });
+
+  test('quotes the first errors when no rule matches', () => {
+    const analysis = analyzeHeuristically('Compiling\nERROR: widget exploded\ndone');
+
+    expect(analysis).toMatchObject({ structured: false, findings: [], errors: ['no known error signature was found'] });
+    expect(analysis.summary).toContain('```text\nERROR: widget exploded\n```');
+    expect(getMaxSeverity(analysis)).toBe('unknown');
+  });
+
+  test('reports a log without errors and translates the summary', () => {
+    expect(analyzeHeuristically('Tests: 12 passed, 12 total')).toMatchObject({
+      structured: true,
+      findings: [],
+      summary: 'No errors were found in the log.'
+    });
+    expect(analyzeHeuristically('Error: Error acquiring the state lock', { language: 'es' }).summary)
+      .toMatch(/^El log coincide con 1 firmas de error conocidas:/);
+  });
+});
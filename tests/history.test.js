@@ -0,0 +1,259 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  extractSignatures,
+  findOccurrences,
+  assessRecurrence,
+  addRecord,
+  readHistory,
+  writeHistory,
+  getHistoryCachePrefix,
+  renderSeenBefore
+} from '../src/history.js';
+
+const now = Date.parse('2025-03-20T12:00:00Z');
+const log = `2025-03-20T10:00:00Z Running tests
+FAIL src/app.test.js (5.2 s)
+Error: connect ECONNREFUSED 127.0.0.1:5432
+##[error]Process completed with exit code 1.`;
+
+function record(overrides = {}) {
+  return {
+    fingerprint: 'f1',
+    signatures: extractSignatures(log),
+    max_severity: 'error',
+    run: { id: 1, attempt: 1, url: 'https://github.com/o/r/actions/runs/1' },
+    pr: 12,
+    branch: 'feature',
+    sha: 'abc',
+    created_at: '2025-03-19T12:00:00Z',
+    ...overrides
+  };
+}
+
+function fakeOctokit(content) {
+  return {
+    rest: {
+      repos: {
+        getContent: jest.fn(async () => {
+          if (content === null) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { sha: 'blob1', content: Buffer.from(content).toString('base64') } };
+        }),
+        createOrUpdateFileContents: jest.fn(async () => ({}))
+      },
+      git: {
+        createBlob: jest.fn(async () => ({ data: { sha: 'blob' } })),
+        createTree: jest.fn(async () => ({ data: { sha: 'tree' } })),
+        createCommit: jest.fn(async () => ({ data: { sha: 'commit' } })),
+        createRef: jest.fn(async () => ({}))
+      }
+    }
+  };
+}
+
+describe('extractSignatures', () => {
+  test('keeps the error lines without their numbers and generic lines', () => {
+    const signatures = extractSignatures(log);
+    expect(signatures.map(signature => signature.text)).toEqual([
+      'FAIL src/app.test.js (<duration>)',
+      'Error: connect ECONNREFUSED #.#.#.#:#'
+    ]);
+    expect(signatures[0].id).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test('gives the same signatures to runs that differ by numbers', () => {
+    const other = log.replace('5432', '5433').replace('5.2 s', '61 ms');
+    expect(extractSignatures(other)).toEqual(extractSignatures(log));
+  });
+
+  test('deduplicates and limits the signatures', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `Error: module ${String.fromCharCode(97 + i)} not found`);
+    expect(extractSignatures([...lines, ...lines].join('\n'), 5)).toHaveLength(5);
+    expect(extractSignatures('Error: a\nError: a')).toHaveLength(1);
+  });
+});
+
+describe('findOccurrences', () => {
+  test('matches shared signatures and identical fingerprints, newest first', () => {
+    const current = record({ fingerprint: 'f2', run: { id: 5, attempt: 1 } });
+    const older = record({ created_at: '2025-03-10T12:00:00Z' });
+    const newer = record({ created_at: '2025-03-18T12:00:00Z', signatures: [], fingerprint: 'f2' });
+    const unrelated = record({ fingerprint: 'f3', signatures: extractSignatures('Error: disk full') });
+
+    const matches = findOccurrences([older, unrelated, newer], current, { now });
+    expect(matches.map(match => match.record)).toEqual([newer, older]);
+    expect(matches[1].shared).toEqual(['FAIL src/app.test.js (<duration>)', 'Error: connect ECONNREFUSED #.#.#.#:#']);
+    expect(matches[0].shared).toEqual([]);
+  });
+
+  test('skips the current run and records older than the period', () => {
+    const current = record();
+    const old = record({ run: { id: 2, attempt: 1 }, created_at: '2025-01-01T00:00:00Z' });
+    const retry = record({ run: { id: 1, attempt: 2 } });
+    expect(findOccurrences([current, old, retry], current, { now }).map(match => match.record)).toEqual([retry]);
+  });
+});
+
+describe('assessRecurrence', () => {
+  test('flags failures seen on two other branches or pull requests as flaky', () => {
+    const current = record({ run: { id: 9, attempt: 1 } });
+    const matches = [
+      { record: record({ pr: 3 }) },
+      { record: record({ pr: null, branch: 'main', sha: 'def' }) },
+      { record: record({ pr: 12 }) }
+    ];
+    expect(assessRecurrence(matches, current)).toEqual({ count: 3, otherRefs: ['#3', 'main'], sameCommit: 2, flaky: true });
+    expect(assessRecurrence(matches.slice(2), current).flaky).toBe(false);
+  });
+});
+
+describe('addRecord', () => {
+  test('drops records older than the retention period', () => {
+    const old = record({ created_at: '2025-01-01T00:00:00Z' });
+    const recent = record();
+    const added = record({ run: { id: 2, attempt: 1 } });
+    expect(addRecord([old, recent], added, { days: 30, now })).toEqual([recent, added]);
+  });
+});
+
+describe('branch history', () => {
+  const store = { mode: 'branch', owner: 'o', repo: 'r', branch: 'voltaflow-history' };
+
+  test('reads the history file of the branch', async () => {
+    const octokit = fakeOctokit(JSON.stringify({ version: 1, records: [record()] }));
+    await expect(readHistory({ ...store, octokit })).resolves.toEqual({ records: [record()], sha: 'blob1' });
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'o', repo: 'r', path: 'history.json', ref: 'voltaflow-history' });
+  });
+
+  test('ignores a corrupted history file', async () => {
+    const octokit = fakeOctokit('{"records":');
+    await expect(readHistory({ ...store, octokit })).resolves.toEqual({ records: [], sha: 'blob1' });
+  });
+
+  test('creates the branch without parents on the first write', async () => {
+    const octokit = fakeOctokit(null);
+    const current = await readHistory({ ...store, octokit });
+    expect(current).toEqual({ records: [], sha: null });
+
+    await writeHistory({ ...store, octokit }, records => [...records, record()], current);
+
+    expect(JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content).records).toEqual([record()]);
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ tree: 'tree', parents: [] }));
+    expect(octokit.rest.git.createRef).toHaveBeenCalledWith({ owner: 'o', repo: 'r', ref: 'refs/heads/voltaflow-history', sha: 'commit' });
+  });
+
+  test('applies the update again to a history changed by another run', async () => {
+    const octokit = fakeOctokit(JSON.stringify({ version: 1, records: [record({ pr: 3 })] }));
+    octokit.rest.repos.createOrUpdateFileContents
+      .mockRejectedValueOnce(Object.assign(new Error('Conflict'), { status: 409 }));
+    const added = record({ run: { id: 2, attempt: 1 } });
+
+    const saved = await writeHistory({ ...store, octokit }, records => [...records, added], { records: [], sha: 'old' });
+
+    expect(saved).toEqual([record({ pr: 3 }), added]);
+    expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.repos.createOrUpdateFileContents.mock.calls[1][0]).toMatchObject({ sha: 'blob1', branch: 'voltaflow-history' });
+  });
+});
+
+describe('actions history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('restores the latest history of the branch and saves it under the key of the run', async () => {
+    const cache = {
+      isFeatureAvailable: () => true,
+      restoreCache: jest.fn(async () => undefined),
+      saveCache: jest.fn(async () => 1)
+    };
+    const prefix = getHistoryCachePrefix('feature');
+    const caches = ['7-1', '6-1', '5-2', '5-1'].map((run, index) => ({ id: 10 - index, key: `${prefix}${run}` }));
+    const octokit = {
+      rest: {
+        actions: {
+          getActionsCacheList: jest.fn(async () => ({ data: { actions_caches: [...caches, { id: 1, key: `${getHistoryCachePrefix('feature-x')}1-1` }] } })),
+          deleteActionsCacheById: jest.fn(async () => ({}))
+        }
+      }
+    };
+    const store = { mode: 'actions', octokit, owner: 'o', repo: 'r', dir, ref: 'feature', run: '7-1', cache };
+
+    const current = await readHistory(store);
+    expect(current).toEqual({ records: [], sha: null });
+    expect(cache.restoreCache).toHaveBeenCalledWith([dir], `${prefix}7-1`, [prefix, 'voltaflow-history-v1-']);
+
+    await writeHistory(store, records => [...records, record()], current);
+    expect(cache.saveCache).toHaveBeenCalledWith([dir], `${prefix}7-1`);
+    expect(octokit.rest.actions.getActionsCacheList).toHaveBeenCalledWith(expect.objectContaining({ key: prefix, sort: 'created_at', direction: 'desc' }));
+    expect(octokit.rest.actions.deleteActionsCacheById.mock.calls.map(([params]) => params.cache_id)).toEqual([7]);
+    await expect(readHistory(store)).resolves.toEqual({ records: [record()], sha: null });
+  });
+
+  test('builds valid cache keys from any branch name', async () => {
+    // @actions/cache rejects keys with commas or longer than 512 characters
+    const validate = key => {
+      if (key.includes(',') || key.length > 512) {
+        throw new Error(`Key Validation Error: ${key} cannot contain commas.`);
+      }
+    };
+    const cache = {
+      isFeatureAvailable: () => true,
+      restoreCache: jest.fn(async (paths, key, restoreKeys) => [key, ...restoreKeys].forEach(validate)),
+      saveCache: jest.fn(async (paths, key) => validate(key))
+    };
+    const octokit = { rest: { actions: { getActionsCacheList: jest.fn(async () => ({ data: { actions_caches: [] } })) } } };
+
+    for (const ref of ['fix/a,b', `feature/${'x'.repeat(600)}`]) {
+      const store = { mode: 'actions', octokit, dir, ref, run: '9-1', cache };
+      await expect(writeHistory(store, () => [record()], await readHistory(store))).resolves.toEqual([record()]);
+    }
+    expect(getHistoryCachePrefix('fix/a,b')).toMatch(/^voltaflow-history-v1-[0-9a-f]{16}-$/);
+    expect(getHistoryCachePrefix('feature')).not.toBe(getHistoryCachePrefix('feature-x'));
+  });
+
+  test('reports entries that cannot be pruned without failing', async () => {
+    const cache = { isFeatureAvailable: () => true, restoreCache: jest.fn(), saveCache: jest.fn(async () => 1) };
+    const error = Object.assign(new Error('Resource not accessible by integration'), { status: 403 });
+    const octokit = { rest: { actions: { getActionsCacheList: jest.fn(async () => { throw error; }) } } };
+    const onError = jest.fn();
+
+    await expect(writeHistory({ mode: 'actions', octokit, dir, ref: 'main', run: '8-1', cache, onError }, () => [record()], { records: [] }))
+      .resolves.toEqual([record()]);
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+});
+
+describe('renderSeenBefore', () => {
+  test('links the earlier runs and warns about flaky failures', () => {
+    const matches = [
+      { record: record({ run: { id: 3, attempt: 2, url: 'https://x/runs/3' } }), shared: ['Error: `x` failed'] },
+      { record: record({ pr: null, branch: 'main', run: { id: 2, attempt: 1, url: 'https://x/runs/2' } }), shared: [] }
+    ];
+    const section = renderSeenBefore(matches, { count: 2, otherRefs: ['#3', 'main'], sameCommit: 0, flaky: true }, { days: 14 });
+
+    expect(section).toContain('### 🔁 Seen before');
+    expect(section).toContain('reported 2 times in the last 14 days');
+    expect(section).toContain("- [run 3 (attempt 2)](https://x/runs/3) · PR #12 · 2025-03-19: `Error: 'x' failed`");
+    expect(section).toContain('- [run 2](https://x/runs/2) · `main` · 2025-03-19\n');
+    expect(section).toContain('may be flaky');
+  });
+
+  test('is empty for new failures and translated', () => {
+    expect(renderSeenBefore([], { otherRefs: [] })).toBe('');
+    const section = renderSeenBefore([{ record: record(), shared: [] }], { count: 1, otherRefs: ['#3'], sameCommit: 1, flaky: false }, { language: 'es' });
+    expect(section).toContain('Visto antes');
+    expect(section).toContain('Este fallo también ocurrió en #3.');
+    expect(section).toContain('Este commit ya falló');
+  });
+});
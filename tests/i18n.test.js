@@ -0,0 +1,29 @@
+import { TRANSLATIONS, resolveLanguage, getTranslator } from '../src/i18n.js';
+
+describe('i18n', () => {
+  test('every language translates every built-in string, grouped by section in the same order', () => {
+    const keys = Object.keys(TRANSLATIONS.en);
+    for (const strings of Object.values(TRANSLATIONS)) {
+      expect(Object.keys(strings)).toEqual(keys);
+    }
+    const sections = keys.map(key => key.split('.')[0]).filter((section, index, all) => section !== all[index - 1]);
+    expect(new Set(sections).size).toBe(sections.length);
+  });
+
+  test('resolveLanguage accepts codes, regional variants and names', () => {
+    expect(resolveLanguage('')).toBe('en');
+    expect(resolveLanguage('pt-BR')).toBe('pt');
+    expect(resolveLanguage('es_MX')).toBe('es');
+    expect(resolveLanguage('Español')).toBe('es');
+    expect(resolveLanguage('Portuguese')).toBe('pt');
+    expect(() => resolveLanguage('fr')).toThrow('Unsupported language "fr". Supported languages: en, es, pt');
+  });
+
+  test('getTranslator fills placeholders', () => {
+    const t = getTranslator('es');
+
+    expect(t('comment.failed', { message: 'timeout' })).toBe('El análisis falló: timeout');
+    expect(t('tests.more', { count: 3 })).toBe('…y 3 tests fallidos más.');
+    expect(getTranslator()('comment.title')).toBe('🤖 Log Analysis by Voltaflow');
+  });
+});
@@ -1,215 +1,405 @@
-import * as core from '@actions/core';
-import * as github from '@actions/github';
-import OpenAI from 'openai';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { jest } from '@jest/globals';
-
-// Get current directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Setup the mocks for imported modules
-const mockGetInput = jest.fn();
-const mockWarning = jest.fn();
-const mockSetOutput = jest.fn();
-const mockSetFailed = jest.fn();
-const mockGetOctokit = jest.fn();
-
-// Mock all external modules
-jest.mock('@actions/core', () => ({
-  getInput: mockGetInput,
-  warning: mockWarning,
-  setOutput: mockSetOutput,
-  setFailed: mockSetFailed
-}));
-
-// Create a mock object with writable context
-const githubContextMock = {
-  repo: { owner: 'test-owner', repo: 'test-repo' },
-  issue: { number: 123 }
+import { startModelServer, startGitHubServer } from './support/mockServers.js';
+import { runAction } from './support/runAction.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const casesDir = path.join(__dirname, 'fixtures', 'integration');
+
+// Set UPDATE_FIXTURES=1 to record the comments of the fixture cases again after an intended change
+const updateFixtures = process.env.UPDATE_FIXTURES === '1';
+
+const analysis = {
+  summary: 'The build failed because a module is missing.',
+  findings: [{
+    title: 'Cannot find module express',
+    severity: 'error',
+    category: 'dependency',
+    source: null,
+    file: 'src/server.js',
+    line: 1,
+    root_cause: '`express` is not listed in package.json.',
+    suggested_fix: 'Run `npm install express`.',
+    confidence: 0.9,
+    related_change: null,
+    suggestion: null
+  }]
 };
 
-jest.mock('@actions/github', () => ({
-  context: githubContextMock,
-  getOctokit: mockGetOctokit
-}));
+const LOG = "Error: Cannot find module 'express'";
 
-// Mock OpenAI client
-const mockOpenAICreate = jest.fn().mockResolvedValue({
-  choices: [{ message: { content: 'Test response from Deepseek' } }]
-});
+/**
+ * Finds the comments created on the pull request, ignoring updates
+ */
+function createdComments(github) {
+  return github.requests.filter(request => request.method === 'POST' && request.url.endsWith('/issues/1/comments'));
+}
 
-const mockOpenAIClient = {
-  chat: {
-    completions: {
-      create: mockOpenAICreate
-    }
+describe('voltaflow-pr-check', () => {
+  let servers = [];
+
+  async function start(model, github) {
+    servers = [await startModelServer(model), await startGitHubServer(github)];
+    return servers;
   }
-};
 
-const MockOpenAI = jest.fn().mockImplementation(() => mockOpenAIClient);
+  afterEach(async () => {
+    await Promise.all(servers.map(server => server.close()));
+    servers = [];
+  });
 
-jest.mock('openai', () => {
-  return {
-    default: MockOpenAI
-  };
-});
+  describe.each(fs.readdirSync(casesDir).sort())('fixture %s', name => {
+    const read = file => fs.readFileSync(path.join(casesDir, name, file), 'utf8');
 
-// Save original implementation of console.log/error
-const originalConsoleLog = console.log;
-const originalConsoleError = console.error;
+    test('posts the recorded comment and outputs', async () => {
+      const fixture = JSON.parse(read('case.json'));
+      const [model, github] = await start(
+        { replies: [{ content: fixture.reply || '' }] },
+        fixture.pullRequest ? { pullRequest: fixture.pullRequest } : {}
+      );
 
-describe('voltaflow-pr-check', () => {
-  // Setup and teardown for each test
-  beforeEach(() => {
-    // Reset all mocks
-    jest.resetAllMocks();
-    // Mock console.log to avoid noisy test output but still allow spying
-    console.log = jest.fn();
-    console.error = jest.fn();
-    
-    // Setup default inputs
-    mockGetInput.mockImplementation((name) => {
-      if (name === 'github_token') return 'fake-token';
-      if (name === 'deepseek_api_key') return 'fake-api-key';
-      if (name === 'log_content') return 'sample log content';
-      return '';
+      const { code, outputs } = await runAction({ github, model, inputs: { log_content: read('build.log'), ...fixture.inputs } });
+
+      expect(code).toBe(fixture.exitCode);
+      expect(model.completions).toHaveLength(fixture.reply ? 1 : 0);
+      expect(github.comments).toHaveLength(1);
+      const comment = github.comments[0].body;
+      if (updateFixtures) {
+        fs.writeFileSync(path.join(casesDir, name, 'comment.md'), comment);
+      }
+      expect(comment).toBe(read('comment.md'));
+      expect(outputs).toMatchObject(fixture.outputs);
     });
-    
-    // Setup GitHub context for this test
-    Object.assign(githubContextMock, {
-      repo: { owner: 'test-owner', repo: 'test-repo' },
-      issue: { number: 123 }
+  });
+
+  test('sends the log and the pull request changes to the model', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] }, {
+      pullRequest: { number: 1, title: 'Add the server', files: [{ filename: 'src/server.js', status: 'added', additions: 1, deletions: 0, patch: '@@ -0,0 +1 @@\n+require("express");' }] }
     });
-    
-    // Mock Octokit for GitHub API interactions
-    const mockCreateComment = jest.fn().mockResolvedValue({});
-    mockGetOctokit.mockReturnValue({
-      rest: {
-        issues: {
-          createComment: mockCreateComment
-        }
-      }
+
+    const { code, outputs } = await runAction({ github, model, inputs: { log_content: LOG } });
+
+    expect(code).toBe(0);
+    const [request] = model.completions;
+    expect(request.headers.authorization).toBe('Bearer sk-test');
+    expect(request.body).toMatchObject({ model: 'deepseek-chat', stream: true, response_format: { type: 'json_object' } });
+    expect(request.body.messages[0]).toMatchObject({ role: 'system', content: expect.stringContaining('"findings"') });
+    expect(request.body.messages.at(-1).content).toContain(LOG);
+    expect(request.body.messages.at(-1).content).toContain('## Pull request changes: Add the server');
+    expect(github.requests.find(request => request.url.startsWith('/repos/o/r/issues/1/comments') && request.method === 'GET').headers.authorization).toBe('token ghs_test');
+    expect(outputs).toMatchObject({ max_severity: 'error', verdict: 'pass', cache_hit: 'false', total_tokens: '580' });
+  });
+
+  test('redacts the pull request changes like the log', async () => {
+    const token = `ghp_${'a'.repeat(36)}`;
+    const [model, github] = await start({ replies: [{ content: analysis }] }, {
+      pullRequest: { number: 1, title: 'Add the server', files: [{ filename: '.env', status: 'added', additions: 1, deletions: 0, patch: `@@ -0,0 +1 @@\n+GITHUB_TOKEN=${token}` }] }
+    });
+
+    const { code, outputs } = await runAction({ github, model, inputs: { log_content: LOG } });
+
+    expect(code).toBe(0);
+    const prompt = model.completions[0].body.messages.at(-1).content;
+    expect(prompt).toContain('+GITHUB_TOKEN=');
+    expect(prompt).not.toContain(token);
+    expect(outputs.redaction_count).toBe('1');
+  });
+
+  test('reports redactions without claiming an offline analysis sent the log', async () => {
+    const [model, github] = await start({ replies: [] });
+
+    const { code, summary } = await runAction({ github, model, inputs: { log_content: `${LOG}\nGITHUB_TOKEN=ghp_${'a'.repeat(36)}`, mode: 'heuristic' } });
+
+    expect(code).toBe(0);
+    expect(summary).toContain('1 value(s) were redacted from the log.');
+    expect(summary).not.toContain('sent to');
+  });
+
+  test('reuses the cached analysis of an identical log without calling the model', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-cache-'));
+    try {
+      const [model, github] = await start({ replies: [{ content: analysis }] });
+      const inputs = { log_content: LOG, cache: 'local', cache_dir: cacheDir };
+
+      const first = await runAction({ github, model, inputs });
+      const second = await runAction({ github, model, inputs });
+
+      expect([first.code, second.code]).toEqual([0, 0]);
+      expect(model.completions).toHaveLength(1);
+      expect(first.outputs).toMatchObject({ cache_hit: 'false', total_tokens: '580' });
+      expect(second.outputs).toMatchObject({ cache_hit: 'true', total_tokens: '0', max_severity: 'error' });
+      expect(second.stdout).toContain('Reusing the analysis of run 42');
+      expect(github.comments.at(-1).body).toContain('Cannot find module express');
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  test('retries rate limits and server errors before commenting', async () => {
+    const [model, github] = await start({
+      replies: [
+        { status: 429, message: 'Rate limit reached', headers: { 'retry-after': '0' } },
+        { status: 503, message: 'Service unavailable', headers: { 'retry-after-ms': '0' } },
+        { content: analysis }
+      ]
+    });
+
+    const { code, stdout } = await runAction({ github, model, inputs: { log_content: LOG, stream: 'false' } });
+
+    expect(code).toBe(0);
+    expect(model.completions).toHaveLength(3);
+    expect(stdout).toContain('Model request failed (429 Rate limit reached), retry 1 of 3 in 0.0s');
+    expect(stdout).toContain('Model request failed (503 Service unavailable), retry 2 of 3 in 0.0s');
+    expect(createdComments(github)).toHaveLength(1);
+    expect(github.comments[0].body).toContain('### 🔴 1. Cannot find module express');
+  });
+
+  test('moves on to the fallback model when the primary one keeps failing', async () => {
+    const [model, github] = await start({ replies: [{ status: 500, message: 'Internal error' }, { content: analysis }] });
+
+    const { code, stdout } = await runAction({
+      github,
+      model,
+      inputs: { log_content: LOG, stream: 'false', max_retries: '0', fallback_models: 'deepseek-reasoner' }
+    });
+
+    expect(code).toBe(0);
+    expect(model.completions.map(request => request.body.model)).toEqual(['deepseek-chat', 'deepseek-reasoner']);
+    expect(stdout).toContain('::warning::Model request failed (500 Internal error), falling back to Deepseek with model deepseek-reasoner');
+  });
+
+  test('fails the step when the model fails and the heuristic fallback is off', async () => {
+    const [model, github] = await start({ replies: [{ status: 401, message: 'Invalid API key' }] });
+
+    const { code, stdout } = await runAction({ github, model, inputs: { log_content: LOG, heuristic_fallback: 'false' } });
+
+    expect(code).toBe(1);
+    expect(model.completions).toHaveLength(1);
+    expect(stdout).toContain('::error::401 Invalid API key');
+    expect(github.comments).toEqual([]);
+  });
+
+  test('keeps the build green with on_api_error: warn when the model fails and the heuristic fallback is off', async () => {
+    const [model, github] = await start({ replies: [{ status: 503, message: 'Service unavailable' }] });
+
+    const { code, stdout, outputs } = await runAction({
+      github,
+      model,
+      inputs: { log_content: LOG, heuristic_fallback: 'false', on_api_error: 'warn', max_retries: '1', stream: 'false' }
+    });
+
+    expect(code).toBe(0);
+    expect(model.completions).toHaveLength(2);
+    expect(stdout).toContain('::warning::The log could not be analyzed, the model API failed: 503 Service unavailable');
+    expect(github.comments).toEqual([]);
+    expect(outputs).toMatchObject({ heuristic: 'false', max_severity: 'unknown', verdict: 'neutral' });
+  });
+
+  test('analyzes the log with the built-in rules when there is no API key', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code, stdout, outputs } = await runAction({ github, model, inputs: { log_content: LOG, api_key: '' } });
+
+    expect(code).toBe(0);
+    expect(model.completions).toEqual([]);
+    expect(stdout).toContain('analyzing the log with the built-in rules instead');
+    expect(github.comments).toHaveLength(1);
+    expect(github.comments[0].body).toContain('the log was analyzed offline with the built-in rules');
+    expect(outputs).toMatchObject({ heuristic: 'true', total_tokens: '0' });
+  });
+
+  test('posts the heuristic analysis and then applies an explicit on_api_error', async () => {
+    const [model, github] = await start({ replies: [{ status: 401, message: 'Invalid API key' }] });
+
+    const { code, stdout, outputs } = await runAction({ github, model, inputs: { log_content: LOG, on_api_error: 'fail' } });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('::warning::The model API failed (401 Invalid API key), analyzing the log with the built-in rules instead');
+    expect(stdout).toContain('::error::The model API failed (on_api_error: fail): 401 Invalid API key');
+    expect(github.comments).toHaveLength(1);
+    expect(outputs.heuristic).toBe('true');
+  });
+
+  test('analyzes with the built-in rules when the log does not fit in the budget', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code, stdout, outputs } = await runAction({ github, model, inputs: { log_content: LOG, max_input_tokens: '10' } });
+
+    expect(code).toBe(0);
+    expect(model.completions).toEqual([]);
+    expect(stdout).toContain("::warning::The model analysis was skipped because the log doesn't fit in the budget (max_input_tokens: 10, max_cost: none), analyzing the log with the built-in rules instead");
+    expect(github.comments).toHaveLength(1);
+    expect(outputs).toMatchObject({ heuristic: 'true', cache_hit: 'false', max_severity: 'error', total_tokens: '0' });
+  });
+
+  test('sets every analysis output when the budget skips the analysis without the heuristic fallback', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code, outputs } = await runAction({ github, model, inputs: { log_content: LOG, max_input_tokens: '10', heuristic_fallback: 'false' } });
+
+    expect(code).toBe(0);
+    expect(model.completions).toEqual([]);
+    expect(github.comments).toEqual([]);
+    expect(outputs).toMatchObject({
+      heuristic: 'false',
+      cache_hit: 'false',
+      interpretation: '',
+      findings_json: '[]',
+      max_severity: 'unknown',
+      error_count: '0',
+      warning_count: '0',
+      verdict: 'neutral',
+      total_tokens: '0'
     });
-    
-    // Reset OpenAI mock implementation for each test
-    mockOpenAICreate.mockClear();
-    mockOpenAICreate.mockResolvedValue({
-      choices: [{ message: { content: 'Test response from Deepseek' } }]
+  });
+
+  test('updates its earlier comment instead of posting another one', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] }, {
+      comments: [{ body: 'Looks good to me' }, { body: '<!-- voltaflow-pr-check -->\nAn older analysis' }]
     });
-    
-    // Reset the MockOpenAI function
-    MockOpenAI.mockClear();
-  });
-  
-  // Restore console after tests
-  afterEach(() => {
-    console.log = originalConsoleLog;
-    console.error = originalConsoleError;
-  });
-
-  // Skipping all tests since we're not able to fully mock the modules in ESM context
-  test.skip('should process logs and comment on PR', async () => {
-    // Import the main module - after mocks are setup
-    const mainModule = await import('../index.js');
-    
-    // Need to wait for any promises in the module to resolve
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Verify OpenAI client was configured correctly
-    expect(MockOpenAI).toHaveBeenCalled();
-    const mockOpenAIArgs = MockOpenAI.mock.calls[0][0];
-    expect(mockOpenAIArgs.baseURL).toBe('https://api.deepseek.com');
-    expect(mockOpenAIArgs.apiKey).toBe('fake-api-key');
-    
-    // Verify OpenAI chat completions were called with the right parameters
-    expect(mockOpenAICreate).toHaveBeenCalledWith(
-      expect.objectContaining({
-        messages: expect.arrayContaining([
-          { role: "system", content: expect.stringContaining("expert in interpreting computer system logs") },
-          { role: "user", content: "sample log content" }
-        ]),
-        model: "deepseek-chat",
-      })
-    );
-    
-    // Verify GitHub comment was created
-    const mockCreateComment = mockGetOctokit().rest.issues.createComment;
-    expect(mockCreateComment).toHaveBeenCalledWith({
-      owner: 'test-owner',
-      repo: 'test-repo',
-      issue_number: 123,
-      body: expect.stringContaining('Test response from Deepseek')
+
+    const { code } = await runAction({ github, model, inputs: { log_content: LOG } });
+
+    expect(code).toBe(0);
+    expect(createdComments(github)).toEqual([]);
+    expect(github.requests.filter(request => request.method === 'PATCH').map(request => request.url)).toEqual(['/repos/o/r/issues/comments/2']);
+    expect(github.comments[1].body).toContain('Cannot find module express');
+  });
+
+  test('rejects an invalid comment_mode before any API call', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code, stdout } = await runAction({ github, model, inputs: { log_content: LOG, comment_mode: 'sticky' } });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('::error::Invalid comment_mode "sticky". Expected one of: create, update, replace, hide-previous');
+    expect([...model.requests, ...github.requests]).toEqual([]);
+  });
+
+  test('leaves a reviewer comment quoting an analysis alone', async () => {
+    const quote = '> <!-- voltaflow-pr-check -->\n> An older analysis\n\nI disagree';
+    const [model, github] = await start({ replies: [{ content: analysis }] }, {
+      comments: [{ body: quote, user: { login: 'octocat', type: 'User' } }]
+    });
+
+    const { code } = await runAction({ github, model, inputs: { log_content: LOG, comment_mode: 'replace' } });
+
+    expect(code).toBe(0);
+    expect(github.requests.filter(request => request.method === 'DELETE' || request.method === 'PATCH')).toEqual([]);
+    expect(github.comments.map(comment => comment.user.login)).toEqual(['octocat', 'github-actions[bot]']);
+    expect(github.comments[0].body).toBe(quote);
+  });
+
+  test('recognizes a failure recorded in the history branch by an earlier run', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }, { content: analysis }] }, {
+      contents: { 'history.json': '{"version":1,"records":[]}\n' }
     });
-    
-    // Verify output was set
-    expect(mockSetOutput).toHaveBeenCalledWith(
-      'interpretation',
-      'Test response from Deepseek'
-    );
-  });
-
-  test.skip('should handle missing log content gracefully', async () => {
-    // Set up input mock to return empty log content
-    mockGetInput.mockImplementation((name) => {
-      if (name === 'github_token') return 'fake-token';
-      if (name === 'deepseek_api_key') return 'fake-api-key';
-      if (name === 'log_content') return '';
-      return '';
+    const inputs = { log_content: LOG, history: 'branch', stream: 'false' };
+
+    const first = await runAction({ github, model, inputs });
+    expect(first.outputs.seen_before).toBe('0');
+    expect(JSON.parse(github.contents['history.json']).records).toEqual([
+      expect.objectContaining({ signatures: [expect.objectContaining({ text: LOG })], pr: 1, run: expect.objectContaining({ id: 42 }) })
+    ]);
+
+    // Make the record look like one of an earlier run of the workflow
+    const history = JSON.parse(github.contents['history.json']);
+    history.records[0].run = { id: 41, attempt: 1, url: 'https://github.com/o/r/actions/runs/41' };
+    github.contents['history.json'] = JSON.stringify(history);
+
+    const second = await runAction({ github, model, inputs });
+    expect(second.code).toBe(0);
+    expect(second.outputs).toMatchObject({ seen_before: '1', flaky: 'false' });
+    expect(github.comments[0].body).toContain('### 🔁 Seen before');
+    expect(JSON.parse(github.contents['history.json']).records).toHaveLength(2);
+  });
+
+  test('publishes a commit status and a check run with annotations', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code } = await runAction({ github, model, inputs: { log_content: LOG, commit_status: 'true', check_run: 'true' } });
+
+    expect(code).toBe(0);
+    expect(github.statuses).toEqual([expect.objectContaining({ sha: 'abc123', state: 'success', context: 'Voltaflow' })]);
+    const [checkRun] = github.checkRuns;
+    expect(checkRun).toMatchObject({ head_sha: 'abc123', name: 'Voltaflow Log Analysis', status: 'completed', conclusion: 'success' });
+    expect(checkRun.output.annotations).toEqual([expect.objectContaining({ path: 'src/server.js', start_line: 1, annotation_level: 'failure' })]);
+  });
+
+  test('analyzes the failed steps of the workflow run', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] }, {
+      jobs: [
+        { id: 7, name: 'lint', conclusion: 'success', html_url: 'https://github.com/o/r/actions/runs/42/job/7', steps: [], log: 'ok' },
+        {
+          id: 8,
+          name: 'test',
+          conclusion: 'failure',
+          html_url: 'https://github.com/o/r/actions/runs/42/job/8',
+          steps: [{ name: 'Run tests', number: 3, conclusion: 'failure', started_at: '2026-01-05T10:00:01Z', completed_at: '2026-01-05T10:00:02Z' }],
+          log: `2026-01-05T10:00:00.500Z npm ci\n2026-01-05T10:00:01.300Z ${LOG}\n`
+        },
+        { id: 9, name: 'e2e', conclusion: 'failure', html_url: 'https://github.com/o/r/actions/runs/42/job/9', steps: [] }
+      ]
     });
-    
-    // Import the main module after updating mocks
-    const mainModule = await import('../index.js');
-    
-    // Wait for any promises
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Should warn about missing log content
-    expect(mockWarning).toHaveBeenCalledWith(
-      expect.stringContaining('No log content was provided')
-    );
-  });
-
-  test.skip('should handle API errors', async () => {
-    // Setup OpenAI to throw an error
-    mockOpenAICreate.mockRejectedValue(new Error('API error test'));
-    
-    // Import the main module
-    const mainModule = await import('../index.js');
-    
-    // Wait for any promises
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Should mark the action as failed
-    expect(mockSetFailed).toHaveBeenCalledWith('API error test');
-  });
-
-  test.skip('should handle missing PR context', async () => {
-    // Setup context without PR number
-    Object.assign(githubContextMock, {
-      repo: { owner: 'test-owner', repo: 'test-repo' },
-      issue: { number: undefined }
+
+    const { code, stdout } = await runAction({ github, model, inputs: { workflow_logs: 'true', stream: 'false' } });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('::warning::Could not download the log of job e2e, skipping it: Gone');
+    const prompt = model.completions[0].body.messages.at(-1).content;
+    expect(prompt).toContain(LOG);
+    expect(prompt).not.toContain('npm ci');
+    expect(github.comments[0].body).toContain('- [test / Run tests](https://github.com/o/r/actions/runs/42/job/8#step:3:1)');
+  });
+
+  test('posts a review with suggestions on the changed lines', async () => {
+    const [model, github] = await start({
+      replies: [{
+        content: {
+          ...analysis,
+          findings: [{ ...analysis.findings[0], line: 2, suggestion: { start_line: 2, end_line: 2, code: 'const app = require("fastify")();' } }]
+        }
+      }]
+    }, {
+      pullRequest: { number: 1, title: 'Add the server', files: [{ filename: 'src/server.js', status: 'added', patch: '@@ -0,0 +1,2 @@\n+const express = require("express");\n+const app = express();' }] }
     });
-    
-    // Import the main module
-    const mainModule = await import('../index.js');
-    
-    // Wait for any promises
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Since PR number is undefined, getOctokit should never be called
-    expect(mockGetOctokit).not.toHaveBeenCalled();
-    
-    // Should log to console instead
-    expect(console.log).toHaveBeenCalledWith(
-      expect.stringContaining('No associated PR was found')
-    );
+
+    const { code, outputs } = await runAction({ github, model, inputs: { log_content: LOG, review_comments: 'true' } });
+
+    expect(code).toBe(0);
+    const [review] = github.reviews;
+    expect(review).toMatchObject({ commit_id: 'abc123', event: 'COMMENT' });
+    expect(review.comments).toEqual([expect.objectContaining({ path: 'src/server.js', line: 2, side: 'RIGHT' })]);
+    expect(review.comments[0].body).toContain('```suggestion\nconst app = require("fastify")();\n```');
+    expect(outputs.review_comment_count).toBe('1');
   });
-});
 
-// Add a placeholder test to avoid empty test suite errors
-test('Placeholder test to avoid empty test suite error', () => {
-  expect(true).toBe(true);
+  test('warns and still comments when there is no log content', async () => {
+    const [model, github] = await start({ replies: [{ content: { summary: 'There is nothing to analyze.', findings: [] } }] });
+
+    const { code, stdout } = await runAction({ github, model, inputs: { log_content: '' } });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('::warning::No log content was provided to interpret. A generic message will be sent.');
+    expect(github.comments).toHaveLength(1);
+  });
+
+  test('prints the analysis when the run has no pull request', async () => {
+    const [model, github] = await start({ replies: [{ content: analysis }] });
+
+    const { code, stdout, summary } = await runAction({
+      github,
+      model,
+      inputs: { log_content: LOG },
+      eventName: 'push',
+      event: { ref: 'refs/heads/main', repository: { default_branch: 'main' } }
+    });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('No associated PR was found. Displaying results in the console:');
+    expect(github.requests.some(request => request.url.includes('/comments'))).toBe(false);
+    expect(summary).toContain('Cannot find module express');
+  });
 });
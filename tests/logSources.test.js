@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseLogPaths,
+  resolveLogFiles,
+  readLogSources,
+  sanitizeLogContent,
+  combineLogSources
+} from '../src/logSources.js';
+
+describe('logSources', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-logs-'));
+    fs.mkdirSync(path.join(workspace, 'logs', 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'logs', 'build.log'), 'build ok\n');
+    fs.writeFileSync(path.join(workspace, 'logs', 'nested', 'test.log'), 'ERROR test failed\n');
+    fs.writeFileSync(path.join(workspace, 'logs', 'debug.txt'), 'debug output\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('parseLogPaths splits on newlines and commas and drops comments', () => {
+    expect(parseLogPaths('logs/*.log, build.log\n\n# ignored\n  other/  ')).toEqual([
+      'logs/*.log',
+      'build.log',
+      'other/'
+    ]);
+    expect(parseLogPaths('')).toEqual([]);
+  });
+
+  test('resolveLogFiles expands directories and globs relative to the workspace', async () => {
+    const files = await resolveLogFiles(['logs/**/*.log'], workspace);
+    expect(files.map(file => path.relative(workspace, file))).toEqual([
+      path.join('logs', 'build.log'),
+      path.join('logs', 'nested', 'test.log')
+    ]);
+
+    const all = await resolveLogFiles(['logs', '!logs/debug.txt'], workspace);
+    expect(all).toHaveLength(2);
+  });
+
+  test('readLogSources labels files with their workspace-relative path', async () => {
+    const files = await resolveLogFiles(['logs/build.log'], workspace);
+    const sources = await readLogSources(files, workspace);
+
+    expect(sources).toEqual([
+      { label: path.join('logs', 'build.log'), path: files[0], content: 'build ok\n' }
+    ]);
+  });
+
+  test('sanitizeLogContent removes NUL bytes but keeps tabs and newlines', () => {
+    expect(sanitizeLogContent('a\u0000b\tc\r\nd')).toBe('ab\tc\r\nd');
+  });
+
+  test('combineLogSources adds a header per source unless the log is inline only', () => {
+    expect(combineLogSources([{ label: 'inline', content: 'raw log', inline: true }])).toBe('raw log');
+    expect(combineLogSources([{ label: 'build / Run tests', content: 'step log' }])).toBe('==> build / Run tests <==\nstep log');
+    expect(combineLogSources([
+      { label: 'log_content input', content: 'first\n', inline: true },
+      { label: 'logs/test.log', path: '/tmp/logs/test.log', content: 'second' }
+    ])).toBe('==> log_content input <==\nfirst\n\n==> logs/test.log <==\nsecond');
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import {
+  shouldNotify,
+  toSlackMarkdown,
+  buildSlackPayload,
+  buildTeamsPayload,
+  buildWebhookPayload,
+  sendNotification,
+  notifyAll
+} from '../src/notifiers.js';
+
+const findings = [
+  {
+    title: 'Database connection refused',
+    severity: 'error',
+    category: 'infrastructure',
+    file: 'src/db.js',
+    line: 8,
+    root_cause: 'PostgreSQL is not running.',
+    suggested_fix: 'Start the **database** service.'
+  },
+  ...Array.from({ length: 5 }, (_, i) => ({ title: `Warning ${i}`, severity: 'warning', file: null, line: null, suggested_fix: '' }))
+];
+
+const notification = {
+  repository: 'o/r',
+  branch: 'main',
+  defaultBranch: 'main',
+  sha: 'abc',
+  prNumber: null,
+  prUrl: null,
+  runUrl: 'https://github.com/o/r/actions/runs/1',
+  maxSeverity: 'error',
+  verdict: 'pass',
+  summary: 'The **tests** failed, see [the docs](https://example.com).',
+  findings,
+  markdown: '## Analysis',
+  language: 'en'
+};
+
+describe('notifiers', () => {
+  test('shouldNotify applies the severity and branch filters', () => {
+    expect(shouldNotify(notification)).toBe(true);
+    expect(shouldNotify({ ...notification, maxSeverity: 'warning' }, { on: 'error' })).toBe(false);
+    expect(shouldNotify({ ...notification, maxSeverity: 'warning' }, { on: 'info' })).toBe(true);
+    expect(shouldNotify({ ...notification, maxSeverity: 'unknown' }, { on: 'info' })).toBe(false);
+    expect(shouldNotify({ ...notification, maxSeverity: 'none' }, { on: 'always' })).toBe(true);
+    expect(shouldNotify(notification, { branches: 'default' })).toBe(true);
+    expect(shouldNotify({ ...notification, branch: 'feature' }, { branches: 'default' })).toBe(false);
+    expect(shouldNotify({ ...notification, prNumber: 3 }, { branches: 'default' })).toBe(false);
+  });
+
+  test('toSlackMarkdown converts bold, links and headings', () => {
+    expect(toSlackMarkdown('## Title\n**bold** and [link](https://x.y)')).toBe('*Title*\n*bold* and <https://x.y|link>');
+  });
+
+  test('buildSlackPayload renders blocks with the first findings and links', () => {
+    const payload = buildSlackPayload({ ...notification, prNumber: 3, prUrl: 'https://github.com/o/r/pull/3' });
+
+    expect(payload.text).toBe('🔴 Voltaflow log analysis: o/r · #3');
+    expect(payload.blocks[1].text.text).toBe('The *tests* failed, see <https://example.com|the docs>.');
+    expect(payload.blocks[2].text.text).toBe('🔴 *Database connection refused* · `src/db.js:8`\nSuggested fix: Start the *database* service.');
+    expect(payload.blocks.filter(block => block.type === 'section')).toHaveLength(6);
+    expect(payload.blocks.find(block => block.type === 'context').elements[0].text).toBe('…and 1 more findings.');
+    expect(payload.blocks.at(-1).elements.map(button => button.url)).toEqual([
+      'https://github.com/o/r/actions/runs/1',
+      'https://github.com/o/r/pull/3'
+    ]);
+  });
+
+  test('buildSlackPayload leaves out an empty summary', () => {
+    const payload = buildSlackPayload({ ...notification, summary: '  ', findings: [] });
+
+    expect(payload.blocks.map(block => block.type)).toEqual(['header', 'actions']);
+  });
+
+  test('buildTeamsPayload renders an adaptive card', () => {
+    const payload = buildTeamsPayload({ ...notification, language: 'es' });
+    const card = payload.attachments[0].content;
+
+    expect(payload.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.type).toBe('AdaptiveCard');
+    expect(card.body[0]).toMatchObject({ style: 'attention', items: [{ text: '🔴 Análisis de logs de Voltaflow: o/r · main' }] });
+    expect(card.body[2].items.map(item => item.text)).toEqual([
+      '🔴 **Database connection refused**',
+      'src/db.js:8',
+      'Solución sugerida: Start the **database** service.'
+    ]);
+    expect(card.actions).toEqual([{ type: 'Action.OpenUrl', title: 'Ver ejecución', url: 'https://github.com/o/r/actions/runs/1' }]);
+  });
+
+  test('buildTeamsPayload leaves out an empty summary', () => {
+    const card = buildTeamsPayload({ ...notification, summary: '', findings: [] }).attachments[0].content;
+
+    expect(card.body).toHaveLength(1);
+    expect(card.body[0].type).toBe('Container');
+  });
+
+  test('buildWebhookPayload includes the run and the analysis', () => {
+    expect(buildWebhookPayload({ ...notification, prNumber: 3, prUrl: 'https://github.com/o/r/pull/3' })).toEqual({
+      event: 'voltaflow.analysis',
+      repository: 'o/r',
+      branch: 'main',
+      sha: 'abc',
+      pull_request: { number: 3, url: 'https://github.com/o/r/pull/3' },
+      run_url: 'https://github.com/o/r/actions/runs/1',
+      max_severity: 'error',
+      verdict: 'pass',
+      summary: notification.summary,
+      findings,
+      markdown: '## Analysis'
+    });
+  });
+
+  test('sendNotification posts the payload and reports failed requests', async () => {
+    const fetch = jest.fn(async () => new Response('ok'));
+    await sendNotification({ type: 'webhook', url: 'https://hooks.example.com/x' }, notification, { fetch });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/x');
+    expect(request.method).toBe('POST');
+    expect(JSON.parse(request.body).event).toBe('voltaflow.analysis');
+
+    const failing = async () => new Response('invalid_payload', { status: 400 });
+    await expect(sendNotification({ type: 'slack', url: 'https://hooks.slack.com/x' }, notification, { fetch: failing }))
+      .rejects.toMatchObject({ status: 400, message: 'slack webhook request failed with status 400: invalid_payload' });
+  });
+
+  test('notifyAll keeps sending after a target fails', async () => {
+    const fetch = jest.fn(async url => new Response('', { status: url.includes('slack') ? 500 : 200 }));
+    const results = await notifyAll([
+      { type: 'slack', url: 'https://hooks.slack.com/x' },
+      { type: 'teams', url: 'https://example.webhook.office.com/x' }
+    ], notification, { fetch });
+
+    expect(results.map(result => [result.type, Boolean(result.error)])).toEqual([['slack', true], ['teams', false]]);
+  });
+});
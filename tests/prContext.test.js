@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import { fetchPullRequestChanges, isMentionedInLog, buildDiffContext } from '../src/prContext.js';
+import { estimateTokens } from '../src/preprocess.js';
+
+const changes = {
+  title: 'Switch database driver',
+  files: [
+    { filename: 'README.md', status: 'modified', additions: 2, deletions: 0, patch: '@@ -1 +1,2 @@\n+docs' },
+    { filename: 'src/db/connection.js', status: 'modified', additions: 10, deletions: 4, patch: '@@ -10,4 +10,10 @@\n-old\n+new' },
+    { filename: 'assets/logo.png', status: 'added', additions: 0, deletions: 0, patch: '' }
+  ]
+};
+
+describe('prContext', () => {
+  test('fetchPullRequestChanges returns the title and files with patches', async () => {
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([
+        { filename: 'src/a.js', status: 'modified', additions: 1, deletions: 1, patch: '@@', sha: 'x' },
+        { filename: 'bin.dat', status: 'added', additions: 0, deletions: 0 }
+      ]),
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { title: 'Fix bug' } }),
+          listFiles: jest.fn()
+        }
+      }
+    };
+
+    const result = await fetchPullRequestChanges(octokit, { owner: 'o', repo: 'r', pullNumber: 5 });
+
+    expect(octokit.rest.pulls.get).toHaveBeenCalledWith({ owner: 'o', repo: 'r', pull_number: 5 });
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listFiles, { owner: 'o', repo: 'r', pull_number: 5, per_page: 100 });
+    expect(result).toEqual({
+      title: 'Fix bug',
+      files: [
+        { filename: 'src/a.js', status: 'modified', additions: 1, deletions: 1, patch: '@@' },
+        { filename: 'bin.dat', status: 'added', additions: 0, deletions: 0, patch: '' }
+      ]
+    });
+  });
+
+  test('isMentionedInLog matches paths and distinctive file names', () => {
+    const log = 'Error: connect ECONNREFUSED\n    at connect (/home/runner/work/app/app/src/db/connection.js:12:3)';
+
+    expect(isMentionedInLog(log, 'src/db/connection.js')).toBe(true);
+    expect(isMentionedInLog('failed in connection.js:12', 'lib/connection.js')).toBe(true);
+    expect(isMentionedInLog(log, 'README.md')).toBe(false);
+    expect(isMentionedInLog('index loaded', 'src/index')).toBe(false);
+  });
+
+  test('buildDiffContext puts files mentioned in the log first', () => {
+    const context = buildDiffContext(changes, 'at src/db/connection.js:12', 3000);
+
+    expect(context).toMatch(/^## Pull request changes: Switch database driver/);
+    expect(context).toContain('- src/db/connection.js (modified, +10/-4) — mentioned in the log');
+    expect(context).toContain('- assets/logo.png (added, +0/-0)');
+    expect(context.indexOf('### src/db/connection.js')).toBeLessThan(context.indexOf('### README.md'));
+    expect(context).not.toContain('### assets/logo.png');
+  });
+
+  test('buildDiffContext truncates patches to the budget', () => {
+    const big = {
+      title: 'Big change',
+      files: [
+        { filename: 'a.js', status: 'modified', additions: 500, deletions: 0, patch: 'x'.repeat(4000) },
+        { filename: 'b.js', status: 'modified', additions: 500, deletions: 0, patch: 'y'.repeat(4000) },
+        { filename: 'c.js', status: 'modified', additions: 1, deletions: 0, patch: 'z' }
+      ]
+    };
+    const context = buildDiffContext(big, '', 400);
+
+    expect(context).toContain('... (diff truncated)');
+    expect(context).toContain('Diffs omitted for size: c.js');
+    expect(buildDiffContext({ title: 'Empty', files: [] }, '')).toBe('');
+  });
+
+  test('buildDiffContext caps the list of changed files', () => {
+    const many = {
+      title: 'Rename everything',
+      files: Array.from({ length: 5000 }, (_, i) => ({ filename: `src/module${i}.js`, status: 'renamed', additions: 0, deletions: 0, patch: '' }))
+    };
+    const context = buildDiffContext(many, 'at src/module4321.js:3', 20000);
+
+    expect(context).toContain('Changed files (5000):');
+    expect(context).toContain('- src/module4321.js (renamed, +0/-0) — mentioned in the log');
+    expect(context).toContain('- ... and 4900 more');
+    expect(buildDiffContext(many, '', 400)).toContain('- ... and 49');
+    expect(estimateTokens(buildDiffContext(many, '', 400))).toBeLessThan(400);
+  });
+});
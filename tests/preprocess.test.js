@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  estimateTokens,
+  stripAnsi,
+  stripTimestamp,
+  collapseRepeatedLines,
+  isErrorLine,
+  extractRelevantWindows,
+  chunkLog,
+  selectChunks,
+  preprocessLog
+} from '../src/preprocess.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const errorLog = fs.readFileSync(path.join(__dirname, 'fixtures', 'error_log.txt'), 'utf8');
+
+describe('preprocess', () => {
+  test('stripAnsi removes color codes', () => {
+    expect(stripAnsi('\u001B[31mERROR\u001B[0m failed\u001B]0;title\u0007')).toBe('ERROR failed');
+  });
+
+  test('stripTimestamp removes common leading timestamps', () => {
+    expect(stripTimestamp('2025-03-15T10:23:45.123Z ERROR [Server] boom')).toBe('ERROR [Server] boom');
+    expect(stripTimestamp('2025-03-15T10:23:45.1234567Z ##[error]Process completed')).toBe('##[error]Process completed');
+    expect(stripTimestamp('[10:23:45] Starting build')).toBe('Starting build');
+    expect(stripTimestamp('no timestamp here')).toBe('no timestamp here');
+  });
+
+  test('collapseRepeatedLines annotates consecutive duplicates', () => {
+    expect(collapseRepeatedLines(['a', 'retry', 'retry', 'retry', 'b', 'a'])).toEqual([
+      'a',
+      'retry [repeated 3 times]',
+      'b',
+      'a'
+    ]);
+  });
+
+  test('isErrorLine ignores lines saying nothing failed', () => {
+    for (const line of ['Found 0 errors', 'Errors: 0, Warnings: 0', 'Build completed with no exceptions', 'Tests: 12 passed, 0 failed', 'Compiled without errors']) {
+      expect(isErrorLine(line)).toBe(false);
+    }
+    for (const line of ['Found 10 errors', 'Errors: 2', 'TypeError: x is undefined', 'Tests: 1 failed, 0 errors', 'npm ERR! code 1', 'No tests found, exiting with code 1 (failed)']) {
+      expect(isErrorLine(line)).toBe(true);
+    }
+  });
+
+  test('extractRelevantWindows keeps context around errors and stack traces', () => {
+    const lines = [
+      '==> build.log <==',
+      'noise 1',
+      'noise 2',
+      'noise 3',
+      'TypeError: x is undefined',
+      '    at run (index.js:10:5)',
+      'noise 4',
+      'noise 5',
+      'noise 6'
+    ];
+
+    expect(extractRelevantWindows(lines, 1)).toEqual([
+      '==> build.log <==',
+      '... [2 lines omitted] ...',
+      'noise 3',
+      'TypeError: x is undefined',
+      '    at run (index.js:10:5)',
+      'noise 4',
+      '... [2 lines omitted] ...'
+    ]);
+  });
+
+  test('chunkLog respects the token budget and splits oversized lines', () => {
+    const text = ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(90)].join('\n');
+    const chunks = chunkLog(text, 10);
+
+    expect(chunks.every(chunk => estimateTokens(chunk) <= 10)).toBe(true);
+    expect(chunks.join('').replace(/\n/g, '')).toBe(text.replace(/\n/g, ''));
+  });
+
+  test('selectChunks keeps the chunks with the most errors in their original order', () => {
+    const chunks = ['all good', 'ERROR one\nERROR two', 'fine', 'FATAL crash'];
+    expect(selectChunks(chunks, 2)).toEqual(['ERROR one\nERROR two', 'FATAL crash']);
+  });
+
+  test('preprocessLog sends a small log as a single cleaned chunk', () => {
+    const result = preprocessLog(errorLog);
+
+    expect(result.chunks).toHaveLength(1);
+    expect(result.filtered).toBe(false);
+    expect(result.chunks[0]).toMatch(/^ERROR \[Server\] Failed to connect/);
+    expect(result.chunks[0]).not.toMatch(/2025-03-15T/);
+  });
+
+  test('preprocessLog filters and chunks a large log', () => {
+    const filler = Array.from({ length: 2000 }, (_, i) => `INFO step ${i} completed`);
+    filler.splice(1500, 0, 'ERROR database connection refused');
+    const result = preprocessLog(filler.join('\n'), { maxChunkTokens: 100, contextLines: 2 });
+
+    expect(result.filtered).toBe(true);
+    expect(result.chunks.join('\n')).toContain('ERROR database connection refused');
+    expect(result.processedTokens).toBeLessThan(result.originalTokens);
+    expect(result.droppedChunks).toBe(0);
+  });
+
+  test('preprocessLog returns no chunks for an empty log', () => {
+    expect(preprocessLog('').chunks).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+import { PROFILES, findUnknownVariables, renderTemplate, buildSystemPrompt } from '../src/prompts.js';
+
+describe('prompts', () => {
+  test('built-in profiles only use known variables', () => {
+    for (const profile of Object.values(PROFILES)) {
+      expect(findUnknownVariables(profile.prompt)).toEqual([]);
+    }
+  });
+
+  test('renderTemplate replaces variables and marks missing values', () => {
+    const rendered = renderTemplate('{{ repo }} on {{branch}}: {{pr_title}} {{other}}', { repo: 'acme/api', branch: 'main' });
+
+    expect(rendered).toBe('acme/api on main: unknown {{other}}');
+    expect(findUnknownVariables('{{repo}} {{other}} {{ other }}')).toEqual(['other']);
+  });
+
+  test('buildSystemPrompt always appends the pipeline instructions', () => {
+    const prompt = buildSystemPrompt('Analyze this Terraform plan.', { instructions: 'Staging only.' });
+
+    expect(prompt).toMatch(/^\nAnalyze this Terraform plan\.\n\nStaging only\.\n\nThe log may be made of several sources/);
+    expect(prompt).toContain('Respond only with a JSON object');
+    expect(prompt).not.toContain('related_change". Don');
+    expect(buildSystemPrompt('Analyze.', { prContext: true })).toContain('changes of the pull request being tested');
+  });
+
+  test('buildSystemPrompt asks for the analysis in the configured language', () => {
+    expect(buildSystemPrompt('Analyze.', { language: 'es' })).toContain('root causes and suggested fixes in Spanish');
+    expect(buildSystemPrompt('Analyze.')).not.toContain('in English');
+  });
+});
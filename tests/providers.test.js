@@ -0,0 +1,284 @@
+import { jest } from '@jest/globals';
+import { createProvider, parseFallbackModels, PROVIDERS } from '../src/providers.js';
+
+/**
+ * Creates a fetch mock answering every request with the given JSON body
+ */
+function mockFetch(body, status = 200) {
+  return jest.fn().mockImplementation(async () => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' }
+  }));
+}
+
+const chatCompletion = {
+  id: 'chatcmpl-1',
+  object: 'chat.completion',
+  choices: [{ index: 0, message: { role: 'assistant', content: 'Test response' }, finish_reason: 'stop' }]
+};
+
+const messages = [
+  { role: 'system', content: 'You interpret logs' },
+  { role: 'user', content: 'ERROR boom' }
+];
+
+describe('createProvider', () => {
+  test('defaults to Deepseek', async () => {
+    const fetch = mockFetch(chatCompletion);
+    const provider = createProvider({ apiKey: 'key', fetch });
+
+    expect(provider.name).toBe('deepseek');
+    expect(provider.model).toBe('deepseek-chat');
+    await expect(provider.complete(messages)).resolves.toBe('Test response');
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(String(url)).toBe('https://api.deepseek.com/chat/completions');
+    expect(JSON.parse(init.body)).toEqual(expect.objectContaining({
+      model: 'deepseek-chat',
+      temperature: 0.5,
+      max_tokens: 2000,
+      messages
+    }));
+  });
+
+  test('uses a custom base URL and model for OpenAI-compatible endpoints', async () => {
+    const fetch = mockFetch(chatCompletion);
+    const provider = createProvider({
+      provider: 'openai',
+      apiKey: 'key',
+      baseURL: 'https://llm.example.com/v1',
+      model: 'custom-model',
+      temperature: 0,
+      maxTokens: 200,
+      fetch
+    });
+
+    await provider.complete(messages, { json: true });
+    const [url, init] = fetch.mock.calls[0];
+    expect(String(url)).toBe('https://llm.example.com/v1/chat/completions');
+    expect(JSON.parse(init.body)).toEqual(expect.objectContaining({
+      model: 'custom-model',
+      temperature: 0,
+      max_tokens: 200,
+      response_format: { type: 'json_object' }
+    }));
+  });
+
+  test('does not require an API key for local servers', async () => {
+    const fetch = mockFetch(chatCompletion);
+    const provider = createProvider({ provider: 'ollama', fetch });
+
+    await provider.complete(messages);
+    expect(String(fetch.mock.calls[0][0])).toBe(`${PROVIDERS.ollama.baseURL}/chat/completions`);
+  });
+
+  test('targets the Azure deployment', async () => {
+    const fetch = mockFetch(chatCompletion);
+    const provider = createProvider({
+      provider: 'azure',
+      apiKey: 'key',
+      baseURL: 'https://my-resource.openai.azure.com',
+      model: 'my-deployment',
+      fetch
+    });
+
+    await expect(provider.complete(messages)).resolves.toBe('Test response');
+    const url = String(fetch.mock.calls[0][0]);
+    expect(url).toContain('https://my-resource.openai.azure.com/openai/deployments/my-deployment/chat/completions');
+    expect(url).toContain('api-version=2024-10-21');
+  });
+
+  test('calls the Anthropic Messages API with a top-level system prompt', async () => {
+    const fetch = mockFetch({ content: [{ type: 'text', text: 'Claude says hi' }] });
+    const provider = createProvider({ provider: 'anthropic', apiKey: 'key', fetch });
+
+    await expect(provider.complete(messages)).resolves.toBe('Claude says hi');
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers['x-api-key']).toBe('key');
+    expect(JSON.parse(init.body)).toEqual(expect.objectContaining({
+      system: 'You interpret logs',
+      messages: [{ role: 'user', content: 'ERROR boom' }]
+    }));
+  });
+
+  test('reports Anthropic API errors', async () => {
+    const fetch = mockFetch({ error: { message: 'invalid x-api-key' } }, 401);
+    const provider = createProvider({ provider: 'anthropic', apiKey: 'bad', fetch });
+
+    await expect(provider.complete(messages)).rejects.toThrow('status 401: invalid x-api-key');
+  });
+
+  test('exposes the status and headers of failed requests without retrying them', async () => {
+    const fetch = jest.fn().mockImplementation(async () => new Response(JSON.stringify({ error: { message: 'slow down' } }), {
+      status: 429,
+      headers: { 'content-type': 'application/json', 'retry-after': '7' }
+    }));
+
+    const openai = createProvider({ provider: 'openai', apiKey: 'key', fetch });
+    const openaiError = await openai.complete(messages).catch(error => error);
+    expect(openaiError.status).toBe(429);
+    expect(openaiError.headers['retry-after']).toBe('7');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const anthropic = createProvider({ provider: 'anthropic', apiKey: 'key', fetch });
+    const anthropicError = await anthropic.complete(messages).catch(error => error);
+    expect(anthropicError.status).toBe(429);
+    expect(anthropicError.headers.get('retry-after')).toBe('7');
+  });
+
+  test('reports the token usage of each reply', async () => {
+    const onUsage = jest.fn();
+    const openai = createProvider({
+      provider: 'openai',
+      apiKey: 'key',
+      fetch: mockFetch({ ...chatCompletion, usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 } }),
+      onUsage
+    });
+    await openai.complete(messages);
+    expect(onUsage).toHaveBeenLastCalledWith(
+      { promptTokens: 120, completionTokens: 30, estimated: false },
+      { name: 'openai', label: 'OpenAI', model: 'gpt-4o-mini' }
+    );
+
+    const anthropic = createProvider({
+      provider: 'anthropic',
+      apiKey: 'key',
+      fetch: mockFetch({ content: [{ type: 'text', text: 'hi' }], usage: { input_tokens: 50, output_tokens: 2 } }),
+      onUsage
+    });
+    await anthropic.complete(messages);
+    expect(onUsage).toHaveBeenLastCalledWith({ promptTokens: 50, completionTokens: 2, estimated: false }, expect.objectContaining({ name: 'anthropic' }));
+  });
+
+  test('estimates the usage when the server does not report it', async () => {
+    const onUsage = jest.fn();
+    const provider = createProvider({ provider: 'ollama', fetch: mockFetch(chatCompletion), onUsage });
+
+    await provider.complete(messages);
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 8, completionTokens: 4, estimated: true }, expect.objectContaining({ name: 'ollama' }));
+  });
+
+  test('validates the configuration', () => {
+    expect(() => createProvider({ provider: 'unknown', apiKey: 'key' })).toThrow('Unknown provider "unknown"');
+    expect(() => createProvider({ provider: 'openai' })).toThrow('An API key is required to connect to OpenAI');
+    expect(() => createProvider({ provider: 'azure', apiKey: 'key' })).toThrow('base_url is required for the azure provider');
+  });
+});
+
+/**
+ * Creates a fetch mock answering with a server-sent events stream of the given events
+ */
+function mockStream(events) {
+  const body = events.map(event => `${event}\n\n`).join('');
+  return jest.fn().mockImplementation(async () => new Response(body, {
+    status: 200,
+    headers: { 'content-type': 'text/event-stream' }
+  }));
+}
+
+/**
+ * Stream observer recording the pieces of each reply
+ */
+function createObserver() {
+  const replies = [];
+  return {
+    replies,
+    onStart: () => replies.push(''),
+    onToken: (token) => {
+      replies[replies.length - 1] += token;
+    }
+  };
+}
+
+const openAIChunk = (content, finishReason = null) => `data: ${JSON.stringify({
+  id: 'chatcmpl-1',
+  object: 'chat.completion.chunk',
+  choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }]
+})}`;
+
+describe('streaming', () => {
+  test('streams chat completions token by token', async () => {
+    const fetch = mockStream([openAIChunk('{"summary":'), openAIChunk(' "boom"}'), openAIChunk('', 'stop'), 'data: [DONE]']);
+    const provider = createProvider({ provider: 'openai', apiKey: 'key', fetch });
+    const stream = createObserver();
+
+    await expect(provider.complete(messages, { json: true, stream })).resolves.toBe('{"summary": "boom"}');
+    expect(stream.replies).toEqual(['{"summary": "boom"}']);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(expect.objectContaining({
+      stream: true,
+      stream_options: { include_usage: true }
+    }));
+  });
+
+  test('reads the usage sent at the end of a stream', async () => {
+    const onUsage = jest.fn();
+    const fetch = mockStream([
+      openAIChunk('done', 'stop'),
+      `data: ${JSON.stringify({ id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [], usage: { prompt_tokens: 80, completion_tokens: 1 } })}`,
+      'data: [DONE]'
+    ]);
+    const provider = createProvider({ provider: 'deepseek', apiKey: 'key', fetch, onUsage });
+
+    await provider.complete(messages, { stream: createObserver() });
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 80, completionTokens: 1, estimated: false }, expect.objectContaining({ name: 'deepseek' }));
+  });
+
+  test('reports a chat completions stream that ends before the reply is finished as interrupted', async () => {
+    const fetch = mockStream([openAIChunk('{"summary":')]);
+    const provider = createProvider({ provider: 'openai', apiKey: 'key', fetch });
+
+    const error = await provider.complete(messages, { stream: createObserver() }).catch(caught => caught);
+    expect(error.name).toBe('StreamInterruptedError');
+    expect(error.message).toBe('The OpenAI response stream was interrupted before the reply was complete');
+  });
+
+  test('streams Anthropic messages', async () => {
+    const fetch = mockStream([
+      'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":25,"output_tokens":1}}}',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Claude "}}',
+      'event: ping\ndata: {"type":"ping"}',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"streams"}}',
+      'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":3}}',
+      'event: message_stop\ndata: {"type":"message_stop"}'
+    ]);
+    const onUsage = jest.fn();
+    const provider = createProvider({ provider: 'anthropic', apiKey: 'key', fetch, onUsage });
+    const stream = createObserver();
+
+    await expect(provider.complete(messages, { stream })).resolves.toBe('Claude streams');
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 25, completionTokens: 3, estimated: false }, expect.objectContaining({ name: 'anthropic' }));
+    expect(stream.replies).toEqual(['Claude streams']);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  test('reports interrupted and failed Anthropic streams', async () => {
+    const interrupted = createProvider({
+      provider: 'anthropic',
+      apiKey: 'key',
+      fetch: mockStream(['event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Clau"}}'])
+    });
+    await expect(interrupted.complete(messages, { stream: createObserver() })).rejects.toMatchObject({ name: 'StreamInterruptedError' });
+
+    const overloaded = createProvider({
+      provider: 'anthropic',
+      apiKey: 'key',
+      fetch: mockStream(['event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'])
+    });
+    await expect(overloaded.complete(messages, { stream: createObserver() })).rejects.toMatchObject({
+      status: 529,
+      message: 'Anthropic API stream failed: Overloaded'
+    });
+  });
+});
+
+describe('parseFallbackModels', () => {
+  test('reads models of the primary provider and provider:model entries', () => {
+    expect(parseFallbackModels('deepseek-reasoner\nopenai:gpt-4o-mini, llama3.1:8b', 'ollama')).toEqual([
+      { provider: 'ollama', model: 'deepseek-reasoner' },
+      { provider: 'openai', model: 'gpt-4o-mini' },
+      { provider: 'ollama', model: 'llama3.1:8b' }
+    ]);
+    expect(parseFallbackModels('')).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildJsonReport, writeJobSummary, writeReportFile } from '../src/report.js';
+
+/**
+ * Creates a stand-in for core.summary recording the calls made to it
+ */
+function createSummary() {
+  const summary = {
+    addRaw: jest.fn(() => summary),
+    addHeading: jest.fn(() => summary),
+    addTable: jest.fn(() => summary),
+    write: jest.fn().mockResolvedValue(undefined)
+  };
+  return summary;
+}
+
+describe('report', () => {
+  const originalSummaryPath = process.env.GITHUB_STEP_SUMMARY;
+
+  afterEach(() => {
+    if (originalSummaryPath === undefined) {
+      delete process.env.GITHUB_STEP_SUMMARY;
+    } else {
+      process.env.GITHUB_STEP_SUMMARY = originalSummaryPath;
+    }
+  });
+
+  test('buildJsonReport collects the analysis and run details', () => {
+    const report = buildJsonReport({
+      analysis: { summary: 'Broken', findings: [{ title: 'x', severity: 'error' }], structured: true },
+      verdict: { verdict: 'fail' },
+      maxSeverity: 'error',
+      provider: { name: 'deepseek', model: 'deepseek-chat', complete: () => {} },
+      failedSteps: [{ label: 'test / Run tests', url: 'https://github.com/o/r/job/1', content: 'log' }],
+      testReports: [{
+        label: 'junit.xml',
+        format: 'junit',
+        total: 2,
+        passed: 1,
+        failed: 1,
+        skipped: 0,
+        failures: [{ name: 'adds', suite: 'math', file: 'math.test.js', line: 3, message: 'expected 3', stack: 'long trace' }]
+      }],
+      redactions: { secret: 1 },
+      usage: { requests: 1, promptTokens: 900, completionTokens: 100, totalTokens: 1000, cost: 0.00035, estimated: false, unpricedModels: [] },
+      run: { repository: 'o/r', sha: 'abc', url: 'https://github.com/o/r/actions/runs/1' }
+    });
+
+    expect(report).toEqual(expect.objectContaining({
+      usage: { requests: 1, prompt_tokens: 900, completion_tokens: 100, total_tokens: 1000, estimated_cost: 0.00035, estimated: false },
+      repository: 'o/r',
+      sha: 'abc',
+      verdict: 'fail',
+      max_severity: 'error',
+      provider: { name: 'deepseek', model: 'deepseek-chat' },
+      findings: [{ title: 'x', severity: 'error' }],
+      failed_steps: [{ label: 'test / Run tests', url: 'https://github.com/o/r/job/1' }],
+      test_reports: [{
+        label: 'junit.xml',
+        format: 'junit',
+        total: 2,
+        passed: 1,
+        failed: 1,
+        skipped: 0,
+        failures: [{ name: 'adds', suite: 'math', file: 'math.test.js', line: 3, message: 'expected 3' }]
+      }],
+      redactions: { secret: 1 }
+    }));
+  });
+
+  test('writeJobSummary writes the analysis and the redaction counts', async () => {
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+    const summary = createSummary();
+
+    await expect(writeJobSummary({ markdown: '## Analysis', redactions: { email: 2 }, providerLabel: 'Deepseek' }, summary)).resolves.toBe(true);
+    expect(summary.addRaw).toHaveBeenCalledWith('## Analysis', true);
+    expect(summary.addRaw).toHaveBeenCalledWith('2 value(s) were redacted before the log was sent to Deepseek.', true);
+    expect(summary.addTable).toHaveBeenCalledWith([
+      [{ data: 'Type', header: true }, { data: 'Redactions', header: true }],
+      ['email', '2']
+    ]);
+    expect(summary.write).toHaveBeenCalled();
+  });
+
+  test('writeJobSummary says nothing about sending a log that stayed on the runner', async () => {
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+    const summary = createSummary();
+
+    await writeJobSummary({ markdown: null, redactions: { email: 1 }, providerLabel: null, language: 'es' }, summary);
+    expect(summary.addHeading).toHaveBeenCalledWith('🔒 Redacción de Voltaflow', 3);
+    expect(summary.addRaw).toHaveBeenCalledWith('Se ocultaron 1 valor(es) del log.', true);
+    expect(summary.addTable).toHaveBeenCalledWith([
+      [{ data: 'Tipo', header: true }, { data: 'Ocultados', header: true }],
+      ['email', '1']
+    ]);
+  });
+
+  test('writeJobSummary does nothing outside GitHub Actions or without content', async () => {
+    const summary = createSummary();
+
+    delete process.env.GITHUB_STEP_SUMMARY;
+    await expect(writeJobSummary({ markdown: '## Analysis' }, summary)).resolves.toBe(false);
+
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+    await expect(writeJobSummary({ markdown: null, redactions: {} }, summary)).resolves.toBe(false);
+    expect(summary.write).not.toHaveBeenCalled();
+  });
+
+  test('writeReportFile creates missing directories', async () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-report-'));
+    try {
+      const written = await writeReportFile('out/report.md', '# Report', workspace);
+      expect(written).toBe(path.join(workspace, 'out', 'report.md'));
+      expect(fs.readFileSync(written, 'utf8')).toBe('# Report');
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
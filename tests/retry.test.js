@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { isRetryableError, getRetryAfter, backoffDelay, withRetry, createResilientCompletion } from '../src/retry.js';
+
+/**
+ * Creates an error like the ones thrown by the providers
+ */
+function apiError(status, headers) {
+  return Object.assign(new Error(`status ${status}`), { status, headers });
+}
+
+describe('retry', () => {
+  test('isRetryableError accepts transient failures only', () => {
+    expect(isRetryableError(apiError(429))).toBe(true);
+    expect(isRetryableError(apiError(503))).toBe(true);
+    expect(isRetryableError(apiError(400))).toBe(false);
+    expect(isRetryableError(apiError(401))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' }))).toBe(true);
+    expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('The response stream was interrupted'), { name: 'StreamInterruptedError' }))).toBe(true);
+    expect(isRetryableError(new TypeError('Cannot read properties of undefined'))).toBe(false);
+  });
+
+  test('getRetryAfter reads seconds, milliseconds and HTTP dates', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+
+    expect(getRetryAfter(apiError(429, { 'retry-after': '2' }))).toBe(2000);
+    expect(getRetryAfter(apiError(429, { 'retry-after-ms': '250', 'retry-after': '2' }))).toBe(250);
+    expect(getRetryAfter(apiError(429, new Headers({ 'retry-after': 'Wed, 01 May 2024 12:00:05 GMT' })), now)).toBe(5000);
+    expect(getRetryAfter(apiError(500, {}))).toBeNull();
+    expect(getRetryAfter(new Error('no response'))).toBeNull();
+  });
+
+  test('backoffDelay grows exponentially up to the maximum', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000, random: () => 1 };
+
+    expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+    expect(backoffDelay(3, { ...options, random: () => 0.5 })).toBe(2000);
+  });
+
+  test('withRetry retries transient failures, honoring Retry-After', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(apiError(429, { 'retry-after': '3' }))
+      .mockRejectedValueOnce(apiError(502))
+      .mockResolvedValue('ok');
+    const sleep = jest.fn().mockResolvedValue(undefined);
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { retries: 3, sleep, onRetry, random: () => 1 })).resolves.toBe('ok');
+    expect(sleep.mock.calls).toEqual([[3000], [2000]]);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+  });
+
+  test('withRetry gives up on permanent errors, long Retry-After and exhausted retries', async () => {
+    const sleep = jest.fn().mockResolvedValue(undefined);
+
+    const unauthorized = jest.fn().mockRejectedValue(apiError(401));
+    await expect(withRetry(unauthorized, { sleep })).rejects.toThrow('status 401');
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+
+    const throttled = jest.fn().mockRejectedValue(apiError(429, { 'retry-after': '3600' }));
+    await expect(withRetry(throttled, { sleep })).rejects.toThrow('status 429');
+    expect(throttled).toHaveBeenCalledTimes(1);
+
+    const down = jest.fn().mockRejectedValue(apiError(503));
+    await expect(withRetry(down, { retries: 2, sleep })).rejects.toThrow('status 503');
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+
+  test('createResilientCompletion falls back to the next provider and stays on it', async () => {
+    const primary = { label: 'Deepseek', model: 'deepseek-chat', complete: jest.fn().mockRejectedValue(apiError(503)) };
+    const fallback = { label: 'OpenAI', model: 'gpt-4o-mini', complete: jest.fn().mockResolvedValue('fallback answer') };
+    const onFallback = jest.fn();
+    const complete = createResilientCompletion([primary, fallback], { retries: 1, sleep: async () => {}, onFallback });
+
+    await expect(complete([{ role: 'user', content: 'log' }], { json: true })).resolves.toBe('fallback answer');
+    await complete([{ role: 'user', content: 'log' }]);
+
+    expect(primary.complete).toHaveBeenCalledTimes(2);
+    expect(fallback.complete).toHaveBeenCalledTimes(2);
+    expect(fallback.complete).toHaveBeenCalledWith([{ role: 'user', content: 'log' }], { json: true });
+    expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({ status: 503 }), fallback);
+    expect(complete.provider()).toBe(fallback);
+  });
+
+  test('createResilientCompletion throws the last error when every provider fails', async () => {
+    const providers = [
+      { complete: jest.fn().mockRejectedValue(apiError(500)) },
+      { complete: jest.fn().mockRejectedValue(apiError(401)) }
+    ];
+    const complete = createResilientCompletion(providers, { retries: 0 });
+
+    await expect(complete([])).rejects.toThrow('status 401');
+  });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import {
+  parseDiffLines,
+  findChangedFile,
+  buildReviewComments,
+  renderReviewBody,
+  publishReview
+} from '../src/review.js';
+
+const workspace = '/home/runner/work/app/app';
+
+const patch = [
+  '@@ -1,3 +1,4 @@',
+  ' import fs from "fs";',
+  '-const port = "3000";',
+  '+const port = 3000;',
+  '+const host = "localhost";',
+  ' export { port };',
+  '@@ -20,2 +21,2 @@ function start() {',
+  '-  listen(prot);',
+  '+  listen(prot, host);',
+  ' }'
+].join('\n');
+
+const files = [
+  { filename: 'src/server.js', patch },
+  { filename: 'docs/README.md', patch: '' }
+];
+
+function finding(overrides = {}) {
+  return {
+    title: 'Undefined variable prot',
+    severity: 'error',
+    file: `${workspace}/src/server.js`,
+    line: 21,
+    root_cause: '`prot` is not defined.',
+    suggested_fix: 'Use `port`.',
+    suggestion: null,
+    ...overrides
+  };
+}
+
+describe('review', () => {
+  test('parseDiffLines maps the added and context lines to their hunk', () => {
+    expect([...parseDiffLines(patch)]).toEqual([[1, 0], [2, 0], [3, 0], [4, 0], [21, 1], [22, 1]]);
+    expect(parseDiffLines('').size).toBe(0);
+  });
+
+  test('findChangedFile accepts paths relative to a package directory', () => {
+    expect(findChangedFile(files, 'src/server.js')).toBe(files[0]);
+    expect(findChangedFile(files, 'server.js')).toBe(files[0]);
+    expect(findChangedFile(files, 'src/client.js')).toBeNull();
+    expect(findChangedFile([...files, { filename: 'lib/server.js' }], 'server.js')).toBeNull();
+  });
+
+  test('buildReviewComments turns code changes in the diff into suggestions', () => {
+    const { comments, outside } = buildReviewComments([
+      finding({ suggestion: { start_line: 21, end_line: 21, code: '  listen(port, host);' } })
+    ], files, { workspace });
+
+    expect(outside).toEqual([]);
+    expect(comments).toHaveLength(1);
+    expect(comments[0]).toMatchObject({ path: 'src/server.js', line: 21, side: 'RIGHT' });
+    expect(comments[0]).not.toHaveProperty('start_line');
+    expect(comments[0].body).toMatch(/^<!-- voltaflow-review:[0-9a-f]{12} -->\n\*\*🔴 Undefined variable prot\*\*/);
+    expect(comments[0].body).toContain('**Suggested fix:** Use `port`.');
+    expect(comments[0].body).toContain('```suggestion\n  listen(port, host);\n```');
+  });
+
+  test('buildReviewComments comments on several lines of a hunk', () => {
+    const { comments } = buildReviewComments([
+      finding({ line: 2, suggestion: { start_line: 2, end_line: 3, code: 'const port = 3000;\nconst host = "0.0.0.0";' } })
+    ], files, { workspace });
+
+    expect(comments[0]).toMatchObject({ line: 3, start_line: 2, start_side: 'RIGHT' });
+  });
+
+  test('buildReviewComments demotes suggestions spanning hunks and lists changes outside the diff', () => {
+    const { comments, outside } = buildReviewComments([
+      finding({ line: 21, suggestion: { start_line: 4, end_line: 21, code: 'x' } }),
+      finding({ title: 'Missing config', file: 'src/config.js', line: 3, suggestion: { start_line: 3, end_line: 3, code: 'y' } }),
+      finding({ title: 'Unchanged line', line: 10, suggestion: null }),
+      finding({ title: 'No location', file: null })
+    ], files, { workspace });
+
+    expect(comments).toHaveLength(1);
+    expect(comments[0].body).not.toContain('```suggestion');
+    expect(comments[0].body).toContain('```\nx\n```');
+    expect(outside).toEqual([{ path: 'src/config.js', finding: expect.objectContaining({ title: 'Missing config' }) }]);
+  });
+
+  test('renderReviewBody lists the changes outside the diff', () => {
+    const body = renderReviewBody(1, [{ path: 'src/config.js', finding: finding({ suggestion: { start_line: 3, end_line: 4, code: 'a ``` b' } }) }]);
+
+    expect(body).toContain('Voltaflow commented on 1 changed lines');
+    expect(body).toContain('### Suggested changes outside the diff');
+    expect(body).toContain('**🔴 Undefined variable prot** · `src/config.js:3-4`');
+    expect(body).toContain('````\na ``` b\n````');
+    expect(renderReviewBody(0, [], { language: 'pt' })).toBe('O Voltaflow comentou 0 linhas alteradas apontadas pela falha.');
+  });
+
+  test('publishReview skips comments already posted by an earlier run', async () => {
+    const { comments } = buildReviewComments([finding(), finding({ title: 'Other', line: 22 })], files, { workspace });
+    const octokit = {
+      paginate: jest.fn(async () => [{ body: comments[0].body }, { body: 'human comment' }]),
+      rest: {
+        pulls: {
+          listReviewComments: jest.fn(),
+          createReview: jest.fn(async () => ({ data: { id: 5, html_url: 'https://github.com/o/r/pull/1#review-5' } }))
+        }
+      }
+    };
+
+    const review = await publishReview(octokit, { owner: 'o', repo: 'r', pullNumber: 1, commitId: 'abc', comments });
+
+    expect(review).toEqual({ id: 5, url: 'https://github.com/o/r/pull/1#review-5', comments: 1 });
+    expect(octokit.rest.pulls.createReview).toHaveBeenCalledWith(expect.objectContaining({
+      pull_number: 1,
+      commit_id: 'abc',
+      event: 'COMMENT',
+      comments: [comments[1]]
+    }));
+
+    octokit.paginate.mockResolvedValueOnce(comments.map(comment => ({ body: comment.body })));
+    await expect(publishReview(octokit, { owner: 'o', repo: 'r', pullNumber: 1, commitId: 'abc', comments })).resolves.toBeNull();
+    expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+  });
+
+  test('publishReview lists a change outside the diff only once', async () => {
+    const outside = [{ path: 'src/config.js', finding: finding({ suggestion: { start_line: 3, end_line: 3, code: 'const port = 80;' } }) }];
+    const reviews = [];
+    const octokit = {
+      paginate: jest.fn(async method => (method === octokit.rest.pulls.listReviews ? reviews : [])),
+      rest: {
+        pulls: {
+          listReviewComments: jest.fn(),
+          listReviews: jest.fn(),
+          createReview: jest.fn(async ({ body }) => {
+            reviews.push({ body });
+            return { data: { id: reviews.length, html_url: 'https://github.com/o/r/pull/1#review-1' } };
+          })
+        }
+      }
+    };
+
+    await expect(publishReview(octokit, { owner: 'o', repo: 'r', pullNumber: 1, commitId: 'abc', comments: [], outside }))
+      .resolves.toEqual({ id: 1, url: 'https://github.com/o/r/pull/1#review-1', comments: 0 });
+    expect(reviews[0].body).toMatch(/<!-- voltaflow-outside:\w+ -->\n\*\*🔴 Undefined variable prot\*\*/);
+
+    await expect(publishReview(octokit, { owner: 'o', repo: 'r', pullNumber: 1, commitId: 'abc', comments: [], outside })).resolves.toBeNull();
+    expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+  });
+});
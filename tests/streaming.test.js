@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+import { createStreamObserver } from '../src/streaming.js';
+
+describe('createStreamObserver', () => {
+  test('logs complete lines as they arrive', () => {
+    const log = jest.fn();
+    const stream = createStreamObserver({ log });
+
+    stream.onStart();
+    stream.onToken('first li');
+    stream.onToken('ne\nsecond');
+    expect(log.mock.calls).toEqual([['first line']]);
+
+    stream.flush();
+    expect(log.mock.calls).toEqual([['first line'], ['second']]);
+    expect(stream.text()).toBe('first line\nsecond');
+  });
+
+  test('logs long partial lines without waiting for their end', () => {
+    const log = jest.fn();
+    const stream = createStreamObserver({ log });
+
+    stream.onStart();
+    stream.onToken('x'.repeat(250));
+    expect(log).toHaveBeenCalledWith('x'.repeat(250));
+  });
+
+  test('reports progress and starts over when a reply restarts', () => {
+    const onProgress = jest.fn();
+    const stream = createStreamObserver({ log: jest.fn(), onProgress });
+
+    stream.onStart();
+    stream.onToken('{"summ');
+    stream.onStart();
+    stream.onToken('{"summary"');
+
+    expect(onProgress.mock.calls).toEqual([['{"summ'], ['{"summary"']]);
+    expect(stream.text()).toBe('{"summary"');
+  });
+});
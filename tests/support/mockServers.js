@@ -0,0 +1,251 @@
+/**
+ * Local stand-ins for the OpenAI chat completions API and the GitHub REST API, so the action can
+ * be run end to end without network. Both record every request they receive.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const DEFAULT_USAGE = { prompt_tokens: 500, completion_tokens: 80 };
+
+// Author of the comments posted with the workflow's GITHUB_TOKEN
+const ACTIONS_BOT = { login: 'github-actions[bot]', type: 'Bot' };
+
+/**
+ * Computes the blob SHA of a file, which the contents API requires to update it
+ * @param {string} content - File content
+ * @returns {string} - SHA
+ */
+function blobSha(content) {
+  return crypto.createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0${content}`).digest('hex');
+}
+
+/**
+ * Starts an HTTP server on a random local port
+ * @param {Function} handle - Called with the parsed request and a send function
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} - Server
+ */
+async function listen(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let json = null;
+      try {
+        json = body ? JSON.parse(body) : null;
+      } catch {
+        json = body;
+      }
+      const request = { method: req.method, url: req.url, headers: req.headers, body: json };
+      requests.push(request);
+      const send = (status, data, headers = {}) => {
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        res.writeHead(status, { 'content-type': typeof data === 'string' ? 'text/plain' : 'application/json', ...headers });
+        res.end(text);
+      };
+      try {
+        handle(request, send, res);
+      } catch (error) {
+        send(500, { message: error.message });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Writes a chat completion as server-sent events, the way streaming requests are answered
+ * @param {http.ServerResponse} res - Response
+ * @param {string} content - Completion text
+ * @param {Object} usage - Token usage sent in the last event
+ */
+function streamCompletion(res, content, usage) {
+  res.writeHead(200, { 'content-type': 'text/event-stream' });
+  for (const piece of content.match(/[\s\S]{1,40}/g) || []) {
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+  res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Starts a server implementing the OpenAI chat completions endpoint under /v1
+ * Replies are scripted: each request takes the next one and the last one keeps being repeated.
+ * A reply is either `{content, usage}`, where an object content is sent as JSON text, or
+ * `{status, message, headers}` for a failed request.
+ * @param {Object} options - Server behavior
+ * @param {Object[]} options.replies - Scripted replies
+ * @returns {Promise<{url: string, requests: Object[], completions: Object[], close: Function}>} - Server, its url ending in /v1
+ */
+async function startModelServer({ replies = [{ content: '' }] } = {}) {
+  let next = 0;
+  const server = await listen((request, send, res) => {
+    if (request.method !== 'POST' || request.url !== '/v1/chat/completions') {
+      return send(404, { error: { message: `Unknown endpoint ${request.method} ${request.url}` } });
+    }
+    const reply = replies[Math.min(next, replies.length - 1)];
+    next += 1;
+
+    if (reply.status && reply.status !== 200) {
+      return send(reply.status, { error: { message: reply.message || 'The model failed' } }, reply.headers);
+    }
+    const content = typeof reply.content === 'string' ? reply.content : JSON.stringify(reply.content);
+    const usage = reply.usage || DEFAULT_USAGE;
+    if (request.body.stream) {
+      return streamCompletion(res, content, usage);
+    }
+    return send(200, {
+      id: `chatcmpl-${next}`,
+      object: 'chat.completion',
+      model: request.body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage
+    });
+  });
+
+  return {
+    ...server,
+    url: `${server.url}/v1`,
+    get completions() { return server.requests.filter(request => request.url === '/v1/chat/completions'); }
+  };
+}
+
+/**
+ * Starts a server implementing the GitHub REST endpoints used by the action, backed by
+ * an in-memory repository
+ * @param {Object} options - Repository state
+ * @param {string} options.repository - Owner and name, such as o/r
+ * @param {Object} options.pullRequest - Pull request served by pulls.get, with its changed `files`
+ * @param {Object[]} options.comments - Comments already on the pull request, posted by github-actions[bot] unless they have a `user`
+ * @param {Object[]} options.jobs - Jobs of the workflow run, each with its `log` unless it expired
+ * @param {Object<string, string>} options.contents - Files served by the contents API, by path
+ * @returns {Promise<Object>} - Server with the comments, reviews, statuses, check runs and files it received
+ */
+async function startGitHubServer({ repository = 'o/r', pullRequest = null, comments = [], jobs = [], contents = {} } = {}) {
+  const state = {
+    comments: comments.map((comment, index) => ({ id: index + 1, node_id: `IC_${index + 1}`, created_at: '2026-01-01T00:00:00Z', user: ACTIONS_BOT, ...comment })),
+    reviews: [],
+    reviewComments: [],
+    statuses: [],
+    checkRuns: [],
+    contents: { ...contents }
+  };
+  let ids = 100;
+  const commentUrl = id => `https://github.com/${repository}/pull/${pullRequest ? pullRequest.number : 0}#issuecomment-${id}`;
+  const base = `/repos/${repository}`;
+
+  const routes = [
+    ['GET', /^\/pulls\/(\d+)$/, (request, send, [number]) => (
+      pullRequest && Number(number) === pullRequest.number
+        ? send(200, { number: pullRequest.number, title: pullRequest.title, body: pullRequest.body || '', head: pullRequest.head })
+        : send(404, { message: 'Not Found' })
+    )],
+    ['GET', /^\/pulls\/(\d+)\/files$/, (request, send) => send(200, pullRequest ? pullRequest.files || [] : [])],
+    ['GET', /^\/pulls\/(\d+)\/comments$/, (request, send) => send(200, state.reviewComments)],
+    ['GET', /^\/pulls\/(\d+)\/reviews$/, (request, send) => send(200, state.reviews)],
+    ['POST', /^\/pulls\/(\d+)\/reviews$/, (request, send, [number]) => {
+      const review = { id: ids++, ...request.body };
+      state.reviews.push(review);
+      state.reviewComments.push(...(request.body.comments || []));
+      send(200, { ...review, html_url: `https://github.com/${repository}/pull/${number}#pullrequestreview-${review.id}` });
+    }],
+    ['GET', /^\/issues\/(\d+)\/comments$/, (request, send) => send(200, state.comments)],
+    ['POST', /^\/issues\/(\d+)\/comments$/, (request, send) => {
+      const id = ids++;
+      const comment = { id, node_id: `IC_${id}`, body: request.body.body, html_url: commentUrl(id), created_at: '2026-01-02T00:00:00Z', user: ACTIONS_BOT };
+      state.comments.push(comment);
+      send(201, comment);
+    }],
+    ['PATCH', /^\/issues\/comments\/(\d+)$/, (request, send, [id]) => {
+      const comment = state.comments.find(existing => existing.id === Number(id));
+      if (!comment) {
+        return send(404, { message: 'Not Found' });
+      }
+      Object.assign(comment, { body: request.body.body, updated_at: '2026-01-02T00:00:00Z', html_url: commentUrl(comment.id) });
+      return send(200, comment);
+    }],
+    ['DELETE', /^\/issues\/comments\/(\d+)$/, (request, send, [id]) => {
+      state.comments = state.comments.filter(comment => comment.id !== Number(id));
+      send(204, '');
+    }],
+    ['POST', /^\/statuses\/(\w+)$/, (request, send, [sha]) => {
+      const status = { id: ids++, sha, ...request.body };
+      state.statuses.push(status);
+      send(201, status);
+    }],
+    ['POST', /^\/check-runs$/, (request, send) => {
+      const checkRun = { id: ids++, ...request.body };
+      state.checkRuns.push(checkRun);
+      send(201, { ...checkRun, html_url: `https://github.com/${repository}/runs/${checkRun.id}` });
+    }],
+    ['PATCH', /^\/check-runs\/(\d+)$/, (request, send, [id]) => {
+      const checkRun = state.checkRuns.find(existing => existing.id === Number(id));
+      checkRun.updates = [...(checkRun.updates || []), request.body];
+      send(200, { ...checkRun, html_url: `https://github.com/${repository}/runs/${checkRun.id}` });
+    }],
+    ['GET', /^\/contents\/(.+)$/, (request, send, [file]) => (
+      state.contents[file] === undefined
+        ? send(404, { message: 'Not Found' })
+        : send(200, { path: file, sha: blobSha(state.contents[file]), content: Buffer.from(state.contents[file]).toString('base64') })
+    )],
+    ['PUT', /^\/contents\/(.+)$/, (request, send, [file]) => {
+      if (state.contents[file] !== undefined && request.body.sha !== blobSha(state.contents[file])) {
+        return send(409, { message: 'Conflict' });
+      }
+      state.contents[file] = Buffer.from(request.body.content, 'base64').toString('utf8');
+      return send(200, { content: { path: file, sha: blobSha(state.contents[file]) } });
+    }],
+    ['GET', /^\/actions\/runs\/(\d+)\/jobs$/, (request, send) => send(200, {
+      total_count: jobs.length,
+      jobs: jobs.map(({ log, ...job }) => job)
+    })],
+    ['GET', /^\/actions\/jobs\/(\d+)\/logs$/, (request, send, [id]) => {
+      const job = jobs.find(existing => existing.id === Number(id));
+      if (!job) {
+        return send(404, { message: 'Not Found' });
+      }
+      // Logs are kept for a limited time, a job without one has expired
+      return job.log === undefined ? send(410, { message: 'Gone' }) : send(200, job.log);
+    }]
+  ];
+
+  const server = await listen((request, send) => {
+    const pathname = request.url.split('?')[0];
+    if (request.method === 'GET' && pathname === '/user') {
+      // Like GITHUB_TOKEN, the token has no user
+      return send(403, { message: 'Resource not accessible by integration' });
+    }
+    if (request.method === 'POST' && pathname === '/graphql') {
+      return send(200, { data: { minimizeComment: { minimizedComment: { isMinimized: true } } } });
+    }
+    if (pathname.startsWith(base)) {
+      const path = pathname.slice(base.length);
+      for (const [method, pattern, route] of routes) {
+        const match = request.method === method && path.match(pattern);
+        if (match) {
+          return route(request, send, match.slice(1));
+        }
+      }
+    }
+    return send(404, { message: 'Not Found' });
+  });
+
+  return {
+    ...server,
+    get comments() { return state.comments; },
+    get reviews() { return state.reviews; },
+    get statuses() { return state.statuses; },
+    get checkRuns() { return state.checkRuns; },
+    get contents() { return state.contents; }
+  };
+}
+
+export { startModelServer, startGitHubServer };
@@ -0,0 +1,99 @@
+/**
+ * Runs the action in a child process the way the runner does: inputs as INPUT_* variables,
+ * the event payload in a file and the outputs and job summary written to files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const root = path.dirname(path.dirname(path.dirname(fileURLToPath(import.meta.url))));
+
+/**
+ * Runs a script in a child process, resolving with its exit code and output instead of rejecting
+ * @param {string[]} args - Node arguments
+ * @param {Object} env - Environment of the process
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} - Outcome
+ */
+function runNode(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, args, { cwd: root, env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Reads the outputs written by @actions/core to the GITHUB_OUTPUT file
+ * @param {string} text - File content
+ * @returns {Object<string, string>} - Outputs by name
+ */
+function parseOutputs(text) {
+  const outputs = {};
+  for (const match of text.matchAll(/^(\w+)<<(\S+)\n([\s\S]*?)\n\2$/gm)) {
+    outputs[match[1]] = match[3];
+  }
+  return outputs;
+}
+
+/**
+ * Runs the action against local servers
+ * The GitHub API and the model default to the given servers, the token and API key to test values;
+ * an input set to an empty string removes it.
+ * @param {Object} options - Run
+ * @param {string} options.entry - Script to run, relative to the repository root: index.js or dist/index.js
+ * @param {Object<string, string>} options.inputs - Action inputs
+ * @param {Object} options.github - GitHub server, from startGitHubServer
+ * @param {Object} options.model - Model server, from startModelServer
+ * @param {Object} options.event - Event payload, a pull request by default
+ * @param {string} options.eventName - Event name
+ * @returns {Promise<{code: number, stdout: string, stderr: string, outputs: Object<string, string>, summary: string}>} - Outcome
+ */
+async function runAction({ entry = 'index.js', inputs = {}, github, model, event, eventName = 'pull_request' } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voltaflow-action-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'event.json'), JSON.stringify(event || {
+      number: 1,
+      pull_request: { number: 1, title: 'Add the server', head: { sha: 'abc123', ref: 'feature' } }
+    }));
+    fs.writeFileSync(path.join(dir, 'output'), '');
+    fs.writeFileSync(path.join(dir, 'summary'), '');
+
+    const env = {
+      PATH: process.env.PATH,
+      HOME: dir,
+      GITHUB_EVENT_NAME: eventName,
+      GITHUB_EVENT_PATH: path.join(dir, 'event.json'),
+      GITHUB_REPOSITORY: 'o/r',
+      GITHUB_SHA: 'abc123',
+      GITHUB_API_URL: github ? github.url : 'http://127.0.0.1:9',
+      GITHUB_SERVER_URL: 'https://github.com',
+      GITHUB_RUN_ID: '42',
+      GITHUB_RUN_ATTEMPT: '1',
+      GITHUB_WORKSPACE: dir,
+      GITHUB_OUTPUT: path.join(dir, 'output'),
+      GITHUB_STEP_SUMMARY: path.join(dir, 'summary')
+    };
+    const defaults = { github_token: 'ghs_test', api_key: 'sk-test', ...(model ? { base_url: model.url } : {}) };
+    for (const [name, value] of Object.entries({ ...defaults, ...inputs })) {
+      if (value !== '') {
+        env[`INPUT_${name.toUpperCase()}`] = value;
+      }
+    }
+
+    const { code, stdout, stderr } = await runNode([path.join(root, entry)], env);
+    return {
+      code,
+      stdout,
+      stderr,
+      outputs: parseOutputs(fs.readFileSync(path.join(dir, 'output'), 'utf8')),
+      summary: fs.readFileSync(path.join(dir, 'summary'), 'utf8')
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+export { root, runNode, runAction };
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTestReport, summarizeTestReport, renderFailedTests } from '../src/testReports.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const workspace = '/home/runner/work/app/app';
+
+describe('testReports', () => {
+  test('parses JUnit XML failures and errors', () => {
+    const report = parseTestReport(readFixture('junit_report.xml'), workspace);
+
+    expect(report).toMatchObject({ format: 'junit', total: 4, passed: 1, failed: 2, skipped: 1 });
+    expect(report.failures[0]).toEqual({
+      name: 'applies the discount',
+      suite: 'cart totals',
+      file: 'src/cart.test.js',
+      line: 42,
+      message: 'expected 90 but got 100',
+      stack: 'AssertionError: expected 90 but got 100\n    at Object.<anonymous> (/home/runner/work/shop/shop/src/cart.test.js:42:5)'
+    });
+    expect(report.failures[1]).toMatchObject({
+      name: 'charges the card & sends a receipt',
+      file: 'src/cart.test.js',
+      message: "TypeError: Cannot read properties of undefined (reading 'id')"
+    });
+  });
+
+  test('recognizes TAP without a plan but not go test output', () => {
+    expect(parseTestReport('ok 1 - adds\nnot ok 2 - subtracts\n# fail 1', workspace)).toMatchObject({ format: 'tap', total: 2, failed: 1 });
+    expect(parseTestReport([
+      'ok  \tgithub.com/acme/util\t0.012s',
+      '--- FAIL: TestParse (0.00s)',
+      '    parse_test.go:14: expected 3, got 4',
+      'FAIL',
+      'FAIL\tgithub.com/acme/parser\t0.008s'
+    ].join('\n'), workspace)).toBeNull();
+  });
+
+  test('parses TAP with YAML diagnostics, skipping parents of failed subtests', () => {
+    const report = parseTestReport(readFixture('tap_report.tap'), workspace);
+
+    expect(report).toMatchObject({ format: 'tap', total: 3, passed: 1, failed: 1, skipped: 1 });
+    expect(report.failures).toEqual([{
+      name: 'parses dates',
+      suite: null,
+      file: 'test/parser.test.js',
+      line: 12,
+      message: 'Expected values to be strictly equal:\n\n2024 !== 2023',
+      stack: 'TestContext.<anonymous> (file:///home/runner/work/app/app/test/parser.test.js:14:12)'
+    }]);
+  });
+
+  test('parses Jest JSON, including suites that failed to run', () => {
+    const report = parseTestReport(readFixture('jest_report.json'), workspace);
+
+    expect(report).toMatchObject({ format: 'jest-json', total: 2, passed: 1, failed: 1, skipped: 0 });
+    expect(report.failures[0]).toMatchObject({
+      name: 'api GET /users returns the users',
+      suite: 'api › GET /users',
+      file: 'src/api.test.ts',
+      line: 18,
+      message: 'Error: expect(received).toBe(expected)'
+    });
+    expect(report.failures[1]).toMatchObject({
+      name: 'Test suite failed to run',
+      file: 'src/broken.test.ts',
+      message: "SyntaxError: Unexpected token '}'"
+    });
+  });
+
+  test('parses pytest JSON reports, including setup errors', () => {
+    const report = parseTestReport(readFixture('pytest_report.json'), workspace);
+
+    expect(report).toMatchObject({ format: 'pytest-json', total: 3, passed: 1, failed: 2, skipped: 0 });
+    expect(report.failures.map(({ name, suite, file, line, message }) => ({ name, suite, file, line, message }))).toEqual([
+      { name: 'TestDivide::test_by_zero', suite: 'TestDivide', file: 'tests/test_math.py', line: 12, message: 'ZeroDivisionError: division by zero' },
+      { name: 'test_connect', suite: null, file: 'tests/conftest.py', line: 8, message: 'ConnectionRefusedError: [Errno 111] Connection refused' }
+    ]);
+  });
+
+  test('leaves plain logs and other JSON alone', () => {
+    expect(parseTestReport(readFixture('error_log.txt'), workspace)).toBeNull();
+    expect(parseTestReport('{"level":"error","msg":"boom"}', workspace)).toBeNull();
+    expect(parseTestReport('{ not json', workspace)).toBeNull();
+  });
+
+  test('summarizeTestReport lists the failures compactly', () => {
+    const summary = summarizeTestReport(parseTestReport(readFixture('junit_report.xml'), workspace));
+
+    expect(summary).toMatch(/^Test report \(JUnit XML\): 4 tests, 2 failed, 1 skipped\n\nFAILED applies the discount \[cart totals\] \(src\/cart\.test\.js:42\)\n  expected 90 but got 100\n  AssertionError/);
+    expect(summary).toContain('FAILED charges the card & sends a receipt [cart checkout]');
+    expect(summary).not.toContain('adds an item');
+  });
+
+  test('renderFailedTests builds an escaped markdown table', () => {
+    const report = { ...parseTestReport(readFixture('junit_report.xml'), workspace), label: 'reports/junit.xml' };
+    report.failures[0].message = 'expected a | b\nto equal <c>';
+
+    const markdown = renderFailedTests([report], 1);
+
+    expect(markdown).toContain('### Failed tests');
+    expect(markdown).toContain('- `reports/junit.xml` (JUnit XML): 4 tests, 2 failed, 1 skipped');
+    expect(markdown).toContain('| applies the discount | `src/cart.test.js:42` | expected a \\| b to equal &lt;c> |');
+    expect(markdown).toContain('…and 1 more failed tests.');
+    expect(renderFailedTests([{ ...report, failures: [] }])).toBe('');
+  });
+
+  test('renderFailedTests translates its labels', () => {
+    const report = { ...parseTestReport(readFixture('junit_report.xml'), workspace), label: 'reports/junit.xml' };
+
+    const markdown = renderFailedTests([report], 1, { language: 'pt' });
+
+    expect(markdown).toContain('### Testes com falha');
+    expect(markdown).toContain('- `reports/junit.xml` (JUnit XML): 4 testes, 2 com falha, 1 ignorados');
+    expect(markdown).toContain('| Teste | Local | Erro |');
+    expect(markdown).toContain('…e mais 1 testes com falha.');
+  });
+});
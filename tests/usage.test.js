@@ -0,0 +1,53 @@
+import { parsePrices, findPrice, estimateCost, createUsageTracker, formatUsage } from '../src/usage.js';
+
+describe('usage', () => {
+  test('parsePrices reads a YAML or JSON price table', () => {
+    expect(parsePrices('my-model: { input: 1, output: 2 }')).toEqual({ 'my-model': { input: 1, output: 2 } });
+    expect(parsePrices('{"my-model": {"input": 0.5, "output": 1}}')).toEqual({ 'my-model': { input: 0.5, output: 1 } });
+    expect(parsePrices('')).toEqual({});
+    expect(() => parsePrices('my-model: { input: -1, output: 2, cached: 1 }')).toThrow(
+      'Invalid model_prices:\n- unknown key "cached" in model_prices.my-model, expected one of: input, output\n- model_prices.my-model.input must be a non-negative number of USD per million tokens'
+    );
+  });
+
+  test('findPrice matches dated model versions and prices local models at zero', () => {
+    expect(findPrice({}, { name: 'openai', model: 'gpt-4o-mini-2024-07-18' })).toEqual({ input: 0.15, output: 0.6 });
+    expect(findPrice({}, { name: 'openai', model: 'gpt-4o-2024-08-06' })).toEqual({ input: 2.5, output: 10 });
+    expect(findPrice({}, { name: 'anthropic', model: 'claude-3-5-haiku-latest' })).toEqual({ input: 0.8, output: 4 });
+    expect(findPrice({ 'gpt-4o-mini': { input: 1, output: 1 } }, { name: 'openai', model: 'gpt-4o-mini' })).toEqual({ input: 1, output: 1 });
+    expect(findPrice({}, { name: 'ollama', model: 'llama3.1' })).toEqual({ input: 0, output: 0 });
+    expect(findPrice({}, { name: 'azure', model: 'my-deployment' })).toBeNull();
+  });
+
+  test('estimateCost uses prices per million tokens', () => {
+    expect(estimateCost({ promptTokens: 1000000, completionTokens: 500000 }, { input: 0.27, output: 1.1 })).toBeCloseTo(0.82);
+  });
+
+  test('the usage tracker adds up the requests of a run', () => {
+    const usage = createUsageTracker();
+    usage.record({ promptTokens: 1000, completionTokens: 200, estimated: false }, { name: 'deepseek', model: 'deepseek-chat' });
+    usage.record({ promptTokens: 3000, completionTokens: 800, estimated: true }, { name: 'openai', model: 'gpt-4o-mini' });
+
+    const summary = usage.summary();
+    expect(summary).toEqual(expect.objectContaining({
+      requests: 2,
+      promptTokens: 4000,
+      completionTokens: 1000,
+      totalTokens: 5000,
+      estimated: true,
+      unpricedModels: []
+    }));
+    expect(summary.cost).toBeCloseTo((1000 * 0.27 + 200 * 1.1 + 3000 * 0.15 + 800 * 0.6) / 1e6);
+    expect(formatUsage(summary)).toBe('~4,000 input and ~1,000 output tokens (~$0.0014)');
+  });
+
+  test('the cost is unknown when a model has no price', () => {
+    const usage = createUsageTracker();
+    usage.record({ promptTokens: 10, completionTokens: 5, estimated: false }, { name: 'azure', model: 'my-deployment' });
+
+    expect(usage.summary().cost).toBeNull();
+    expect(usage.summary().unpricedModels).toEqual(['my-deployment']);
+    expect(formatUsage(usage.summary())).toBe('10 input and 5 output tokens (cost unknown)');
+    expect(formatUsage(usage.summary(), { language: 'es' })).toBe('10 tokens de entrada y 5 de salida (coste desconocido)');
+  });
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { sliceStepLog, tailJobLog, fetchFailedStepLogs } from '../src/workflowLogs.js';
+
+const jobLog = [
+  '2026-01-10T10:00:00.1000000Z ##[group]Run actions/checkout@v4',
+  '2026-01-10T10:00:01.2000000Z Checked out repository',
+  '2026-01-10T10:00:05.1000000Z ##[group]Run npm test',
+  '2026-01-10T10:00:06.3000000Z FAIL tests/app.test.js',
+  '  continuation without timestamp',
+  '2026-01-10T10:00:07.9000000Z ##[error]Process completed with exit code 1.',
+  '2026-01-10T10:00:09.0000000Z Post job cleanup.'
+].join('\n');
+
+const steps = [
+  { name: 'Checkout', number: 1, conclusion: 'success', started_at: '2026-01-10T10:00:00Z', completed_at: '2026-01-10T10:00:02Z' },
+  { name: 'Run tests', number: 2, conclusion: 'failure', started_at: '2026-01-10T10:00:05Z', completed_at: '2026-01-10T10:00:07Z' },
+  { name: 'Cleanup', number: 3, conclusion: 'success', started_at: '2026-01-10T10:00:09Z', completed_at: '2026-01-10T10:00:09Z' }
+];
+
+describe('workflowLogs', () => {
+  test('sliceStepLog keeps the lines written while the step ran', () => {
+    expect(sliceStepLog(jobLog, steps[1])).toBe([
+      '##[group]Run npm test',
+      'FAIL tests/app.test.js',
+      '  continuation without timestamp',
+      '##[error]Process completed with exit code 1.'
+    ].join('\n'));
+    expect(sliceStepLog(jobLog, { name: 'Skipped' })).toBe('');
+  });
+
+  test('tailJobLog returns the last lines without timestamps', () => {
+    expect(tailJobLog(jobLog, 2)).toBe('##[error]Process completed with exit code 1.\nPost job cleanup.');
+  });
+
+  test('fetchFailedStepLogs downloads failed jobs and labels each failed step', async () => {
+    const jobs = [
+      { id: 1, name: 'lint', conclusion: 'success', html_url: 'https://github.com/o/r/actions/runs/9/job/1', steps: [] },
+      { id: 2, name: 'test', conclusion: 'failure', html_url: 'https://github.com/o/r/actions/runs/9/job/2', steps },
+      { id: 3, name: 'deploy', conclusion: 'timed_out', html_url: 'https://github.com/o/r/actions/runs/9/job/3', steps: [] }
+    ];
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue(jobs),
+      rest: {
+        actions: {
+          listJobsForWorkflowRun: jest.fn(),
+          downloadJobLogsForWorkflowRun: jest.fn().mockResolvedValue({ data: jobLog })
+        }
+      }
+    };
+
+    const sources = await fetchFailedStepLogs(octokit, { owner: 'o', repo: 'r', runId: 9 });
+
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.actions.listJobsForWorkflowRun, expect.objectContaining({
+      owner: 'o',
+      repo: 'r',
+      run_id: 9,
+      filter: 'latest'
+    }));
+    expect(octokit.rest.actions.downloadJobLogsForWorkflowRun.mock.calls.map(([args]) => args.job_id)).toEqual([2, 3]);
+    expect(sources).toHaveLength(2);
+    expect(sources[0]).toEqual(expect.objectContaining({
+      label: 'test / Run tests',
+      job: 'test',
+      step: 'Run tests',
+      url: 'https://github.com/o/r/actions/runs/9/job/2#step:2:1'
+    }));
+    expect(sources[0].content).toContain('FAIL tests/app.test.js');
+    expect(sources[0].content).not.toContain('Checked out repository');
+    expect(sources[1]).toEqual(expect.objectContaining({ label: 'deploy', url: 'https://github.com/o/r/actions/runs/9/job/3' }));
+  });
+
+  test('fetchFailedStepLogs skips the jobs whose log cannot be downloaded', async () => {
+    const jobs = [
+      { id: 2, name: 'test', conclusion: 'failure', html_url: 'https://github.com/o/r/actions/runs/9/job/2', steps },
+      { id: 3, name: 'deploy', conclusion: 'failure', html_url: 'https://github.com/o/r/actions/runs/9/job/3', steps: [] }
+    ];
+    const expired = Object.assign(new Error('Log has expired'), { status: 410 });
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue(jobs),
+      rest: {
+        actions: {
+          listJobsForWorkflowRun: jest.fn(),
+          downloadJobLogsForWorkflowRun: jest.fn()
+            .mockRejectedValueOnce(expired)
+            .mockResolvedValueOnce({ data: jobLog })
+        }
+      }
+    };
+    const onError = jest.fn();
+
+    const sources = await fetchFailedStepLogs(octokit, { owner: 'o', repo: 'r', runId: 9, onError });
+
+    expect(onError).toHaveBeenCalledWith(jobs[0], expired);
+    expect(sources.map(source => source.label)).toEqual(['deploy']);
+  });
+});